@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+// 梦想大陆状态聚合服务：按固定间隔统一检测清单中的服务器，把结果缓存后提供给所有访客
+// 访客不再各自轮询第三方API，页面通过 SSE 接收推送，连接不上时才回退到直接轮询
+//
+// 用法：node aggregator/server.mjs
+//   MXDL_AGGREGATOR_PORT      监听端口，默认 8788
+//   MXDL_AGGREGATOR_INTERVAL  检测间隔（秒），默认 30，最少 10
+//   MXDL_AGGREGATOR_DIRECT=0  不在本进程内直接探测，只使用中继和第三方API
+//   MXDL_RELAY_URL            同时使用的状态中继地址（可选）
+//   MXDL_MANIFEST             服务器清单路径，默认是仓库中的 servers.json
+//
+// 接口：GET /api/status  最近一次检测结果（JSON）
+//       GET /api/stream  SSE，连接后立即推送最近的结果，之后每次检测完成推送 status 事件
+//
+// 本地测试：node aggregator/stub-minecraft.mjs 25566
+//          MXDL_MANIFEST=aggregator/servers.local.json node aggregator/server.mjs
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+import { RelayProvider, ServerStatusManager } from '../core/status.mjs';
+import { lookupStatus, parseRequestUrl } from '../relay/server.mjs';
+
+const DEFAULT_INTERVAL = 30;
+const MIN_INTERVAL = 10;
+// 代理服务器通常会断开长时间没有数据的连接，定期发送注释行保活
+const HEARTBEAT_INTERVAL = 15000;
+// 浏览器断线后的重连等待时间
+const SSE_RETRY = 10000;
+
+// 在本进程内直接进行 Server List Ping / RakNet ping，结果格式与状态中继的 /status 相同
+export class LocalPingProvider extends RelayProvider {
+    constructor(options = {}) {
+        super('', { name: '本地探测', ...options });
+        this.id = 'local';
+        this.lookupOptions = {
+            timeout: options.pingTimeout || 5000,
+            queryTimeout: options.queryTimeout || 2000,
+            allowedHosts: [],
+            // 只探测运营者写进清单的地址，允许回环和内网（例如同机部署的服务器）
+            allowPrivate: true
+        };
+    }
+
+    async fetchRelayStatus(serverAddress, signal, options = {}) {
+        const params = new URLSearchParams({ address: serverAddress });
+        if (options.edition === 'bedrock') params.set('edition', 'bedrock');
+        const [statusCode, body] = await lookupStatus(params, this.lookupOptions);
+        if (statusCode !== 200) {
+            throw new Error(body.error.message);
+        }
+        return body;
+    }
+}
+
+// 定时检测清单中的全部服务器，保存最近一次结果并通知订阅者
+export class StatusAggregator {
+    constructor(statusManager, options = {}) {
+        this.statusManager = statusManager;
+        this.interval = options.interval || DEFAULT_INTERVAL;
+        this.snapshot = null;
+        this.polling = null;
+        this.timer = null;
+        this.listeners = new Set();
+    }
+
+    start() {
+        this.poll();
+        this.timer = setInterval(() => this.poll(), this.interval * 1000);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+    }
+
+    subscribe(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    // 上一轮还没结束时不重复检测
+    poll() {
+        if (!this.polling) {
+            this.polling = this.collect().finally(() => {
+                this.polling = null;
+            });
+        }
+        return this.polling;
+    }
+
+    async collect() {
+        const servers = this.statusManager.servers;
+        const entries = await Promise.all(servers.map(async server => {
+            const updatedAt = Date.now();
+            try {
+                const status = await this.statusManager.fetchServerStatus(server.address, { edition: server.edition });
+                return { id: server.id, address: server.address, edition: server.edition, updatedAt, status, error: null };
+            } catch (error) {
+                console.warn(`服务器${server.id}检测失败:`, error.message);
+                return {
+                    id: server.id,
+                    address: server.address,
+                    edition: server.edition,
+                    updatedAt,
+                    status: null,
+                    error: { code: error.code || null, message: error.message }
+                };
+            }
+        }));
+
+        this.snapshot = { updatedAt: Date.now(), interval: this.interval, servers: entries };
+        this.listeners.forEach(listener => listener(this.snapshot));
+        return this.snapshot;
+    }
+}
+
+// 创建聚合服务的HTTP接口
+export function createAggregatorServer(aggregator) {
+    return http.createServer((request, response) => {
+        const url = parseRequestUrl(request);
+
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204).end();
+            return;
+        }
+
+        if (!url) {
+            sendJson(response, 400, { error: { code: 'EINVAL', message: '请求地址格式不正确' } });
+            return;
+        }
+
+        if (request.method === 'GET' && url.pathname === '/api/status') {
+            if (!aggregator.snapshot) {
+                sendJson(response, 503, { error: { code: 'EPENDING', message: '首次检测尚未完成' } });
+                return;
+            }
+            sendJson(response, 200, aggregator.snapshot);
+            return;
+        }
+
+        if (request.method === 'GET' && url.pathname === '/api/stream') {
+            openStream(request, response, aggregator);
+            return;
+        }
+
+        sendJson(response, 404, { error: { code: 'NOT_FOUND', message: '未知的接口' } });
+    });
+}
+
+// SSE 连接：先推送已有结果，之后每轮检测完成推送一次
+function openStream(request, response, aggregator) {
+    response.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-store',
+        // 关闭 nginx 的响应缓冲，否则事件会被攒到一起发送
+        'X-Accel-Buffering': 'no'
+    });
+    response.write(`retry: ${SSE_RETRY}\n\n`);
+
+    const send = snapshot => response.write(`event: status\ndata: ${JSON.stringify(snapshot)}\n\n`);
+    if (aggregator.snapshot) {
+        send(aggregator.snapshot);
+    }
+
+    const unsubscribe = aggregator.subscribe(send);
+    const heartbeat = setInterval(() => response.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+    request.on('close', () => {
+        unsubscribe();
+        clearInterval(heartbeat);
+    });
+}
+
+function sendJson(response, statusCode, body) {
+    response.writeHead(statusCode, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    response.end(JSON.stringify(body));
+}
+
+// 直接运行时启动服务
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = Number(process.env.MXDL_AGGREGATOR_PORT) || 8788;
+    const interval = Math.max(MIN_INTERVAL, Number(process.env.MXDL_AGGREGATOR_INTERVAL) || DEFAULT_INTERVAL);
+    const manifestPath = process.env.MXDL_MANIFEST || new URL('../servers.json', import.meta.url);
+
+    // 每轮都重新检测，不使用 ServerStatusManager 的缓存
+    const statusManager = new ServerStatusManager({
+        relayUrl: process.env.MXDL_RELAY_URL || '',
+        storage: null,
+        cacheTimeout: 0,
+        // 数据源失败很常见，只记录一行原因
+        logger: { log() {}, warn: (message, error) => console.warn(message, error instanceof Error ? error.message : error) },
+        loadManifest: async () => JSON.parse(await readFile(manifestPath, 'utf8'))
+    });
+    if (process.env.MXDL_AGGREGATOR_DIRECT !== '0') {
+        statusManager.providers.register(new LocalPingProvider({ timeout: 6000 }), 0);
+    }
+    await statusManager.loadServers();
+
+    const aggregator = new StatusAggregator(statusManager, { interval });
+    createAggregatorServer(aggregator).listen(port, () => {
+        console.log(`状态聚合服务已启动: http://localhost:${port}（${statusManager.servers.length} 个服务器，每 ${interval} 秒检测）`);
+        aggregator.start();
+    });
+}
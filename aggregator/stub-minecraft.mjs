@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+// 本地测试用的假 Minecraft Java 版服务器：只实现 Server List Ping，在线人数随时间随机变化
+//
+// 用法：node aggregator/stub-minecraft.mjs [端口] [名称]
+//   端口默认 25566；配合 aggregator/servers.local.json 测试聚合服务：
+//   node aggregator/stub-minecraft.mjs 25566 一服
+//   MXDL_MANIFEST=aggregator/servers.local.json MXDL_AGGREGATOR_INTERVAL=10 node aggregator/server.mjs
+//   测试中 import 后调用 createStubServer(名称)，监听端口 0 即可使用临时端口
+import net from 'node:net';
+import { pathToFileURL } from 'node:url';
+import { encodePacket, encodeString, PacketReader, PacketSplitter } from '../relay/protocol.mjs';
+
+const PLAYER_NAMES = ['Steve', 'Alex', 'Notch', 'Herobrine', 'Dinnerbone', 'jeb_', 'Grumm', 'Technoblade'];
+const MAX_PLAYERS = 20;
+
+// 状态响应：玩家列表取在线人数对应的前几个名字
+function statusOf(name, online) {
+    return {
+        version: { name: 'Paper 1.21.1', protocol: 767 },
+        players: {
+            online,
+            max: MAX_PLAYERS,
+            sample: PLAYER_NAMES.slice(0, online).map((player, index) => ({
+                name: player,
+                id: `00000000-0000-4000-8000-${String(index + 1).padStart(12, '0')}`
+            }))
+        },
+        description: { text: `§a${name} §7- 本地测试服务器` }
+    };
+}
+
+// 创建假服务器，由调用方决定监听的端口
+export function createStubServer(name = '测试服') {
+    let online = 3;
+    return net.createServer(socket => {
+        const splitter = new PacketSplitter();
+        let handshaken = false;
+
+        socket.on('data', chunk => {
+            try {
+                for (const packet of splitter.push(chunk)) {
+                    const reader = new PacketReader(packet);
+                    const packetId = reader.readVarInt();
+                    if (!handshaken && packetId === 0x00) {
+                        // 握手：协议号、地址、端口、下一状态
+                        reader.readVarInt();
+                        reader.readString();
+                        reader.readUShort();
+                        handshaken = reader.readVarInt() === 1;
+                        if (!handshaken) socket.destroy();
+                    } else if (packetId === 0x00) {
+                        // 在线人数每次被查询时随机增减，便于观察推送的变化
+                        online = Math.min(PLAYER_NAMES.length, Math.max(0, online + Math.floor(Math.random() * 3) - 1));
+                        socket.write(encodePacket(0x00, encodeString(JSON.stringify(statusOf(name, online)))));
+                    } else if (packetId === 0x01) {
+                        // Ping：原样返回时间戳
+                        socket.end(encodePacket(0x01, packet.subarray(reader.offset)));
+                    }
+                }
+            } catch (error) {
+                socket.destroy();
+            }
+        });
+        socket.on('error', () => {});
+    });
+}
+
+// 直接运行时启动服务
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = Number(process.argv[2]) || 25566;
+    const name = process.argv[3] || '测试服';
+    createStubServer(name).listen(port, () => {
+        console.log(`测试服务器 ${name} 已启动: 127.0.0.1:${port}`);
+    });
+}
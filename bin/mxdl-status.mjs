@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+// 梦想大陆服务器状态命令行工具：在SSH会话或定时任务中检测服务器，不需要打开浏览器
+//
+// 用法：mxdl-status [地址...] [选项]
+//   在仓库目录执行 npm link（或 npm install -g .）后即可使用 mxdl-status 命令，也可以直接 node bin/mxdl-status.mjs
+//   不写地址时检测 servers.json 中的全部服务器
+//   --all              同时检测 servers.json 中的全部服务器
+//   --json             输出 JSON（--watch 时每轮输出一行）
+//   --watch            持续检测，按 --interval 刷新（默认30秒）
+//   --interval 秒      --watch 的刷新间隔，最少5秒
+//   --bedrock          按基岩版查询命令行中的地址（默认按端口自动判断）
+//   --relay URL        使用状态中继，也可以设置 MXDL_RELAY_URL
+//   --manifest 文件    服务器清单，默认是仓库中的 servers.json
+//   --verbose          把数据源的请求日志输出到 stderr
+//
+// 退出码：0 全部在线，2 有服务器离线，3 有服务器检测失败，1 参数错误
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { ServerStatusManager, parseServerAddress } from '../core/status.mjs';
+
+const EXIT_ONLINE = 0;
+const EXIT_USAGE = 1;
+const EXIT_OFFLINE = 2;
+const EXIT_FAILED = 3;
+
+const DEFAULT_INTERVAL = 30;
+const MIN_INTERVAL = 5;
+
+const USAGE = `用法：mxdl-status [地址...] [--all] [--json] [--watch] [--interval 秒] [--bedrock] [--relay URL] [--manifest 文件]
+
+示例：
+  mxdl-status                               检测 servers.json 中的全部服务器
+  mxdl-status play.simpfun.cn:30786 --json  检测单个地址并输出 JSON
+  mxdl-status --watch --interval 15         每15秒刷新一次
+
+退出码：0 全部在线，2 有服务器离线，3 有服务器检测失败，1 参数错误`;
+
+const OPTIONS = {
+    all: { type: 'boolean' },
+    json: { type: 'boolean' },
+    watch: { type: 'boolean' },
+    interval: { type: 'string' },
+    bedrock: { type: 'boolean' },
+    relay: { type: 'string' },
+    manifest: { type: 'string' },
+    verbose: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+const STATE_LABELS = { online: '在线', offline: '离线', failed: '检测失败' };
+
+// 输出到终端时给状态上色；设置 NO_COLOR 时不使用颜色
+const useColor = process.stdout.isTTY && !process.env.NO_COLOR;
+const STATE_COLORS = { online: 32, offline: 31, failed: 33 };
+const paint = (text, code) => (useColor ? `\x1b[${code}m${text}\x1b[0m` : text);
+
+// 中日韩字符在终端中占两列
+function displayWidth(text) {
+    return [...text].reduce((width, char) => width + (/[\u2e80-\u9fff\uf900-\ufaff\uff00-\uffef]/.test(char) ? 2 : 1), 0);
+}
+
+function padCell(text, width) {
+    return text + ' '.repeat(Math.max(0, width - displayWidth(text)));
+}
+
+// 把要检测的目标整理为 { name, address, edition, parsed }；地址无效时返回 null
+function resolveTargets(manager, addresses, options) {
+    const targets = [];
+    if (options.all || addresses.length === 0) {
+        manager.servers.forEach(server => targets.push({ name: server.shortName, address: server.address, edition: server.edition }));
+    }
+
+    for (const input of addresses) {
+        const parsed = parseServerAddress(input);
+        if (!parsed) {
+            console.error(`无效的服务器地址: ${input}`);
+            return null;
+        }
+        targets.push({
+            name: parsed.address,
+            address: parsed.address,
+            edition: options.bedrock ? 'bedrock' : null,
+            parsed
+        });
+    }
+    return targets;
+}
+
+// 检测单个目标；清单中的服务器按其版本查询，命令行中的地址没有指定版本时自动判断
+async function checkTarget(manager, target) {
+    const checkedAt = new Date().toISOString();
+    try {
+        const status = target.edition
+            ? await manager.getServerStatus(target.address, { edition: target.edition })
+            : await manager.detectServer(target.parsed);
+        return summarize(target, status.online ? 'online' : 'offline', status, checkedAt);
+    } catch (error) {
+        return summarize(target, 'failed', null, checkedAt, error);
+    }
+}
+
+// 输出给 JSON 和表格使用的结果
+function summarize(target, state, status, checkedAt, error = null) {
+    const online = state === 'online';
+    return {
+        name: target.name,
+        address: target.address,
+        edition: status ? status.edition : target.edition || 'java',
+        state,
+        players: online ? { online: status.players.online, max: status.players.max, list: status.players.list } : null,
+        version: online ? status.version : null,
+        protocol: online ? status.protocol : null,
+        latency: online ? status.debug.ping : null,
+        motd: online ? status.motd.clean.join('\n') : null,
+        software: online ? status.software : null,
+        offlineReason: status && !online ? status.offlineReason : null,
+        error: error ? { code: error.code || null, message: error.message } : null,
+        checkedAt
+    };
+}
+
+// 有检测失败时返回3，其次是离线返回2
+function exitCodeOf(results) {
+    if (results.some(result => result.state === 'failed')) return EXIT_FAILED;
+    if (results.some(result => result.state === 'offline')) return EXIT_OFFLINE;
+    return EXIT_ONLINE;
+}
+
+function formatTable(results) {
+    const rows = results.map(result => [
+        result.name,
+        result.edition === 'bedrock' ? `${result.address} (基岩版)` : result.address,
+        STATE_LABELS[result.state],
+        result.players ? `${result.players.online}/${result.players.max}` : '--',
+        result.version || '--',
+        result.latency !== null ? `${result.latency}ms` : '--'
+    ]);
+    const header = ['服务器', '地址', '状态', '玩家', '版本', '延迟'];
+    const widths = header.map((title, column) => Math.max(displayWidth(title), ...rows.map(row => displayWidth(row[column]))));
+
+    const lines = [header.map((title, column) => padCell(title, widths[column])).join('  ').trimEnd()];
+    rows.forEach((row, index) => {
+        const cells = row.map((cell, column) => padCell(cell, widths[column]));
+        cells[2] = paint(cells[2], STATE_COLORS[results[index].state]);
+        lines.push(cells.join('  ').trimEnd());
+    });
+
+    // 离线原因和失败原因单独列出，避免表格过宽
+    results.forEach(result => {
+        if (result.error) lines.push(paint(`${result.name}: ${result.error.message}`, STATE_COLORS.failed));
+        else if (result.offlineReason) lines.push(`${result.name}: ${result.offlineReason}`);
+    });
+    return lines.join('\n');
+}
+
+async function run(manager, targets, options) {
+    const results = await Promise.all(targets.map(target => checkTarget(manager, target)));
+
+    if (options.json) {
+        // --watch 时每轮一行，方便逐行解析
+        console.log(options.watch ? JSON.stringify(results) : JSON.stringify(results, null, 2));
+    } else {
+        if (options.watch && process.stdout.isTTY) {
+            process.stdout.write('\x1b[2J\x1b[H');
+        }
+        console.log(formatTable(results));
+        if (options.watch) {
+            console.log(`\n更新于 ${new Date().toLocaleTimeString('zh-CN')}，每 ${options.interval} 秒刷新，按 Ctrl+C 退出`);
+        }
+    }
+    return exitCodeOf(results);
+}
+
+async function main(argv) {
+    let args;
+    try {
+        args = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT_USAGE;
+    }
+
+    const { values, positionals } = args;
+    if (values.help) {
+        console.log(USAGE);
+        return EXIT_ONLINE;
+    }
+
+    const interval = values.interval === undefined ? DEFAULT_INTERVAL : Number(values.interval);
+    if (!Number.isFinite(interval) || interval < MIN_INTERVAL) {
+        console.error(`刷新间隔至少为 ${MIN_INTERVAL} 秒`);
+        return EXIT_USAGE;
+    }
+
+    // 明确指定的清单读不到时直接报错，不能悄悄改为检测内置的服务器
+    let manifest = null;
+    if (values.manifest) {
+        try {
+            manifest = JSON.parse(await readFile(values.manifest, 'utf8'));
+        } catch (error) {
+            console.error(`无法读取服务器清单 ${values.manifest}: ${error.message}`);
+            return EXIT_USAGE;
+        }
+    }
+
+    const quiet = { log() {}, warn() {} };
+    const manager = new ServerStatusManager({
+        relayUrl: values.relay || process.env.MXDL_RELAY_URL || '',
+        storage: null,
+        cacheTimeout: 0,
+        logger: values.verbose ? { log: console.error, warn: console.error } : quiet,
+        loadManifest: async () => manifest || JSON.parse(await readFile(new URL('../servers.json', import.meta.url), 'utf8'))
+    });
+    await manager.loadServers();
+
+    const targets = resolveTargets(manager, positionals, values);
+    if (!targets) return EXIT_USAGE;
+
+    const options = { json: values.json, watch: values.watch, interval };
+    if (!options.watch) {
+        return run(manager, targets, options);
+    }
+
+    // 持续检测直到被中断；每轮结束后再等待下一轮，避免请求重叠
+    for (;;) {
+        await run(manager, targets, options);
+        await new Promise(resolve => setTimeout(resolve, interval * 1000));
+    }
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,75 @@
+// 公告和维护计划：从 announcements.json 读取，判断服务器是否处于维护中，并给在线率统计提供计划维护的时间段
+// 不依赖DOM，页面和命令行工具都可以使用
+//
+// 清单条目：
+//   id        唯一标识，用于记住访客关闭过的横幅
+//   type      maintenance 计划维护（不计入在线率）、incident 故障、notice 普通公告
+//   severity  info、warning、critical，决定横幅的颜色
+//   serverId  受影响的服务器，省略表示全部服务器
+//   title / message / start / end（ISO 8601 时间，end 可省略表示结束时间待定）
+//   locales   其他语言的 title 和 message
+
+const TYPES = ['maintenance', 'incident', 'notice'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+// 校验并补全公告条目，按开始时间从新到旧排序；无效条目通过 logger 提示
+export function normalizeAnnouncements(entries, logger = console) {
+    return entries
+        .filter(entry => {
+            const valid = entry && entry.id && entry.title && Number.isFinite(Date.parse(entry.start));
+            if (!valid) {
+                logger.warn('忽略无效的公告条目:', entry);
+            }
+            return valid;
+        })
+        .map(entry => {
+            const end = Date.parse(entry.end);
+            return {
+                id: String(entry.id),
+                type: TYPES.includes(entry.type) ? entry.type : 'notice',
+                severity: SEVERITIES.includes(entry.severity) ? entry.severity : 'info',
+                serverId: entry.serverId ? String(entry.serverId) : null,
+                title: entry.title,
+                message: entry.message || '',
+                start: Date.parse(entry.start),
+                end: Number.isFinite(end) ? end : null,
+                locales: entry.locales && typeof entry.locales === 'object' ? entry.locales : {}
+            };
+        })
+        .sort((a, b) => b.start - a.start);
+}
+
+// 用当前语言的标题和内容覆盖公告条目
+export function localizeAnnouncement(announcement, locale) {
+    const translation = announcement.locales[locale] || {};
+    const localized = { ...announcement };
+    ['title', 'message'].forEach(field => {
+        if (typeof translation[field] === 'string' && translation[field]) localized[field] = translation[field];
+    });
+    return localized;
+}
+
+// upcoming 尚未开始，active 进行中，ended 已结束
+export function getAnnouncementState(announcement, now = Date.now()) {
+    if (now < announcement.start) return 'upcoming';
+    if (announcement.end !== null && now >= announcement.end) return 'ended';
+    return 'active';
+}
+
+function affects(announcement, serverId) {
+    return announcement.serverId === null || announcement.serverId === serverId;
+}
+
+// 服务器当前进行中的维护，没有时返回 null
+export function getActiveMaintenance(announcements, serverId, now = Date.now()) {
+    return announcements.find(announcement => announcement.type === 'maintenance'
+        && affects(announcement, serverId)
+        && getAnnouncementState(announcement, now) === 'active') || null;
+}
+
+// 服务器的计划维护时间段 [{ start, end }]，结束时间待定的按当前时间计算
+export function getMaintenanceWindows(announcements, serverId, now = Date.now()) {
+    return announcements
+        .filter(announcement => announcement.type === 'maintenance' && affects(announcement, serverId))
+        .map(announcement => ({ start: announcement.start, end: announcement.end ?? now }));
+}
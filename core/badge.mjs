@@ -0,0 +1,57 @@
+// shields.io 风格的服务器状态徽章，供 README、论坛签名等只能引用图片的地方使用
+// 不依赖DOM，页面的徽章预览和状态中继的 /badge.svg 都使用这里的实现
+
+const BADGE_THEMES = {
+    light: { label: '#555', text: '#fff', online: '#4c1', offline: '#e05d44', unknown: '#9f9f9f' },
+    dark: { label: '#30363d', text: '#f0f6fc', online: '#238636', offline: '#da3633', unknown: '#484f58' }
+};
+
+const BADGE_MESSAGES = {
+    'zh-CN': { online: '在线', offline: '离线', unknown: '未知' },
+    en: { online: 'online', offline: 'offline', unknown: 'unknown' }
+};
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// 估算 11px 字号下的文字宽度：中日韩字符按全角计算
+export function measureBadgeText(text) {
+    return Math.ceil([...text].reduce((width, char) => width + (/[\u2e80-\u9fff\uf900-\ufaff\uff00-\uffef]/.test(char) ? 11 : 6.5), 0));
+}
+
+// 徽章状态：查询失败时无法判断服务器是否在线
+export function getBadgeState(status) {
+    if (!status || status.error) return 'unknown';
+    return status.online ? 'online' : 'offline';
+}
+
+// 按中继的查询结果生成徽章文字；statusCode 不是 200 时说明没有查询成功
+export function badgeContent(statusCode, body, locale = 'zh-CN') {
+    const messages = BADGE_MESSAGES[locale] || BADGE_MESSAGES['zh-CN'];
+    if (statusCode !== 200) return { state: 'unknown', message: messages.unknown };
+    if (!body.online) return { state: 'offline', message: messages.offline };
+    return { state: 'online', message: `${messages.online} ${body.players.online}/${body.players.max}` };
+}
+
+// 生成徽章 SVG，左侧为标签，右侧为状态
+export function renderStatusBadge({ label, message, state = 'unknown', theme = 'light' }) {
+    const colors = BADGE_THEMES[theme] || BADGE_THEMES.light;
+    const labelWidth = measureBadgeText(label) + 12;
+    const messageWidth = measureBadgeText(message) + 12;
+    const width = labelWidth + messageWidth;
+    const text = (value, x) => `<text x="${x}" y="15" fill="#010101" fill-opacity=".3">${escapeXml(value)}</text><text x="${x}" y="14">${escapeXml(value)}</text>`;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="20" role="img" aria-label="${escapeXml(`${label}: ${message}`)}">`
+        + `<title>${escapeXml(`${label}: ${message}`)}</title>`
+        + '<linearGradient id="s" x2="0" y2="100%"><stop offset="0" stop-color="#bbb" stop-opacity=".1"/><stop offset="1" stop-opacity=".1"/></linearGradient>'
+        + `<clipPath id="r"><rect width="${width}" height="20" rx="3" fill="#fff"/></clipPath>`
+        + `<g clip-path="url(#r)"><rect width="${labelWidth}" height="20" fill="${colors.label}"/><rect x="${labelWidth}" width="${messageWidth}" height="20" fill="${colors[state] || colors.unknown}"/><rect width="${width}" height="20" fill="url(#s)"/></g>`
+        + `<g fill="${colors.text}" text-anchor="middle" font-family="Verdana,Geneva,'Microsoft YaHei',sans-serif" font-size="11">${text(label, labelWidth / 2)}${text(message, labelWidth + messageWidth / 2)}</g>`
+        + '</svg>';
+}
@@ -0,0 +1,169 @@
+// 客户端版本兼容性：本地的协议号与正式版对照表，判断访客的客户端能否直接加入服务器
+// 不依赖DOM，页面和命令行工具都可以使用
+
+// 协议号与正式版的对照（新版本在前），同一协议号可能对应多个小版本；新版本发布后需要补充
+export const PROTOCOL_VERSIONS = [
+    { protocol: 772, releases: ['1.21.7', '1.21.8'] },
+    { protocol: 771, releases: ['1.21.6'] },
+    { protocol: 770, releases: ['1.21.5'] },
+    { protocol: 769, releases: ['1.21.4'] },
+    { protocol: 768, releases: ['1.21.2', '1.21.3'] },
+    { protocol: 767, releases: ['1.21', '1.21.1'] },
+    { protocol: 766, releases: ['1.20.5', '1.20.6'] },
+    { protocol: 765, releases: ['1.20.3', '1.20.4'] },
+    { protocol: 764, releases: ['1.20.2'] },
+    { protocol: 763, releases: ['1.20', '1.20.1'] },
+    { protocol: 762, releases: ['1.19.4'] },
+    { protocol: 761, releases: ['1.19.3'] },
+    { protocol: 760, releases: ['1.19.1', '1.19.2'] },
+    { protocol: 759, releases: ['1.19'] },
+    { protocol: 758, releases: ['1.18.2'] },
+    { protocol: 757, releases: ['1.18', '1.18.1'] },
+    { protocol: 756, releases: ['1.17.1'] },
+    { protocol: 755, releases: ['1.17'] },
+    { protocol: 754, releases: ['1.16.4', '1.16.5'] },
+    { protocol: 753, releases: ['1.16.3'] },
+    { protocol: 751, releases: ['1.16.2'] },
+    { protocol: 736, releases: ['1.16.1'] },
+    { protocol: 735, releases: ['1.16'] },
+    { protocol: 578, releases: ['1.15.2'] },
+    { protocol: 575, releases: ['1.15.1'] },
+    { protocol: 573, releases: ['1.15'] },
+    { protocol: 498, releases: ['1.14.4'] },
+    { protocol: 490, releases: ['1.14.3'] },
+    { protocol: 485, releases: ['1.14.2'] },
+    { protocol: 480, releases: ['1.14.1'] },
+    { protocol: 477, releases: ['1.14'] },
+    { protocol: 404, releases: ['1.13.2'] },
+    { protocol: 401, releases: ['1.13.1'] },
+    { protocol: 393, releases: ['1.13'] },
+    { protocol: 340, releases: ['1.12.2'] },
+    { protocol: 338, releases: ['1.12.1'] },
+    { protocol: 335, releases: ['1.12'] },
+    { protocol: 316, releases: ['1.11.1', '1.11.2'] },
+    { protocol: 315, releases: ['1.11'] },
+    { protocol: 210, releases: ['1.10', '1.10.1', '1.10.2'] },
+    { protocol: 110, releases: ['1.9.3', '1.9.4'] },
+    { protocol: 109, releases: ['1.9.2'] },
+    { protocol: 108, releases: ['1.9.1'] },
+    { protocol: 107, releases: ['1.9'] },
+    { protocol: 47, releases: ['1.8', '1.8.1', '1.8.2', '1.8.3', '1.8.4', '1.8.5', '1.8.6', '1.8.7', '1.8.8', '1.8.9'] },
+    { protocol: 5, releases: ['1.7.6', '1.7.7', '1.7.8', '1.7.9', '1.7.10'] },
+    { protocol: 4, releases: ['1.7.2', '1.7.4', '1.7.5'] }
+];
+
+const LATEST_PROTOCOL = PROTOCOL_VERSIONS[0].protocol;
+
+// 代理服务端会把握手中的协议号原样返回，查询到的协议号不代表它只支持这一个版本
+const PROXY_SOFTWARE = /velocity|bungeecord|waterfall|travertine|flamecord|geyser/i;
+
+// 多版本兼容插件：ViaVersion 让更新的客户端加入，ViaBackwards 最低到 1.10，ViaRewind 最低到 1.7
+const VIA_PLUGINS = {
+    viaversion: { max: Infinity },
+    viabackwards: { min: 210 },
+    viarewind: { min: 4 }
+};
+
+// 按主版本分组的正式版列表（新版本在前），用于版本选择框
+export function listReleaseGroups() {
+    const groups = new Map();
+    PROTOCOL_VERSIONS.forEach(({ releases }) => {
+        [...releases].reverse().forEach(release => {
+            const major = release.split('.').slice(0, 2).join('.');
+            if (!groups.has(major)) groups.set(major, []);
+            groups.get(major).push(release);
+        });
+    });
+    return Array.from(groups, ([major, releases]) => ({ major, releases }));
+}
+
+// 正式版对应的协议号，未知版本返回 null
+export function protocolOfRelease(release) {
+    const entry = PROTOCOL_VERSIONS.find(item => item.releases.includes(release));
+    return entry ? entry.protocol : null;
+}
+
+// 协议号对应的正式版列表，未知协议号返回空数组
+export function releasesOfProtocol(protocol) {
+    const entry = PROTOCOL_VERSIONS.find(item => item.protocol === protocol);
+    return entry ? entry.releases : [];
+}
+
+// 版本前缀（如 1.8、1.8.x、1.21.4）对应的协议号范围
+function protocolRangeOfPrefix(prefix) {
+    const base = prefix.replace(/\.x$/i, '');
+    const protocols = PROTOCOL_VERSIONS
+        .filter(item => item.releases.some(release => release === base || release.startsWith(`${base}.`)))
+        .map(item => item.protocol);
+    return protocols.length ? { min: Math.min(...protocols), max: Math.max(...protocols) } : null;
+}
+
+// 从版本文字中识别“1.8.x-1.21.x”“1.8 - 1.21.4”这类版本范围
+export function parseVersionRange(version) {
+    const match = /(1\.\d+(?:\.(?:\d+|x))?)\s*[-~–]\s*(1\.\d+(?:\.(?:\d+|x))?)/i.exec(version || '');
+    if (!match) return null;
+    const from = protocolRangeOfPrefix(match[1]);
+    const to = protocolRangeOfPrefix(match[2]);
+    return from && to ? { min: from.min, max: to.max } : null;
+}
+
+// 服务器支持的客户端协议号范围；max 为 Infinity 表示兼容更新的版本
+export function supportedProtocolRange(status) {
+    const advertised = parseVersionRange(status.version);
+    if (advertised) return { ...advertised, source: 'version' };
+
+    const range = { min: status.protocol, max: status.protocol, source: 'protocol' };
+    (status.plugins || []).forEach(plugin => {
+        const via = VIA_PLUGINS[String(plugin.name).toLowerCase()];
+        if (!via) return;
+        if (via.min !== undefined) range.min = Math.min(range.min, via.min);
+        if (via.max !== undefined) range.max = via.max;
+        range.source = 'plugins';
+    });
+    return range;
+}
+
+// 判断客户端能否加入服务器
+//   返回 { state, range, loader }，state 为：
+//   ok       可以直接加入
+//   switch   需要切换客户端版本，range 为可用的协议号范围
+//   modpack  需要安装整合包
+//   proxy    代理服务器，通常兼容多个版本，无法准确判断
+//   newer    服务器版本比对照表新，只能建议更新客户端
+//   unknown  没有选择客户端版本、服务器离线或不是Java版
+export function checkCompatibility(server, status, clientRelease) {
+    const clientProtocol = protocolOfRelease(clientRelease);
+    if (!status || !status.online || status.error || server.edition !== 'java' || !Number.isInteger(status.protocol)) {
+        return { state: 'unknown' };
+    }
+
+    const range = supportedProtocolRange(status);
+    if (server.type === 'modpack' || (status.mods && status.mods.list && status.mods.list.length)) {
+        // 整合包服务器的加载器没有单独返回时使用服务端软件名（如 NeoForge）
+        const loader = (status.mods && status.mods.loader) || status.software || null;
+        return { state: 'modpack', range, loader };
+    }
+    if (clientProtocol === null) {
+        return { state: 'unknown', range };
+    }
+    if (range.source === 'protocol' && PROXY_SOFTWARE.test(`${status.software || ''} ${status.version || ''}`)) {
+        return { state: 'proxy', range };
+    }
+    if (clientProtocol >= range.min && clientProtocol <= range.max) {
+        return { state: 'ok', range };
+    }
+    if (range.min > LATEST_PROTOCOL) {
+        return { state: 'newer', range };
+    }
+    return { state: 'switch', range };
+}
+
+// 协议号范围对应的最低和最高正式版；to 为 null 表示兼容更新的版本，文字由调用方按语言拼接
+export function describeProtocolRange(range) {
+    const lowest = PROTOCOL_VERSIONS.filter(item => item.protocol >= range.min).pop();
+    const highest = PROTOCOL_VERSIONS.find(item => item.protocol <= range.max);
+    return {
+        from: lowest ? lowest.releases[0] : null,
+        to: range.max === Infinity || !highest ? null : highest.releases[highest.releases.length - 1]
+    };
+}
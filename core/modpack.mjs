@@ -0,0 +1,144 @@
+// 整合包清单：当前版本、更新日志、下载地址和校验值，并检查服务器上的模组是否与发布的整合包一致
+// 不依赖DOM，页面和命令行工具都可以使用
+//
+// 清单条目（modpacks.json 的 modpacks 数组，为空时页面不显示整合包区域）：
+//   id / serverId / version / minecraft  必填，serverId 对应 servers.json 中的服务器
+//   name / description / released        名称、简介和发布日期
+//   loader     { name, version }，例如 { "name": "NeoForge", "version": "47.1.106" }
+//   downloads  [{ label, url, size, sha256 }]，url 只接受 https 或本站的相对路径；
+//              填写 sha256 后访客可以在页面上校验下载的文件
+//   mods       [{ id, version, side }]，side 为 client、server 或 both，用于检查服务器模组是否有变动
+//   changelog  [{ version, date, changes }]
+//   locales    其他语言的 name、description；下载项和更新日志也可以各自带 locales
+import { protocolOfRelease } from './compat.mjs';
+
+// 模组加载器和游戏本体也会出现在服务器返回的模组列表中，比较时忽略
+const IGNORED_MOD_IDS = new Set(['minecraft', 'forge', 'neoforge', 'fml', 'mcp', 'fabricloader', 'java']);
+
+const MOD_SIDES = ['client', 'server', 'both'];
+
+// 校验并补全整合包清单条目；下载地址只接受 https 和相对路径，无效条目通过 logger 提示
+export function normalizeModpackList(entries, logger = console) {
+    return entries
+        .filter(entry => {
+            const valid = entry && entry.id && entry.serverId && entry.version && entry.minecraft;
+            if (!valid) {
+                logger.warn('忽略无效的整合包条目:', entry);
+            }
+            return valid;
+        })
+        .map(entry => ({
+            id: String(entry.id),
+            serverId: String(entry.serverId),
+            name: entry.name || String(entry.id),
+            description: entry.description || '',
+            version: String(entry.version),
+            minecraft: String(entry.minecraft),
+            loader: entry.loader && entry.loader.name
+                ? { name: entry.loader.name, version: entry.loader.version ? String(entry.loader.version) : null }
+                : null,
+            released: entry.released || null,
+            downloads: (Array.isArray(entry.downloads) ? entry.downloads : [])
+                .filter(download => download && isAllowedUrl(download.url))
+                .map(download => ({
+                    label: download.label || download.url,
+                    url: download.url,
+                    size: Number.isFinite(download.size) && download.size > 0 ? download.size : null,
+                    sha256: /^[0-9a-f]{64}$/i.test(download.sha256 || '') ? download.sha256.toLowerCase() : null,
+                    locales: download.locales && typeof download.locales === 'object' ? download.locales : {}
+                })),
+            mods: (Array.isArray(entry.mods) ? entry.mods : [])
+                .filter(mod => mod && mod.id)
+                .map(mod => ({
+                    id: String(mod.id),
+                    version: mod.version ? String(mod.version) : null,
+                    side: MOD_SIDES.includes(mod.side) ? mod.side : 'both'
+                })),
+            changelog: (Array.isArray(entry.changelog) ? entry.changelog : [])
+                .filter(release => release && release.version)
+                .map(release => ({
+                    version: String(release.version),
+                    date: release.date || null,
+                    changes: Array.isArray(release.changes) ? release.changes : [],
+                    locales: release.locales && typeof release.locales === 'object' ? release.locales : {}
+                })),
+            locales: entry.locales && typeof entry.locales === 'object' ? entry.locales : {}
+        }));
+}
+
+function isAllowedUrl(url) {
+    if (typeof url !== 'string' || !url) return false;
+    if (!/^[a-z][a-z0-9+.-]*:/i.test(url)) return !url.startsWith('//');
+    return /^https:\/\//i.test(url);
+}
+
+// 用当前语言的名称、简介、下载说明和更新日志覆盖整合包条目
+export function localizeModpack(pack, locale) {
+    const translation = pack.locales[locale] || {};
+    const localized = { ...pack };
+    ['name', 'description'].forEach(field => {
+        if (typeof translation[field] === 'string' && translation[field]) localized[field] = translation[field];
+    });
+    localized.downloads = pack.downloads.map(download => {
+        const label = (download.locales[locale] || {}).label;
+        return typeof label === 'string' && label ? { ...download, label } : download;
+    });
+    localized.changelog = pack.changelog.map(release => {
+        const changes = (release.locales[locale] || {}).changes;
+        return Array.isArray(changes) ? { ...release, changes } : release;
+    });
+    return localized;
+}
+
+// 比较服务器返回的模组列表和整合包清单
+//   返回 { state, missing, extra, mismatched, minecraft, loader }，state 为：
+//   match    一致
+//   drift    服务器和整合包不一致
+//   unknown  服务器离线或没有返回模组列表，无法比较
+//   missing     服务器上有、整合包里没有的模组（玩家无法加入）
+//   extra       整合包里有、服务器上没有的模组；服务器只返回了部分列表时不统计
+//   mismatched  双方都有但版本不同的模组 [{ id, server, pack }]
+//   minecraft   游戏版本不一致时为 { server, pack }
+//   loader      加载器不一致时为 { server, pack }
+export function compareModLists(pack, status) {
+    const result = { state: 'unknown', missing: [], extra: [], mismatched: [], minecraft: null, loader: null };
+    if (!status || !status.online || status.error || !status.mods || !status.mods.list) {
+        return result;
+    }
+
+    // 服务器返回的条目不一定带 id，无法识别的条目不参与比较
+    const serverMods = new Map(status.mods.list
+        .filter(mod => mod && typeof mod.id === 'string' && mod.id && !IGNORED_MOD_IDS.has(mod.id.toLowerCase()))
+        .map(mod => [mod.id.toLowerCase(), mod]));
+    // 只装在客户端的模组不会出现在服务器列表中
+    const packMods = new Map(pack.mods
+        .filter(mod => mod.side !== 'client')
+        .map(mod => [mod.id.toLowerCase(), mod]));
+
+    serverMods.forEach((mod, key) => {
+        const packMod = packMods.get(key);
+        if (!packMod) {
+            result.missing.push(mod.id);
+        } else if (mod.version && packMod.version && mod.version !== packMod.version) {
+            result.mismatched.push({ id: mod.id, server: mod.version, pack: packMod.version });
+        }
+    });
+    if (!status.mods.truncated) {
+        packMods.forEach((mod, key) => {
+            if (!serverMods.has(key)) result.extra.push(mod.id);
+        });
+    }
+
+    const packProtocol = protocolOfRelease(pack.minecraft);
+    if (packProtocol !== null && Number.isInteger(status.protocol) && status.protocol !== packProtocol) {
+        result.minecraft = { server: status.protocolName || status.version || String(status.protocol), pack: pack.minecraft };
+    }
+    // mcsrvstat 不返回加载器，只有状态中继能识别时才比较
+    if (status.mods.loader && pack.loader && status.mods.loader.toLowerCase() !== pack.loader.name.toLowerCase()) {
+        result.loader = { server: status.mods.loader, pack: pack.loader.name };
+    }
+
+    const drifted = result.missing.length || result.extra.length || result.mismatched.length || result.minecraft || result.loader;
+    result.state = drifted ? 'drift' : 'match';
+    return result;
+}
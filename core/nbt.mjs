@@ -0,0 +1,125 @@
+// 未压缩 NBT 写入器，用于生成可以直接放进 .minecraft 文件夹的 servers.dat
+// 只实现服务器列表用到的标签类型；数值按大端序写入，字符串使用 Java 的 Modified UTF-8
+// 不依赖DOM，页面和命令行工具都可以使用
+
+export const TAG = { END: 0, BYTE: 1, SHORT: 2, INT: 3, STRING: 8, LIST: 9, COMPOUND: 10 };
+
+// 构造标签：compound 的值为 { 名称: 标签 }，list 的值为同一类型的标签数组
+export const nbt = {
+    byte: value => ({ type: TAG.BYTE, value }),
+    short: value => ({ type: TAG.SHORT, value }),
+    int: value => ({ type: TAG.INT, value }),
+    string: value => ({ type: TAG.STRING, value: String(value) }),
+    list: (itemType, value) => ({ type: TAG.LIST, itemType, value }),
+    compound: value => ({ type: TAG.COMPOUND, value })
+};
+
+// Java DataOutput.writeUTF 的编码：U+0000 写成两个字节，增补字符按两个代理项分别编码
+function encodeModifiedUtf8(text) {
+    const bytes = [];
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        if (code !== 0 && code < 0x80) {
+            bytes.push(code);
+        } else if (code < 0x800) {
+            bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+        } else {
+            bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+        }
+    }
+    if (bytes.length > 0xffff) {
+        throw new RangeError(`NBT 字符串过长: ${bytes.length} 字节`);
+    }
+    return bytes;
+}
+
+class NbtWriter {
+    constructor() {
+        this.bytes = [];
+    }
+
+    writeByte(value) {
+        this.bytes.push(value & 0xff);
+    }
+
+    writeShort(value) {
+        this.bytes.push((value >> 8) & 0xff, value & 0xff);
+    }
+
+    writeInt(value) {
+        this.bytes.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+    }
+
+    writeString(value) {
+        const encoded = encodeModifiedUtf8(value);
+        this.writeShort(encoded.length);
+        encoded.forEach(byte => this.bytes.push(byte));
+    }
+
+    writeNamedTag(name, tag) {
+        this.writeByte(tag.type);
+        this.writeString(name);
+        this.writePayload(tag);
+    }
+
+    writePayload(tag) {
+        switch (tag.type) {
+            case TAG.BYTE:
+                this.writeByte(tag.value);
+                break;
+            case TAG.SHORT:
+                this.writeShort(tag.value);
+                break;
+            case TAG.INT:
+                this.writeInt(tag.value);
+                break;
+            case TAG.STRING:
+                this.writeString(tag.value);
+                break;
+            case TAG.LIST:
+                // 空列表的元素类型写 TAG_End
+                this.writeByte(tag.value.length ? tag.itemType : TAG.END);
+                this.writeInt(tag.value.length);
+                tag.value.forEach(item => {
+                    if (item.type !== tag.itemType) {
+                        throw new TypeError('NBT 列表中的元素类型必须相同');
+                    }
+                    this.writePayload(item);
+                });
+                break;
+            case TAG.COMPOUND:
+                Object.entries(tag.value).forEach(([name, child]) => this.writeNamedTag(name, child));
+                this.writeByte(TAG.END);
+                break;
+            default:
+                throw new TypeError(`不支持的 NBT 标签类型: ${tag.type}`);
+        }
+    }
+}
+
+// 把根标签编码为未压缩的 NBT；根标签必须是 compound
+export function writeNbt(root, name = '') {
+    if (root.type !== TAG.COMPOUND) {
+        throw new TypeError('NBT 根标签必须是 compound');
+    }
+    const writer = new NbtWriter();
+    writer.writeNamedTag(name, root);
+    return Uint8Array.from(writer.bytes);
+}
+
+// 生成客户端多人游戏列表使用的 servers.dat
+//   servers 为 [{ name, ip, icon }]，icon 是服务器返回的 data:image/png;base64 地址，可省略
+export function createServersDat(servers) {
+    return writeNbt(nbt.compound({
+        servers: nbt.list(TAG.COMPOUND, servers.map(server => {
+            const entry = { name: nbt.string(server.name), ip: nbt.string(server.ip) };
+            const icon = /^data:image\/png;base64,/i.test(server.icon || '')
+                ? server.icon.replace(/^data:image\/png;base64,/i, '').replace(/\s+/g, '')
+                : null;
+            if (icon) {
+                entry.icon = nbt.string(icon);
+            }
+            return nbt.compound(entry);
+        }))
+    }));
+}
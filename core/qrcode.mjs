@@ -0,0 +1,391 @@
+// 本地二维码生成器：按 ISO/IEC 18004 以字节模式编码，不依赖第三方库或在线服务
+// 不依赖DOM，返回模块矩阵，由调用方绘制；renderQrSvg 生成 SVG 文本
+
+// 纠错等级：L 7%，M 15%，Q 25%，H 30%；bits 为格式信息中的编码
+const ECC_LEVELS = {
+    L: { index: 0, bits: 1 },
+    M: { index: 1, bits: 0 },
+    Q: { index: 2, bits: 3 },
+    H: { index: 3, bits: 2 }
+};
+
+// 每个纠错块的纠错码字数和纠错块数，按 [纠错等级][版本] 索引，版本 0 不使用
+const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+const NUM_ERROR_CORRECTION_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+// 八种掩码，返回 true 的模块取反
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+// 生成二维码，返回 { version, size, mask, modules }；modules[y][x] 为 true 表示深色模块
+//   options.ecc 纠错等级（默认 M），options.mask 固定掩码（默认自动选择）
+export function encodeQr(text, options = {}) {
+    const ecc = ECC_LEVELS[options.ecc || 'M'];
+    if (!ecc) {
+        throw new RangeError(`未知的纠错等级: ${options.ecc}`);
+    }
+    const data = Array.from(new TextEncoder().encode(String(text)));
+
+    // 选择能容纳数据的最小版本；字节模式的长度字段在版本 10 以上为 16 位
+    let version = MIN_VERSION;
+    for (; version <= MAX_VERSION; version++) {
+        const capacityBits = getNumDataCodewords(version, ecc) * 8;
+        const usedBits = 4 + (version < 10 ? 8 : 16) + data.length * 8;
+        if (usedBits <= capacityBits) break;
+    }
+    if (version > MAX_VERSION) {
+        throw new RangeError('内容过长，无法生成二维码');
+    }
+
+    const qr = new QrMatrix(version);
+    qr.drawFunctionPatterns();
+    qr.drawCodewords(addEccAndInterleave(encodeData(data, version, ecc), version, ecc));
+
+    // 依次尝试各掩码，保留罚分最低的
+    let mask = options.mask;
+    if (mask === undefined) {
+        let minPenalty = Infinity;
+        MASKS.forEach((unused, candidate) => {
+            qr.applyMask(candidate);
+            qr.drawFormatBits(ecc, candidate);
+            const penalty = qr.getPenaltyScore();
+            if (penalty < minPenalty) {
+                mask = candidate;
+                minPenalty = penalty;
+            }
+            qr.applyMask(candidate); // 再次异或即可还原
+        });
+    }
+    qr.applyMask(mask);
+    qr.drawFormatBits(ecc, mask);
+    return { version, size: qr.size, mask, modules: qr.modules };
+}
+
+// 把二维码绘制为 SVG；border 为四周留白的模块数，规范要求至少 4
+export function renderQrSvg(qr, options = {}) {
+    const border = options.border ?? 4;
+    const dark = options.dark || '#000';
+    const light = options.light || '#fff';
+    const total = qr.size + border * 2;
+    const path = [];
+    qr.modules.forEach((row, y) => row.forEach((isDark, x) => {
+        if (isDark) path.push(`M${x + border},${y + border}h1v1h-1z`);
+    }));
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">`
+        + `<rect width="100%" height="100%" fill="${light}"/><path d="${path.join('')}" fill="${dark}"/></svg>`;
+}
+
+// 版本的总模块数去掉定位、对齐、时序和格式/版本信息后可用于数据的位数
+function getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const numAlign = Math.floor(version / 7) + 2;
+        result -= (25 * numAlign - 10) * numAlign - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+function getNumDataCodewords(version, ecc) {
+    return Math.floor(getNumRawDataModules(version) / 8)
+        - ECC_CODEWORDS_PER_BLOCK[ecc.index][version] * NUM_ERROR_CORRECTION_BLOCKS[ecc.index][version];
+}
+
+// 模式指示符、长度、数据、终止符，再用 0xEC/0x11 填满数据码字
+function encodeData(data, version, ecc) {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    append(0b0100, 4);
+    append(data.length, version < 10 ? 8 : 16);
+    data.forEach(byte => append(byte, 8));
+
+    const capacityBits = getNumDataCodewords(version, ecc) * 8;
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+        append(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+// 把数据分块、计算每块的 Reed-Solomon 纠错码，再按列交错排列
+function addEccAndInterleave(data, version, ecc) {
+    const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecc.index][version];
+    const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecc.index][version];
+    const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+    const divisor = reedSolomonComputeDivisor(blockEccLen);
+    const blocks = [];
+    for (let i = 0, offset = 0; i < numBlocks; i++) {
+        const block = data.slice(offset, offset + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+        offset += block.length;
+        const eccCodewords = reedSolomonComputeRemainder(block, divisor);
+        // 短块补一个占位，交错时跳过
+        if (i < numShortBlocks) block.push(0);
+        blocks.push(block.concat(eccCodewords));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) {
+                result.push(block[i]);
+            }
+        });
+    }
+    return result;
+}
+
+// GF(2^8) 乘法，本原多项式 x^8 + x^4 + x^3 + x^2 + 1
+function reedSolomonMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonComputeDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = reedSolomonMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = reedSolomonMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function reedSolomonComputeRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= reedSolomonMultiply(coefficient, factor);
+        });
+    });
+    return result;
+}
+
+// 模块矩阵；isFunction 标记定位、对齐等功能图形，数据和掩码不会写入这些位置
+class QrMatrix {
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    setFunctionModule(x, y, isDark) {
+        this.modules[y][x] = isDark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        // 时序图形
+        for (let i = 0; i < this.size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        // 三个角上的定位图形（含分隔符）
+        this.drawFinderPattern(3, 3);
+        this.drawFinderPattern(this.size - 4, 3);
+        this.drawFinderPattern(3, this.size - 4);
+
+        // 对齐图形，与定位图形重叠的三个位置不画
+        const positions = this.getAlignmentPatternPositions();
+        const last = positions.length - 1;
+        positions.forEach((y, i) => positions.forEach((x, j) => {
+            if (!((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0))) {
+                this.drawAlignmentPattern(x, y);
+            }
+        }));
+
+        // 先占住格式信息的位置，选定掩码后再写入
+        this.drawFormatBits(ECC_LEVELS.M, 0);
+        this.drawVersion();
+    }
+
+    drawFinderPattern(x, y) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const xx = x + dx;
+                const yy = y + dy;
+                if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+                    this.setFunctionModule(xx, yy, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    }
+
+    drawAlignmentPattern(x, y) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    getAlignmentPatternPositions() {
+        if (this.version === 1) return [];
+        const numAlign = Math.floor(this.version / 7) + 2;
+        const step = this.version === 32 ? 26 : Math.ceil((this.version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let position = this.size - 7; result.length < numAlign; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    }
+
+    // 格式信息：纠错等级和掩码，BCH(15,5) 编码后与 0x5412 异或，写两份
+    drawFormatBits(ecc, mask) {
+        const data = (ecc.bits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) !== 0;
+
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+
+        for (let i = 0; i < 8; i++) this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, this.size - 15 + i, bit(i));
+        // 固定的深色模块
+        this.setFunctionModule(8, this.size - 8, true);
+    }
+
+    // 版本 7 及以上需要版本信息，BCH(18,6) 编码，写两份
+    drawVersion() {
+        if (this.version < 7) return;
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        }
+        const bits = (this.version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const isDark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, isDark);
+            this.setFunctionModule(b, a, isDark);
+        }
+    }
+
+    // 从右下角开始，每两列一组上下蛇形填入数据位；第 6 列是时序图形，跳过
+    drawCodewords(codewords) {
+        let i = 0;
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            for (let vertical = 0; vertical < this.size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vertical : vertical;
+                    if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    applyMask(mask) {
+        const invert = MASKS[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && invert(x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    // 按规范的四条规则计算罚分：连续同色、2×2 同色块、类似定位图形的序列、深浅比例
+    getPenaltyScore() {
+        const { size, modules } = this;
+        let result = 0;
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        lines.forEach(line => {
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    runLength++;
+                } else {
+                    if (runLength >= 5) result += 3 + (runLength - 5);
+                    runLength = 1;
+                }
+            }
+
+            const pattern = line.map(isDark => (isDark ? '1' : '0')).join('');
+            for (let index = pattern.indexOf('1011101'); index !== -1; index = pattern.indexOf('1011101', index + 1)) {
+                // 符号外的留白也算浅色
+                const before = pattern.slice(Math.max(0, index - 4), index);
+                const after = pattern.slice(index + 7, index + 11);
+                if (!before.includes('1') || !after.includes('1')) result += 40;
+            }
+        });
+
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    result += 3;
+                }
+            }
+        }
+
+        const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+        const total = size * size;
+        const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+        result += Math.max(0, k) * 10;
+        return result;
+    }
+}
@@ -0,0 +1,120 @@
+// 安全渲染：所有动态内容都通过 html`` 模板拼接，插值默认转义；数据源提供的图标地址和MOTD HTML按白名单清理
+// html、escapeHTML、safeImageUrl 不依赖DOM；createElementFromHTML、sanitizeMotdHtml 需要DOM，在页面以外使用时传入 document
+
+export class SafeHTML {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+// 转义HTML特殊字符
+export function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// 把插值转换为HTML：SafeHTML原样保留，数组逐项处理，其余一律转义
+function renderHTMLValue(value) {
+    if (value instanceof SafeHTML) return value.markup;
+    if (Array.isArray(value)) return value.map(renderHTMLValue).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHTML(value);
+}
+
+// 模板标签：html`<span>${name}</span>`
+export function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, index) => {
+        markup += renderHTMLValue(value) + strings[index + 1];
+    });
+    return new SafeHTML(markup);
+}
+
+// 设置元素内容，未经 html`` 处理的字符串会被当作纯文本
+export function setHTML(element, content) {
+    element.innerHTML = renderHTMLValue(content);
+}
+
+// 由 html`` 模板创建单个元素
+export function createElementFromHTML(content, doc = globalThis.document) {
+    const template = doc.createElement('template');
+    setHTML(template, content);
+    return template.content.firstElementChild;
+}
+
+// 只允许 https 图片和常见格式的 data: 图片
+export function safeImageUrl(url) {
+    if (typeof url !== 'string') return null;
+    if (/^data:image\/(png|jpeg|gif|webp);base64,[a-z0-9+/=\s]+$/i.test(url)) return url;
+    try {
+        return new URL(url).protocol === 'https:' ? url : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// MOTD HTML 允许的标签和样式
+const MOTD_ALLOWED_TAGS = new Set(['SPAN', 'B', 'STRONG', 'I', 'EM', 'U', 'S', 'STRIKE', 'BR']);
+const MOTD_DROPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'IFRAME', 'OBJECT', 'EMBED', 'SVG', 'MATH', 'TEMPLATE', 'NOSCRIPT', 'TEXTAREA', 'SELECT', 'LINK', 'META']);
+const MOTD_ALLOWED_STYLES = {
+    color: /^(#[0-9a-f]{3}|#[0-9a-f]{6}|rgb\(\s*\d{1,3}\s*,\s*\d{1,3}\s*,\s*\d{1,3}\s*\)|[a-z]+)$/i,
+    'font-weight': /^(bold|normal|[1-9]00)$/,
+    'font-style': /^(italic|normal)$/,
+    'text-decoration': /^(none|underline|line-through|underline line-through|line-through underline)$/
+};
+
+// 按白名单清理数据源提供的MOTD HTML，返回新建的安全节点
+export function sanitizeMotdHtml(markup, doc = globalThis.document) {
+    // template 中的内容不会执行脚本，也不会加载资源
+    const template = doc.createElement('template');
+    template.innerHTML = markup;
+    const fragment = doc.createDocumentFragment();
+    copySanitizedChildren(doc, template.content, fragment);
+    return fragment;
+}
+
+function copySanitizedChildren(doc, source, target) {
+    source.childNodes.forEach(node => {
+        if (node.nodeType === node.TEXT_NODE) {
+            target.appendChild(doc.createTextNode(node.textContent));
+            return;
+        }
+        if (node.nodeType !== node.ELEMENT_NODE) {
+            return;
+        }
+        // SVG 和 MathML 中的元素 tagName 是小写的
+        const tagName = node.tagName.toUpperCase();
+        if (MOTD_DROPPED_TAGS.has(tagName)) {
+            return;
+        }
+        if (!MOTD_ALLOWED_TAGS.has(tagName)) {
+            // 不认识的标签只保留文字
+            copySanitizedChildren(doc, node, target);
+            return;
+        }
+
+        const element = doc.createElement(tagName.toLowerCase());
+        Object.entries(MOTD_ALLOWED_STYLES).forEach(([property, pattern]) => {
+            const value = node.style.getPropertyValue(property).trim();
+            if (value && pattern.test(value)) {
+                element.style.setProperty(property, value);
+            }
+        });
+        node.classList.forEach(className => {
+            if (/^mc-[a-z0-9-]+$/.test(className)) {
+                element.classList.add(className);
+            }
+        });
+
+        copySanitizedChildren(doc, node, element);
+        target.appendChild(element);
+    });
+}
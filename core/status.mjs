@@ -0,0 +1,936 @@
+// 服务器状态核心：数据源、结果合并、地址解析和服务器清单，浏览器页面与 Node（命令行工具）共用
+// 不依赖 DOM；存储、语言和网络状态通过 ServerStatusManager 的选项注入
+
+// 状态数据源基类：每个数据源把自己的响应映射为统一的状态对象（可以只提供部分字段）
+export class StatusProvider {
+    constructor(id, options = {}) {
+        this.id = id;
+        this.name = options.name || id;
+        this.timeout = options.timeout || 8000; // 单个数据源的超时时间
+        this.editions = options.editions || ['java'];
+        this.ttl = options.ttl || null; // 该数据源结果的缓存时间，null 表示使用默认值
+    }
+
+    // 是否支持查询该版本（java/bedrock）的服务器
+    supports(edition) {
+        return this.editions.includes(edition);
+    }
+
+    // 获取服务器状态，子类需要实现；失败时直接抛出异常
+    async fetchStatus(serverAddress, signal, options = {}) {
+        throw new Error(`数据源 ${this.id} 未实现 fetchStatus`);
+    }
+
+    // 请求JSON数据
+    async fetchJson(url, signal) {
+        const response = await fetch(url, { signal });
+        if (!response.ok) {
+            throw new Error(`${this.name} 请求失败，状态码: ${response.status}`);
+        }
+        return response.json();
+    }
+}
+
+// uapis.cn 数据源：玩家数量更准确，直接提供HTML格式的MOTD
+export class UapisProvider extends StatusProvider {
+    constructor(options = {}) {
+        super('uapis', { name: 'uapis.cn', ...options });
+    }
+
+    async fetchStatus(serverAddress, signal) {
+        const data = await this.fetchJson(`https://uapis.cn/api/v1/game/minecraft/serverstatus?server=${encodeURIComponent(serverAddress)}`, signal);
+
+        // 检查数据是否完整
+        if (!data || data.code !== 200 || data.online === undefined) {
+            throw new Error(`${this.name} 返回的数据无效`);
+        }
+
+        return {
+            payload: data,
+            online: data.online,
+            ip: data.ip,
+            port: data.port,
+            hostname: data.hostname,
+            icon: data.favicon_url,
+            version: data.version,
+            players: {
+                online: data.players,
+                max: data.max_players
+            },
+            motd: {
+                clean: data.motd_clean ? [data.motd_clean] : [],
+                html: data.motd_html ? [data.motd_html] : []
+            }
+        };
+    }
+}
+
+// api.mcsrvstat.us 数据源：提供玩家列表、协议、插件等补充信息
+export class McsrvstatProvider extends StatusProvider {
+    constructor(options = {}) {
+        super('mcsrvstat', { name: 'mcsrvstat.us', editions: ['java', 'bedrock'], ...options });
+    }
+
+    async fetchStatus(serverAddress, signal, options = {}) {
+        const endpoint = options.edition === 'bedrock' ? 'bedrock/2' : '2';
+        const data = await this.fetchJson(`https://api.mcsrvstat.us/${endpoint}/${serverAddress}`, signal);
+
+        const status = {
+            payload: data,
+            online: data.online || false,
+            ip: data.ip,
+            port: data.port,
+            hostname: data.hostname,
+            debug: {
+                query: data.debug ? data.debug.query : undefined
+            }
+        };
+
+        if (!data.online) {
+            return status;
+        }
+
+        return {
+            ...status,
+            icon: data.icon,
+            version: data.version,
+            protocol: data.protocol,
+            protocolName: data.protocol_name || data.protocolName,
+            players: data.players ? {
+                online: data.players.online,
+                max: data.players.max,
+                list: data.players.list || []
+            } : undefined,
+            motd: data.motd ? {
+                raw: data.motd.raw || [],
+                clean: data.motd.clean || [],
+                html: data.motd.html || []
+            } : undefined,
+            software: data.software,
+            gamemode: data.gamemode,
+            map: data.map,
+            plugins: this.normalizePlugins(data.plugins),
+            mods: this.normalizeMods(data.mods)
+        };
+    }
+
+    // v2接口的插件信息为 { names, raw }，统一成 [{ name, version }]
+    normalizePlugins(plugins) {
+        if (!plugins) return [];
+        if (Array.isArray(plugins)) {
+            return plugins.map(plugin => typeof plugin === 'string' ? { name: plugin, version: null } : plugin);
+        }
+        const raw = plugins.raw || plugins.names || [];
+        return raw.map(entry => {
+            const match = /^(.+?)\s+v?(\d[^\s]*)$/.exec(entry);
+            return match ? { name: match[1], version: match[2] } : { name: entry, version: null };
+        });
+    }
+
+    // 模组信息统一成与状态中继相同的 { loader, truncated, list: [{ id, version }] }，mcsrvstat 不区分 Forge 和 NeoForge
+    normalizeMods(mods) {
+        if (!mods) return undefined;
+        const entries = Array.isArray(mods) ? mods : Object.values(mods.raw || mods.names || {});
+        const list = entries.map(entry => {
+            if (typeof entry !== 'string') return { id: entry.name, version: entry.version || null };
+            const match = /^(.+?)\s+v?(\d[^\s]*)$/.exec(entry);
+            return match ? { id: match[1], version: match[2] } : { id: entry, version: null };
+        });
+        return list.length ? { loader: null, truncated: false, list } : undefined;
+    }
+}
+
+// 本地状态中继数据源：直接进行 Server List Ping 和 Query，提供真实延迟、原始MOTD、完整玩家列表和模组信息
+export class RelayProvider extends StatusProvider {
+    constructor(relayUrl, options = {}) {
+        super('relay', { name: '状态中继', editions: ['java', 'bedrock'], ...options });
+        this.relayUrl = relayUrl.replace(/\/+$/, '');
+    }
+
+    // 请求中继的 /status 接口，返回中继的原始结果
+    async fetchRelayStatus(serverAddress, signal, options = {}) {
+        const edition = options.edition === 'bedrock' ? '&edition=bedrock' : '';
+        return this.fetchJson(`${this.relayUrl}/status?address=${encodeURIComponent(serverAddress)}${edition}`, signal);
+    }
+
+    async fetchStatus(serverAddress, signal, options = {}) {
+        const data = await this.fetchRelayStatus(serverAddress, signal, options);
+
+        if (!data.online) {
+            return {
+                payload: data,
+                online: false,
+                hostname: data.host,
+                port: data.port,
+                srv: data.srv,
+                offlineReason: data.error ? data.error.code : undefined
+            };
+        }
+
+        // 服务器开启了 Query 时使用完整玩家列表，否则只有 ping 返回的 sample
+        const query = data.query;
+
+        return {
+            payload: data,
+            online: true,
+            hostname: data.host,
+            port: data.port,
+            srv: data.srv,
+            icon: data.favicon,
+            version: data.version.name,
+            protocol: data.version.protocol,
+            players: {
+                online: data.players.online,
+                max: data.players.max,
+                list: query ? query.players : data.players.sample.map(player => player.name)
+            },
+            motd: {
+                raw: [data.motd.raw],
+                clean: data.motd.clean ? [data.motd.clean] : []
+            },
+            debug: {
+                ping: data.latency,
+                query: query ? true : undefined
+            },
+            software: query ? query.software : undefined,
+            // 基岩版的游戏模式和世界名来自 ping 响应本身
+            gamemode: data.gamemode || (query ? query.gametype : undefined),
+            map: data.levelName || (query ? query.map : undefined),
+            plugins: query ? query.plugins : undefined,
+            mods: data.mods
+        };
+    }
+}
+
+// 熔断器：数据源连续失败达到阈值后，在冷却时间内直接跳过它
+export class CircuitBreaker {
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold || 3;
+        this.cooldown = options.cooldown || 60000;
+        this.failures = 0;
+        this.openedAt = null;
+        this.probing = false;
+    }
+
+    // 熔断打开且未过冷却期时不允许请求；冷却期过后只放行一次试探请求，试探结束前其余请求仍然跳过
+    canRequest() {
+        if (this.openedAt === null) return true;
+        return !this.probing && Date.now() - this.openedAt >= this.cooldown;
+    }
+
+    // 开始一次请求，返回 false 表示应当跳过；半开状态下占用唯一的试探名额
+    acquire() {
+        if (!this.canRequest()) return false;
+        if (this.openedAt !== null) this.probing = true;
+        return true;
+    }
+
+    recordSuccess() {
+        this.failures = 0;
+        this.openedAt = null;
+        this.probing = false;
+    }
+
+    // 试探失败时重新开始冷却
+    recordFailure() {
+        this.failures++;
+        this.probing = false;
+        if (this.failures >= this.failureThreshold) {
+            this.openedAt = Date.now();
+        }
+    }
+
+    get state() {
+        if (this.openedAt === null) return 'closed';
+        return this.probing || Date.now() - this.openedAt >= this.cooldown ? 'half-open' : 'open';
+    }
+}
+
+// 数据源注册表：按顺序查询各数据源并合并结果
+export class ProviderRegistry {
+    constructor(options = {}) {
+        this.providers = new Map();
+        this.breakers = new Map();
+        this.order = [];
+        this.breakerOptions = options.breaker || {};
+        // 字段级优先级，例如 { icon: ['mcsrvstat'] } 表示图标优先取 mcsrvstat
+        this.fieldPriority = options.fieldPriority || {};
+        // 命令行输出 JSON 时需要安静的日志，默认输出到控制台
+        this.logger = options.logger || console;
+    }
+
+    // 注册数据源，position 省略时追加到末尾
+    register(provider, position = this.order.length) {
+        if (this.providers.has(provider.id)) {
+            this.unregister(provider.id);
+        }
+        this.providers.set(provider.id, provider);
+        this.breakers.set(provider.id, new CircuitBreaker(this.breakerOptions));
+        this.order.splice(position, 0, provider.id);
+        return this;
+    }
+
+    // 移除数据源
+    unregister(providerId) {
+        this.providers.delete(providerId);
+        this.breakers.delete(providerId);
+        this.order = this.order.filter(id => id !== providerId);
+        return this;
+    }
+
+    // 调整查询顺序，未列出的数据源保持原顺序排在后面
+    setOrder(providerIds) {
+        const known = providerIds.filter(id => this.providers.has(id));
+        this.order = [...known, ...this.order.filter(id => !known.includes(id))];
+        return this;
+    }
+
+    // 获取当前未被熔断、且支持该版本的数据源
+    getAvailableProviders(edition = 'java') {
+        return this.order
+            .filter(id => this.breakers.get(id).canRequest() && this.providers.get(id).supports(edition))
+            .map(id => this.providers.get(id));
+    }
+
+    // 带超时地调用单个数据源，并记录熔断状态
+    //   options.trackFailures 为 false 时（用户输入的任意地址）不占用试探名额，结果也不计入熔断器
+    async callProvider(provider, serverAddress, options = {}) {
+        const breaker = this.breakers.get(provider.id);
+        const tracked = options.trackFailures !== false;
+        if (tracked && !breaker.acquire()) {
+            const skipped = new Error(`${provider.name} 已熔断，跳过请求`);
+            skipped.code = 'EBREAKER';
+            throw skipped;
+        }
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), provider.timeout);
+
+        try {
+            const status = await provider.fetchStatus(serverAddress, controller.signal, options);
+            if (tracked) breaker.recordSuccess();
+            return status;
+        } catch (error) {
+            if (tracked) breaker.recordFailure();
+            if (controller.signal.aborted) {
+                const timeoutError = new Error(`${provider.name} 请求超时 (${provider.timeout}ms)`);
+                timeoutError.code = 'ETIMEDOUT';
+                throw timeoutError;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // 获取服务器状态：第一个成功的数据源决定在线状态，在线时再并行查询其余数据源补充字段
+    async fetchStatus(serverAddress, options = {}) {
+        const providers = this.getAvailableProviders(options.edition);
+        const results = [];
+        const errors = [];
+        let primaryIndex = -1;
+
+        for (let i = 0; i < providers.length; i++) {
+            try {
+                const status = await this.callProvider(providers[i], serverAddress, options);
+                this.logger.log(`${providers[i].name} 响应:`, status);
+                results.push({ providerId: providers[i].id, status });
+                primaryIndex = i;
+                break;
+            } catch (error) {
+                this.logger.warn(`${providers[i].name} 请求失败:`, error);
+                errors.push(error);
+            }
+        }
+
+        if (primaryIndex === -1) {
+            const error = new Error('无法获取服务器状态，请检查网络连接');
+            // 所有数据源都超时时保留超时原因，便于界面给出具体提示
+            if (errors.length > 0 && errors.every(item => item.code === 'ETIMEDOUT')) {
+                error.code = 'ETIMEDOUT';
+            }
+            throw error;
+        }
+
+        if (results[0].status.online) {
+            const supplements = providers.slice(primaryIndex + 1);
+            const settled = await Promise.allSettled(
+                supplements.map(provider => this.callProvider(provider, serverAddress, options))
+            );
+            settled.forEach((outcome, index) => {
+                if (outcome.status === 'fulfilled') {
+                    results.push({ providerId: supplements[index].id, status: outcome.value });
+                } else {
+                    this.logger.warn(`${supplements[index].name} 补充请求失败:`, outcome.reason);
+                }
+            });
+        }
+
+        return this.mergeResults(results);
+    }
+
+    // 合并各数据源的结果，并记录每个字段来自哪个数据源
+    mergeResults(results) {
+        const merged = {};
+        const sources = {};
+
+        STATUS_FIELDS.forEach(field => {
+            const preferred = this.fieldPriority[field] || [];
+            const ordered = [
+                ...results.filter(result => preferred.includes(result.providerId))
+                    .sort((a, b) => preferred.indexOf(a.providerId) - preferred.indexOf(b.providerId)),
+                ...results.filter(result => !preferred.includes(result.providerId))
+            ];
+
+            for (const result of ordered) {
+                const value = getFieldValue(result.status, field);
+                if (hasFieldValue(value)) {
+                    setFieldValue(merged, field, value);
+                    sources[field] = result.providerId;
+                    return;
+                }
+            }
+
+            setFieldValue(merged, field, getFieldValue(STATUS_DEFAULTS, field));
+        });
+
+        merged.debug.cacheHit = false;
+        merged.sources = sources;
+        // 各数据源返回的原始数据，供详情中查看
+        merged.payloads = Object.fromEntries(results
+            .filter(result => result.status.payload !== undefined)
+            .map(result => [result.providerId, result.status.payload]));
+        return merged;
+    }
+}
+
+// 标准化状态对象包含的字段（点号表示嵌套）
+export const STATUS_FIELDS = [
+    'online', 'ip', 'port', 'hostname', 'icon', 'version', 'protocol', 'protocolName',
+    'players.online', 'players.max', 'players.list',
+    'motd.raw', 'motd.clean', 'motd.html',
+    'debug.ping', 'debug.query',
+    'software', 'gamemode', 'map', 'plugins', 'mods', 'srv', 'offlineReason'
+];
+
+// 所有数据源都没有提供时使用的默认值（null 表示未知，由界面显示为对应语言的“未知”）
+export const STATUS_DEFAULTS = {
+    online: false,
+    ip: null,
+    port: null,
+    hostname: null,
+    icon: null,
+    version: null,
+    protocol: null,
+    protocolName: null,
+    players: { online: 0, max: 0, list: [] },
+    motd: { raw: [], clean: [], html: [] },
+    debug: { ping: null, query: false },
+    software: null,
+    gamemode: null,
+    map: null,
+    plugins: [],
+    mods: null,
+    srv: null,
+    offlineReason: null
+};
+
+function getFieldValue(object, field) {
+    return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setFieldValue(object, field, value) {
+    const keys = field.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((node, key) => (node[key] = node[key] || {}), object);
+    target[last] = value;
+}
+
+function hasFieldValue(value) {
+    if (value === undefined || value === null || value === '') return false;
+    if (Array.isArray(value)) return value.length > 0;
+    return true;
+}
+
+// 内置服务器列表，servers.json 无法加载时使用
+export const DEFAULT_SERVERS = [
+    {
+        id: '1',
+        name: '一服 - 生电插件服',
+        shortName: '一服',
+        address: 'play.simpfun.cn:30786',
+        edition: 'java',
+        type: 'plugin',
+        description: '插件服，鼓励生电',
+        joinHint: '直接加入，无需下载',
+        tags: ['生电', '插件服'],
+        order: 1,
+        locales: {
+            en: {
+                name: 'Server 1 - Technical Plugin Server',
+                shortName: 'Server 1',
+                description: 'Plugin server, technical play welcome',
+                joinHint: 'Join directly, no download needed',
+                tags: ['Technical', 'Plugins']
+            }
+        }
+    },
+    {
+        id: '2',
+        name: '二服 - 整合包服',
+        shortName: '二服',
+        address: 'play.simpfun.cn:17795',
+        edition: 'java',
+        type: 'modpack',
+        description: '整合包服，需下载客户端',
+        joinHint: '需下载客户端整合包',
+        tags: ['整合包'],
+        order: 2,
+        locales: {
+            en: {
+                name: 'Server 2 - Modpack Server',
+                shortName: 'Server 2',
+                description: 'Modpack server, client download required',
+                joinHint: 'Download the client modpack first',
+                tags: ['Modpack']
+            }
+        }
+    }
+];
+
+// 校验并补全服务器清单条目，按 order 排序；无效条目通过 logger 提示
+export function normalizeServerList(entries, logger = console) {
+    return entries
+        .filter(entry => {
+            const valid = entry && entry.id && entry.name && entry.address;
+            if (!valid) {
+                logger.warn('忽略无效的服务器条目:', entry);
+            }
+            return valid;
+        })
+        .map((entry, index) => ({
+            id: String(entry.id),
+            name: entry.name,
+            shortName: entry.shortName || entry.name,
+            address: entry.address,
+            edition: entry.edition === 'bedrock' ? 'bedrock' : 'java',
+            type: entry.type || 'plugin',
+            description: entry.description || '',
+            joinHint: entry.joinHint || '',
+            tags: Array.isArray(entry.tags) ? entry.tags : [],
+            order: Number.isFinite(entry.order) ? entry.order : index,
+            locales: entry.locales && typeof entry.locales === 'object' ? entry.locales : {},
+            cacheTtl: Number.isFinite(entry.cacheTtl) && entry.cacheTtl > 0 ? entry.cacheTtl : null
+        }))
+        .sort((a, b) => a.order - b.order);
+}
+
+// 用当前语言的名称、简介等覆盖服务器条目，没有翻译的字段保持原样
+export function localizeServer(server, locale) {
+    const translation = server.locales[locale] || {};
+    const localized = { ...server };
+    ['name', 'shortName', 'description', 'joinHint'].forEach(field => {
+        if (typeof translation[field] === 'string' && translation[field]) localized[field] = translation[field];
+    });
+    if (Array.isArray(translation.tags)) localized.tags = translation.tags;
+    return localized;
+}
+
+// 各版本的默认端口；基岩版服务器通常使用 19132/19133
+export const DEFAULT_PORTS = { java: 25565, bedrock: 19132 };
+export const BEDROCK_PORTS = [19132, 19133];
+
+// 解析用户输入的服务器地址，支持域名、IPv4、[IPv6]:端口和不带方括号的IPv6
+// 返回 null 表示地址无效；未写端口时 address 不带端口，交给数据源查询SRV记录
+export function parseServerAddress(input) {
+    const value = String(input || '').trim().replace(/^minecraft:\/\//i, '').replace(/\/+$/, '');
+    if (!value || /[\s/?#@\\]/.test(value)) return null;
+
+    let host;
+    let port;
+    const bracketed = /^\[([^\]]+)\](?::(.*))?$/.exec(value);
+    if (bracketed) {
+        [, host, port] = bracketed;
+    } else if ((value.match(/:/g) || []).length > 1) {
+        host = value; // 不带方括号的IPv6无法再写端口
+    } else {
+        [host, port] = value.split(':');
+    }
+
+    // 交给URL解析器校验并规范化（国际化域名转为punycode，IPv6压缩写法）
+    const ipv6 = host.includes(':');
+    try {
+        host = new URL(`http://${ipv6 ? `[${host}]` : host}`).hostname;
+    } catch (error) {
+        return null;
+    }
+    if (ipv6) {
+        host = host.slice(1, -1);
+    } else if (!/^(?=.{1,253}$)[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9])?(?:\.[a-z0-9_](?:[a-z0-9_-]{0,61}[a-z0-9])?)*$/.test(host)) {
+        return null;
+    }
+
+    const explicitPort = port !== undefined;
+    if (explicitPort && (!/^\d{1,5}$/.test(port) || Number(port) < 1 || Number(port) > 65535)) return null;
+
+    const edition = explicitPort && BEDROCK_PORTS.includes(Number(port)) ? 'bedrock' : 'java';
+    const hostPart = ipv6 ? `[${host}]` : host;
+    return {
+        host,
+        port: explicitPort ? Number(port) : DEFAULT_PORTS[edition],
+        explicitPort,
+        ipv6,
+        edition,
+        address: explicitPort ? `${hostPart}:${Number(port)}` : hostPart
+    };
+}
+
+// 状态缓存：每个条目记录获取时间和过期时间，过期后仍保留，作为重新获取完成前的旧数据
+// 获取失败也会缓存一小段时间（负缓存），期间不再重复请求
+//   storage     保存缓存的存储（localStorage 接口），null 表示只保存在内存中
+//   maxEntries  最多保存的条目数，超出时淘汰最久没有使用的条目
+//   maxAge      条目最长保留时间，超过后不再作为旧数据使用
+export class StatusCache {
+    constructor(options = {}) {
+        this.storage = options.storage || null;
+        this.storageKey = options.storageKey || 'mxdl-last-status';
+        this.maxEntries = options.maxEntries || 50;
+        this.maxAge = options.maxAge || 7 * 24 * 3600000;
+        this.logger = options.logger || console;
+        this.entries = this.load();
+    }
+
+    // 条目是否仍在有效期内
+    isFresh(entry, now = Date.now()) {
+        return Boolean(entry) && now < entry.expires;
+    }
+
+    // 读取条目并更新使用时间；超过最长保留时间的条目视为不存在
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return null;
+        if (Date.now() - entry.timestamp > this.maxAge) {
+            this.delete(key);
+            return null;
+        }
+        entry.lastUsed = Date.now();
+        return entry;
+    }
+
+    // 读取条目但不更新使用时间，供列表和检查器使用
+    peek(key) {
+        return this.entries.get(key) || null;
+    }
+
+    // 写入成功获取的状态
+    set(key, data, { timestamp = Date.now(), ttl = 0, provider = null } = {}) {
+        this.entries.set(key, { data, error: null, timestamp, expires: timestamp + ttl, lastUsed: Date.now(), provider });
+        this.save();
+    }
+
+    // 写入失败结果，保留之前获取到的状态作为旧数据
+    setError(key, error, ttl) {
+        const previous = this.entries.get(key);
+        const now = Date.now();
+        this.entries.set(key, {
+            data: previous ? previous.data : null,
+            error: { code: error.code || null, message: error.message },
+            timestamp: previous && previous.data ? previous.timestamp : now,
+            expires: now + ttl,
+            lastUsed: now,
+            provider: previous ? previous.provider : null
+        });
+        this.save();
+    }
+
+    delete(key) {
+        this.entries.delete(key);
+        this.save();
+    }
+
+    clear() {
+        this.entries.clear();
+        this.save();
+    }
+
+    // 按最近使用时间排列的全部条目
+    list() {
+        return Array.from(this.entries, ([key, entry]) => ({ key, ...entry }))
+            .sort((a, b) => b.lastUsed - a.lastUsed);
+    }
+
+    // 淘汰超过最长保留时间的条目，再按最久没有使用淘汰到 maxEntries 以内
+    evict() {
+        const now = Date.now();
+        this.entries.forEach((entry, key) => {
+            if (now - entry.timestamp > this.maxAge) this.entries.delete(key);
+        });
+        const overflow = this.list().slice(this.maxEntries);
+        overflow.forEach(entry => this.entries.delete(entry.key));
+    }
+
+    // 旧版本只保存 { data, timestamp }，读取时补全其余字段并视为已过期
+    load() {
+        if (!this.storage) return new Map();
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.storageKey));
+            if (saved && typeof saved === 'object') {
+                return new Map(Object.entries(saved).map(([key, entry]) => [key, {
+                    data: entry.data || null,
+                    error: entry.error || null,
+                    timestamp: entry.timestamp,
+                    expires: entry.expires || entry.timestamp,
+                    lastUsed: entry.lastUsed || entry.timestamp,
+                    provider: entry.provider || null
+                }]));
+            }
+        } catch (error) {
+            this.logger.warn('读取状态缓存失败:', error);
+        }
+        return new Map();
+    }
+
+    // 原始数据只保存在内存中，避免占满存储空间
+    save() {
+        this.evict();
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(Object.fromEntries(this.entries), (key, value) => (key === 'payloads' ? undefined : value)));
+        } catch (error) {
+            this.logger.warn('保存状态缓存失败:', error);
+        }
+    }
+}
+
+// 服务器状态管理器
+//   cacheTimeout       列表中服务器的默认缓存时间，0 表示不使用缓存
+//   customCacheTimeout 自定义检测地址的默认缓存时间
+//   negativeTimeout    获取失败后多久内不再重新请求
+//   清单中的 cacheTtl（秒）和数据源的 ttl 优先于默认缓存时间
+//   storage      保存状态缓存的存储（localStorage 接口），null 表示不保存
+//   getLocale    返回当前语言，用于本地化服务器名称
+//   isOnline     返回是否联网，断网时直接使用上次的状态
+//   loadManifest 返回服务器清单对象，默认通过 fetch 读取 manifestUrl
+export class ServerStatusManager {
+    constructor(options = {}) {
+        this.cacheTimeout = options.cacheTimeout ?? 30000; // 30秒缓存
+        this.customCacheTimeout = options.customCacheTimeout ?? 60000;
+        this.negativeTimeout = options.negativeTimeout ?? 15000;
+        this.storage = options.storage !== undefined ? options.storage : globalThis.localStorage || null;
+        this.getLocale = options.getLocale || (() => 'zh-CN');
+        this.isOnline = options.isOnline || (() => !globalThis.navigator || globalThis.navigator.onLine !== false);
+        this.logger = options.logger || console;
+        this.cache = new StatusCache({
+            storage: this.storage,
+            storageKey: options.storageKey,
+            maxEntries: options.maxCacheEntries,
+            logger: this.logger
+        });
+        this.inFlight = new Map();
+        this.manifestUrl = options.manifestUrl || 'servers.json';
+        this.loadManifest = options.loadManifest || (() => this.fetchManifest());
+        // 先使用上次加载的清单，清单还没加载完成时也能按正确的列表显示缓存的状态
+        this.manifestStorageKey = options.manifestStorageKey || 'mxdl-servers';
+        this.serverList = this.loadSavedServers() || normalizeServerList(DEFAULT_SERVERS, this.logger);
+
+        // 数据源按顺序查询（配置了中继时中继优先）；图标优先使用mcsrvstat的data URI
+        this.providers = new ProviderRegistry({
+            fieldPriority: { icon: ['mcsrvstat'] },
+            breaker: { failureThreshold: 3, cooldown: 60000 },
+            logger: this.logger
+        });
+        // 中继直接探测服务器，结果最新；mcsrvstat.us 自身会缓存结果，频繁查询拿到的也是同样的数据
+        if (options.relayUrl) {
+            this.providers.register(new RelayProvider(options.relayUrl, { timeout: 6000, ttl: 15000 }));
+        }
+        this.providers.register(new UapisProvider({ timeout: 8000 }));
+        this.providers.register(new McsrvstatProvider({ timeout: 10000, ttl: 60000 }));
+        if (options.providerOrder) {
+            this.providers.setOrder(options.providerOrder);
+        }
+    }
+
+    // 当前语言下的服务器列表
+    get servers() {
+        return this.serverList.map(server => localizeServer(server, this.getLocale()));
+    }
+
+    // 缓存键：Java 版直接使用地址，其他版本加上版本前缀
+    getCacheKey(serverAddress, edition = 'java') {
+        return edition === 'java' ? serverAddress : `${edition}:${serverAddress}`;
+    }
+
+    // 列表中某个服务器的缓存条目，包含获取时间
+    getCacheEntry(server) {
+        return this.cache.peek(this.getCacheKey(server.address, server.edition));
+    }
+
+    // 列表中某个服务器最近一次获取到的状态
+    getCachedStatus(server) {
+        const cached = this.getCacheEntry(server);
+        return cached ? cached.data : null;
+    }
+
+    // 缓存时间：清单中服务器的 cacheTtl 优先，其次是决定在线状态的数据源的 ttl，最后是默认值
+    getCacheTtl(serverAddress, edition, status) {
+        if (!this.cacheTimeout) return 0;
+        const server = this.serverList.find(item => item.address === serverAddress && item.edition === edition);
+        if (server && server.cacheTtl) return server.cacheTtl * 1000;
+        const provider = status && status.sources ? this.providers.providers.get(status.sources.online) : null;
+        if (provider && provider.ttl) return provider.ttl;
+        return server ? this.cacheTimeout : this.customCacheTimeout;
+    }
+
+    // 获取服务器状态；基岩版服务器需要指定 options.edition = 'bedrock'
+    // 缓存过期后重新获取；获取失败时返回缓存中的旧数据（stale），没有旧数据才抛出错误
+    // options.force 为 true 时忽略未过期的缓存，用于显示为实时结果的刷新
+    async getServerStatus(serverAddress, options = {}) {
+        const edition = options.edition || 'java';
+        const cacheKey = this.getCacheKey(serverAddress, edition);
+        const cached = this.cache.get(cacheKey);
+        const now = Date.now();
+        
+        if (!options.force && this.cacheTimeout && this.cache.isFresh(cached, now)) {
+            // 负缓存：最近获取失败过，有效期内直接返回旧数据或同样的错误
+            if (cached.error) {
+                if (cached.data) return this.fromCache(cached, true);
+                const error = new Error(cached.error.message);
+                error.code = cached.error.code;
+                throw error;
+            }
+            return this.fromCache(cached, false);
+        }
+
+        // 断网时不发请求，直接使用上次的状态
+        if (!this.isOnline() && cached && cached.data) {
+            return this.fromCache(cached, true);
+        }
+        
+        // 同一地址的请求还没返回时共用它的结果，不重复请求
+        if (this.inFlight.has(cacheKey)) {
+            return this.inFlight.get(cacheKey);
+        }
+        const request = this.refreshStatus(serverAddress, edition, cached, now)
+            .finally(() => this.inFlight.delete(cacheKey));
+        this.inFlight.set(cacheKey, request);
+        return request;
+    }
+
+    async refreshStatus(serverAddress, edition, cached, now) {
+        try {
+            const freshData = await this.fetchServerStatus(serverAddress, { edition });
+            this.setStatus(serverAddress, edition, freshData, now);
+            
+            return { ...freshData, fromCache: false, updatedAt: now };
+        } catch (error) {
+            if (this.cacheTimeout) {
+                this.cache.setError(this.getCacheKey(serverAddress, edition), error, this.negativeTimeout);
+            }
+            // 如果获取失败，返回缓存数据（如果有）
+            if (cached && cached.data) {
+                return this.fromCache(cached, true);
+            }
+            throw error;
+        }
+    }
+
+    fromCache(cached, stale) {
+        return { ...cached.data, fromCache: true, ...(stale ? { stale: true } : {}), updatedAt: cached.timestamp };
+    }
+
+    // 写入缓存并保存；其他途径（如聚合服务推送）获取的状态也通过这里写入
+    setStatus(serverAddress, edition, data, timestamp = Date.now()) {
+        this.cache.set(this.getCacheKey(serverAddress, edition), data, {
+            timestamp,
+            ttl: this.getCacheTtl(serverAddress, edition, data),
+            provider: data.sources ? data.sources.online || null : null
+        });
+    }
+
+    // 从服务器清单加载服务器列表，加载失败时使用内置列表
+    async loadServers() {
+        try {
+            const manifest = await this.loadManifest();
+            const servers = normalizeServerList(manifest.servers || [], this.logger);
+            if (servers.length === 0) {
+                throw new Error('清单中没有有效的服务器');
+            }
+            this.serverList = servers;
+            this.saveServers(manifest.servers);
+        } catch (error) {
+            this.logger.warn('服务器清单加载失败，使用内置列表:', error);
+        }
+        return this.servers;
+    }
+
+    loadSavedServers() {
+        if (!this.storage) return null;
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.manifestStorageKey));
+            const servers = Array.isArray(saved) ? normalizeServerList(saved, this.logger) : [];
+            return servers.length ? servers : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    saveServers(entries) {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(this.manifestStorageKey, JSON.stringify(entries));
+        } catch (error) {
+            this.logger.warn('保存服务器清单失败:', error);
+        }
+    }
+
+    async fetchManifest() {
+        const response = await fetch(this.manifestUrl, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`状态码: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    // 根据ID获取服务器
+    getServer(serverId) {
+        return this.servers.find(server => server.id === serverId) || null;
+    }
+
+    // 从已注册的数据源获取服务器状态
+    // 只有清单中的服务器计入熔断器，自定义检测的地址写错不会让列表中的服务器也跳过数据源
+    async fetchServerStatus(serverAddress, options = {}) {
+        const edition = options.edition || 'java';
+        const listed = this.serverList.some(server => server.address === serverAddress && server.edition === edition);
+        const status = await this.providers.fetchStatus(serverAddress, { ...options, trackFailures: listed });
+        return { ...status, edition: options.edition || 'java' };
+    }
+
+    // 检测任意地址：先按端口猜测的版本查询，离线时再尝试另一个版本；options.force 同 getServerStatus
+    async detectServer(parsed, options = {}) {
+        const editions = (parsed.edition === 'bedrock' ? ['bedrock', 'java'] : ['java', 'bedrock'])
+            .filter(edition => this.providers.getAvailableProviders(edition).length > 0);
+        let offline = null;
+        let firstError = null;
+
+        for (const edition of editions) {
+            try {
+                const status = await this.getServerStatus(parsed.address, { edition, force: options.force });
+                if (status.online) return status;
+                offline = offline || status;
+            } catch (error) {
+                firstError = firstError || error;
+            }
+        }
+
+        if (offline) return offline;
+        throw firstError || new Error('没有可用的数据源');
+    }
+
+    // 获取玩家头像URL，按优先级排列：Cravatar、Minotar
+    getPlayerAvatarUrls(username) {
+        const name = encodeURIComponent(username);
+        return [
+            `https://cravatar.eu/helmavatar/${name}/64.png`,
+            `https://minotar.net/avatar/${name}/64.png`
+        ];
+    }
+}
@@ -0,0 +1,134 @@
+// Minecraft Java 版协议的基础编码：VarInt、字符串和数据包封装
+
+// 编码VarInt（每字节7位，最高位表示后面还有字节）
+export function encodeVarInt(value) {
+    const bytes = [];
+    let remaining = value >>> 0;
+    do {
+        let byte = remaining & 0x7f;
+        remaining >>>= 7;
+        if (remaining !== 0) byte |= 0x80;
+        bytes.push(byte);
+    } while (remaining !== 0);
+    return Buffer.from(bytes);
+}
+
+// 从buffer的offset处读取VarInt；数据不完整时返回null
+export function decodeVarInt(buffer, offset = 0) {
+    let value = 0;
+    let position = 0;
+    let index = offset;
+
+    while (true) {
+        if (index >= buffer.length) return null;
+        const byte = buffer[index++];
+        value |= (byte & 0x7f) << position;
+        if ((byte & 0x80) === 0) break;
+        position += 7;
+        if (position >= 35) throw new Error('VarInt 过长');
+    }
+
+    return { value: value | 0, size: index - offset };
+}
+
+// 编码协议字符串（VarInt长度 + UTF-8）
+export function encodeString(text) {
+    const bytes = Buffer.from(text, 'utf8');
+    return Buffer.concat([encodeVarInt(bytes.length), bytes]);
+}
+
+// 编码无符号短整型（大端）
+export function encodeUShort(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16BE(value);
+    return buffer;
+}
+
+// 封装数据包：VarInt长度 + VarInt包ID + 数据
+export function encodePacket(packetId, ...fields) {
+    const body = Buffer.concat([encodeVarInt(packetId), ...fields]);
+    return Buffer.concat([encodeVarInt(body.length), body]);
+}
+
+// 顺序读取数据包内容
+export class PacketReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.offset = 0;
+    }
+
+    readVarInt() {
+        const result = decodeVarInt(this.buffer, this.offset);
+        if (!result) throw new Error('数据包不完整');
+        this.offset += result.size;
+        return result.value;
+    }
+
+    readString() {
+        const length = this.readVarInt();
+        if (length < 0) throw new Error(`字符串长度无效: ${length}`);
+        if (this.offset + length > this.buffer.length) throw new Error('数据包不完整');
+        const text = this.buffer.toString('utf8', this.offset, this.offset + length);
+        this.offset += length;
+        return text;
+    }
+
+    readBoolean() {
+        return this.readUByte() !== 0;
+    }
+
+    readUByte() {
+        if (this.offset + 1 > this.buffer.length) throw new Error('数据包不完整');
+        return this.buffer[this.offset++];
+    }
+
+    readUShort() {
+        if (this.offset + 2 > this.buffer.length) throw new Error('数据包不完整');
+        const value = this.buffer.readUInt16BE(this.offset);
+        this.offset += 2;
+        return value;
+    }
+
+    readBigInt64() {
+        if (this.offset + 8 > this.buffer.length) throw new Error('数据包不完整');
+        const value = this.buffer.readBigInt64BE(this.offset);
+        this.offset += 8;
+        return value;
+    }
+
+    get remaining() {
+        return this.buffer.length - this.offset;
+    }
+}
+
+// 状态响应的JSON即使带着服务器图标也远小于这个长度
+export const MAX_PACKET_LENGTH = 2 * 1024 * 1024;
+
+// 从不断到达的TCP数据中切出完整的数据包
+export class PacketSplitter {
+    constructor(options = {}) {
+        this.pending = Buffer.alloc(0);
+        this.maxLength = options.maxLength || MAX_PACKET_LENGTH;
+    }
+
+    // 追加数据，返回已经完整的数据包（不含长度前缀）
+    // 长度前缀超过上限时抛出错误，调用方应断开连接，避免恶意服务器让我们无限缓存数据
+    push(chunk) {
+        this.pending = Buffer.concat([this.pending, chunk]);
+        const packets = [];
+
+        while (true) {
+            const length = decodeVarInt(this.pending);
+            if (!length) break;
+            if (length.value < 0 || length.value > this.maxLength) {
+                this.pending = Buffer.alloc(0);
+                throw new Error(`数据包长度无效: ${length.value}`);
+            }
+            if (this.pending.length < length.size + length.value) break;
+            packets.push(this.pending.subarray(length.size, length.size + length.value));
+            this.pending = this.pending.subarray(length.size + length.value);
+        }
+
+        return packets;
+    }
+}
@@ -0,0 +1,155 @@
+// GameSpy4 (UT3) Query 协议：通过UDP获取完整玩家列表、插件、地图和游戏类型
+import dgram from 'node:dgram';
+import { PingError } from './slp.mjs';
+
+const MAGIC = [0xfe, 0xfd];
+const TYPE_HANDSHAKE = 0x09;
+const TYPE_STAT = 0x00;
+
+// 完整状态响应中 K/V 段和玩家段前面的固定填充
+const KV_PADDING = 11;      // "splitnum\0\x80\0"
+const PLAYER_PADDING = 10;  // "\x01player_\0\0"
+
+// 发送一个请求并等待指定类型的响应
+function request(socket, packet, expectedType, sessionId, timeout) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            cleanup();
+            reject(new PingError('ETIMEDOUT', 'Query 没有响应，服务器可能未开启 enable-query'));
+        }, timeout);
+
+        const onMessage = message => {
+            if (message.length < 5 || message[0] !== expectedType || message.readInt32BE(1) !== sessionId) return;
+            cleanup();
+            resolve(message.subarray(5));
+        };
+        const onError = error => {
+            cleanup();
+            reject(new PingError(error.code === 'ECONNREFUSED' ? 'ECONNREFUSED' : 'EPROTO', error.message));
+        };
+        const cleanup = () => {
+            clearTimeout(timer);
+            socket.off('message', onMessage);
+            socket.off('error', onError);
+        };
+
+        socket.on('message', onMessage);
+        socket.on('error', onError);
+        socket.send(packet);
+    });
+}
+
+// 执行一次完整查询（握手拿到challenge token后请求full stat）
+export async function queryServer(host, port = 25565, options = {}) {
+    const { timeout = 2000 } = options;
+    const sessionId = Math.floor(Math.random() * 0x7fffffff) & 0x0f0f0f0f;
+    const socket = dgram.createSocket(host.includes(':') ? 'udp6' : 'udp4');
+
+    try {
+        await new Promise((resolve, reject) => {
+            socket.once('error', reject);
+            socket.connect(port, host, () => {
+                socket.off('error', reject);
+                resolve();
+            });
+        }).catch(error => {
+            throw new PingError(error.code === 'ENOTFOUND' ? 'ENOTFOUND' : 'EPROTO', error.message);
+        });
+
+        const session = Buffer.alloc(4);
+        session.writeInt32BE(sessionId);
+
+        const handshake = await request(
+            socket,
+            Buffer.from([...MAGIC, TYPE_HANDSHAKE, ...session]),
+            TYPE_HANDSHAKE, sessionId, timeout
+        );
+        const token = parseChallengeToken(handshake);
+
+        const stat = await request(
+            socket,
+            Buffer.from([...MAGIC, TYPE_STAT, ...session, ...token, 0, 0, 0, 0]),
+            TYPE_STAT, sessionId, timeout
+        );
+        return parseFullStat(stat);
+    } finally {
+        socket.close();
+    }
+}
+
+// 握手响应中的 challenge token 是以文字表示的32位整数；无法识别时不能继续请求，否则只会等到超时
+export function parseChallengeToken(buffer) {
+    const text = readCString(buffer, 0).value;
+    const challenge = /^-?\d+$/.test(text) ? Number(text) : NaN;
+    if (!Number.isInteger(challenge) || challenge < -0x80000000 || challenge > 0x7fffffff) {
+        throw new PingError('EPROTO', `Query 握手返回的 challenge token 无效: ${text}`);
+    }
+    const token = Buffer.alloc(4);
+    token.writeInt32BE(challenge);
+    return token;
+}
+
+// 解析 full stat 响应
+export function parseFullStat(buffer) {
+    const values = {};
+    let offset = KV_PADDING;
+
+    while (offset < buffer.length) {
+        const key = readCString(buffer, offset);
+        offset = key.next;
+        if (key.value === '') break;
+        const value = readCString(buffer, offset);
+        offset = value.next;
+        values[key.value] = value.value;
+    }
+
+    const players = [];
+    offset += PLAYER_PADDING;
+    while (offset < buffer.length) {
+        const name = readCString(buffer, offset);
+        offset = name.next;
+        if (name.value === '') break;
+        players.push(name.value);
+    }
+
+    const { software, plugins } = parsePluginString(values.plugins || '');
+
+    return {
+        hostname: values.hostname || null,
+        gametype: values.gametype || null,
+        version: values.version || null,
+        map: values.map || null,
+        software,
+        plugins,
+        players,
+        numPlayers: Number(values.numplayers) || players.length,
+        maxPlayers: Number(values.maxplayers) || 0
+    };
+}
+
+// 解析插件字符串，例如 "Paper on 1.20.4: WorldEdit 7.2.15; Essentials 2.20.1"
+export function parsePluginString(text) {
+    if (!text) return { software: null, plugins: [] };
+
+    const separator = text.indexOf(': ');
+    const software = separator === -1 ? text : text.slice(0, separator);
+    const pluginText = separator === -1 ? '' : text.slice(separator + 2);
+
+    const plugins = pluginText.split('; ')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .map(entry => {
+            const space = entry.lastIndexOf(' ');
+            return space === -1
+                ? { name: entry, version: null }
+                : { name: entry.slice(0, space), version: entry.slice(space + 1) };
+        });
+
+    return { software, plugins };
+}
+
+function readCString(buffer, offset) {
+    let end = buffer.indexOf(0, offset);
+    if (end === -1) end = buffer.length;
+    return { value: buffer.toString('utf8', offset, end), next: end + 1 };
+}
@@ -0,0 +1,127 @@
+// 基岩版 RakNet Unconnected Ping/Pong：通过UDP获取MOTD、版本、在线人数和游戏模式
+import dgram from 'node:dgram';
+import { randomBytes } from 'node:crypto';
+import { PingError } from './slp.mjs';
+
+const ID_UNCONNECTED_PING = 0x01;
+const ID_UNCONNECTED_PONG = 0x1c;
+
+// RakNet 离线消息中固定的魔数
+const OFFLINE_MAGIC = Buffer.from('00ffff00fefefefefdfdfdfd12345678', 'hex');
+
+// Unconnected Ping：ID、发送时间、魔数、客户端GUID
+export function encodeUnconnectedPing(time, clientGuid) {
+    const packet = Buffer.alloc(1 + 8 + OFFLINE_MAGIC.length + 8);
+    packet[0] = ID_UNCONNECTED_PING;
+    packet.writeBigInt64BE(BigInt(time), 1);
+    OFFLINE_MAGIC.copy(packet, 9);
+    clientGuid.copy(packet, 9 + OFFLINE_MAGIC.length);
+    return packet;
+}
+
+// Unconnected Pong：ID、回传的时间、服务器GUID、魔数、带长度前缀的状态字符串
+export function decodeUnconnectedPong(buffer) {
+    const headerLength = 1 + 8 + 8 + OFFLINE_MAGIC.length + 2;
+    if (buffer.length < headerLength || buffer[0] !== ID_UNCONNECTED_PONG) {
+        throw new PingError('EPROTO', '不是有效的 Unconnected Pong');
+    }
+    if (!buffer.subarray(17, 17 + OFFLINE_MAGIC.length).equals(OFFLINE_MAGIC)) {
+        throw new PingError('EPROTO', 'Unconnected Pong 的魔数不正确');
+    }
+
+    const length = buffer.readUInt16BE(17 + OFFLINE_MAGIC.length);
+    if (buffer.length < headerLength + length) {
+        throw new PingError('EPROTO', 'Unconnected Pong 不完整');
+    }
+    return {
+        time: buffer.readBigInt64BE(1),
+        serverGuid: buffer.readBigInt64BE(9),
+        payload: buffer.toString('utf8', headerLength, headerLength + length)
+    };
+}
+
+// 解析分号分隔的状态字符串：
+// 版本标识;MOTD;协议号;版本;在线;上限;服务器ID;第二行MOTD(世界名);游戏模式;游戏模式编号;IPv4端口;IPv6端口
+export function parseBedrockPayload(text) {
+    // MOTD 中的分号会被转义为 \;
+    const fields = text.split(/(?<!\\);/).map(field => field.replace(/\\;/g, ';'));
+    if (fields.length < 6 || !/^(MCPE|MCEE)$/.test(fields[0])) {
+        throw new PingError('EPROTO', '无法识别的基岩版状态信息');
+    }
+
+    const number = value => (value === undefined || value === '' || Number.isNaN(Number(value)) ? null : Number(value));
+    return {
+        edition: fields[0],
+        motd: fields[1] || '',
+        protocol: number(fields[2]),
+        version: fields[3] || null,
+        players: { online: number(fields[4]) || 0, max: number(fields[5]) || 0 },
+        serverId: fields[6] || null,
+        levelName: fields[7] || null,
+        gamemode: fields[8] || null,
+        gamemodeId: number(fields[9]),
+        portV4: number(fields[10]),
+        portV6: number(fields[11])
+    };
+}
+
+// 发送 Unconnected Ping 并等待 Pong；UDP 可能丢包，超时前会重发一次
+export async function bedrockPing(host, port = 19132, options = {}) {
+    const { timeout = 5000 } = options;
+    const socket = dgram.createSocket(host.includes(':') ? 'udp6' : 'udp4');
+    const clientGuid = randomBytes(8);
+
+    try {
+        await new Promise((resolve, reject) => {
+            socket.once('error', reject);
+            socket.connect(port, host, () => {
+                socket.off('error', reject);
+                resolve();
+            });
+        }).catch(error => {
+            throw new PingError(['ENOTFOUND', 'EAI_AGAIN'].includes(error.code) ? 'ENOTFOUND' : 'EPROTO', error.message);
+        });
+
+        return await new Promise((resolve, reject) => {
+            const start = Date.now();
+            const packet = encodeUnconnectedPing(start, clientGuid);
+
+            const timer = setTimeout(() => {
+                cleanup();
+                reject(new PingError('ETIMEDOUT', `${timeout}ms 内没有响应`));
+            }, timeout);
+            const retry = setTimeout(() => socket.send(packet), Math.floor(timeout / 2));
+
+            const onMessage = message => {
+                if (message[0] !== ID_UNCONNECTED_PONG) return;
+                cleanup();
+                try {
+                    const pong = decodeUnconnectedPong(message);
+                    resolve({
+                        status: parseBedrockPayload(pong.payload),
+                        latency: Date.now() - start,
+                        serverGuid: pong.serverGuid.toString()
+                    });
+                } catch (error) {
+                    reject(error);
+                }
+            };
+            const onError = error => {
+                cleanup();
+                reject(new PingError(error.code === 'ECONNREFUSED' ? 'ECONNREFUSED' : 'EPROTO', error.message));
+            };
+            const cleanup = () => {
+                clearTimeout(timer);
+                clearTimeout(retry);
+                socket.off('message', onMessage);
+                socket.off('error', onError);
+            };
+
+            socket.on('message', onMessage);
+            socket.on('error', onError);
+            socket.send(packet);
+        });
+    } finally {
+        socket.close();
+    }
+}
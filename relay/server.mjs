@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+// 梦想大陆状态中继：替页面直接与 Minecraft 服务器通信，返回真实延迟和完整状态
+//
+// 用法：node relay/server.mjs
+//   MXDL_RELAY_PORT    监听端口，默认 8787
+//   MXDL_RELAY_HOSTS   允许查询的主机或IP（逗号分隔），留空表示不限制公网主机
+//                      回环、内网、链路本地和未指定地址（127.0.0.1、10.x、192.168.x、169.254.x、::1 等）
+//                      默认拒绝，SRV 和 DNS 解析到这些地址时同样拒绝；只有写进这里的主机或IP才能查询
+//   MXDL_RELAY_TIMEOUT 单次查询超时（毫秒），默认 5000
+//   MXDL_RELAY_QUERY_TIMEOUT  Query 协议超时（毫秒），默认 2000
+//
+// 接口：GET /status?address=play.simpfun.cn:30786
+//   地址不带端口时先查询 _minecraft._tcp SRV 记录，没有记录再使用 25565
+//   edition=bedrock  查询基岩版服务器（RakNet ping，默认端口 19132，不查询SRV）
+//   query=0       不使用 Query 协议
+//   queryPort=N   Query 端口与游戏端口不同时指定
+//
+// 接口：GET /badge.svg?address=play.simpfun.cn:30786&label=梦想大陆
+//   参数与 /status 相同，返回 shields.io 风格的 SVG 状态徽章，缓存60秒
+//   label=文字    徽章左侧的文字，默认 Minecraft
+//   theme=dark    深色徽章，默认浅色
+//   lang=en       状态文字的语言，默认中文
+import http from 'node:http';
+import net from 'node:net';
+import { promises as dns } from 'node:dns';
+import { pathToFileURL } from 'node:url';
+import { PingError, pingServer } from './slp.mjs';
+import { queryServer } from './query.mjs';
+import { bedrockPing } from './raknet.mjs';
+import { summarizeStatus, summarizeBedrockStatus } from './status.mjs';
+import { badgeContent, renderStatusBadge } from '../core/badge.mjs';
+
+const DEFAULT_PORT = 25565;
+const DEFAULT_BEDROCK_PORT = 19132;
+
+// 解析 host[:port]，IPv6 需要写成 [::1]:25565
+export function parseAddress(address, defaultPort = DEFAULT_PORT) {
+    const match = /^(?:\[([0-9a-f:.]+)\]|([^:\s]+))(?::(\d{1,5}))?$/i.exec(address || '');
+    if (!match) return null;
+    const port = match[3] ? Number(match[3]) : defaultPort;
+    if (port < 1 || port > 65535) return null;
+    return { host: match[1] || match[2], port, explicitPort: Boolean(match[3]) };
+}
+
+// 地址没有写端口时按游戏客户端的做法查询 SRV 记录，返回实际连接的主机和端口
+export async function resolveTarget(target, resolver = dns) {
+    if (target.explicitPort || net.isIP(target.host)) return target;
+    try {
+        const records = await resolver.resolveSrv(`_minecraft._tcp.${target.host}`);
+        const [record] = records.sort((a, b) => a.priority - b.priority || b.weight - a.weight);
+        if (record) {
+            const host = record.name.replace(/\.$/, '');
+            return { ...target, host, port: record.port, srv: { host, port: record.port } };
+        }
+    } catch (error) {
+        // 没有 SRV 记录（ENODATA/ENOTFOUND）是正常情况，直接连接原地址
+    }
+    return target;
+}
+
+// 不允许访客通过中继访问的地址：回环、内网、链路本地、运营商NAT、未指定地址
+const PRIVATE_ADDRESSES = new net.BlockList();
+PRIVATE_ADDRESSES.addSubnet('0.0.0.0', 8, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('10.0.0.0', 8, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('100.64.0.0', 10, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('169.254.0.0', 16, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('172.16.0.0', 12, 'ipv4');
+PRIVATE_ADDRESSES.addSubnet('192.168.0.0', 16, 'ipv4');
+PRIVATE_ADDRESSES.addAddress('::', 'ipv6');
+PRIVATE_ADDRESSES.addAddress('::1', 'ipv6');
+PRIVATE_ADDRESSES.addSubnet('fc00::', 7, 'ipv6');
+PRIVATE_ADDRESSES.addSubnet('fe80::', 10, 'ipv6');
+
+// 判断IP是否属于不对访客开放的地址；IPv4 映射的 IPv6 地址（::ffff:127.0.0.1）按 IPv4 判断
+export function isPrivateAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return PRIVATE_ADDRESSES.check(mapped[1], 'ipv4');
+    const family = net.isIP(address);
+    if (family === 0) return false;
+    return PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// 把主机名解析为实际连接的IP；之后直接连接这个IP，避免检查后再次解析得到别的地址
+export async function lookupAddress(host, resolver = dns) {
+    if (net.isIP(host)) return host;
+    try {
+        const { address } = await resolver.lookup(host);
+        return address;
+    } catch (error) {
+        throw new PingError('ENOTFOUND', `无法解析域名: ${host}`);
+    }
+}
+
+// 创建中继HTTP服务
+export function createRelayServer(options = {}) {
+    const timeout = options.timeout || 5000;
+    const queryTimeout = options.queryTimeout || 2000;
+    const allowedHosts = options.allowedHosts || [];
+
+    return http.createServer((request, response) => {
+        // 任何处理错误都只影响这一个请求，不能让中继进程退出
+        handleRequest(request, response, { timeout, queryTimeout, allowedHosts }).catch(error => {
+            console.error('中继请求处理失败:', error);
+            if (response.headersSent) {
+                response.destroy();
+            } else {
+                sendJson(response, 500, { error: { code: 'EINTERNAL', message: '中继内部错误' } });
+            }
+        });
+    });
+}
+
+// 解析请求路径；畸形的请求行（例如 //x:y）返回 null
+export function parseRequestUrl(request) {
+    try {
+        return new URL(request.url, 'http://localhost');
+    } catch (error) {
+        return null;
+    }
+}
+
+async function handleRequest(request, response, { timeout, queryTimeout, allowedHosts }) {
+    const url = parseRequestUrl(request);
+
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204).end();
+        return;
+    }
+
+    if (!url) {
+        sendJson(response, 400, { error: { code: 'EINVAL', message: '请求地址格式不正确' } });
+        return;
+    }
+
+    if (request.method !== 'GET' || !['/status', '/badge.svg'].includes(url.pathname)) {
+        sendJson(response, 404, { error: { code: 'NOT_FOUND', message: '未知的接口' } });
+        return;
+    }
+
+    const [statusCode, body] = await lookupStatus(url.searchParams, { timeout, queryTimeout, allowedHosts });
+    if (url.pathname === '/badge.svg') {
+        sendBadge(response, statusCode, body, url.searchParams);
+    } else {
+        sendJson(response, statusCode, body);
+    }
+}
+
+// 按请求参数查询服务器，返回 [HTTP状态码, 响应内容]；聚合服务也直接调用它探测服务器
+// allowPrivate 只给聚合服务这类探测清单中固定地址的调用方使用
+export async function lookupStatus(params, { timeout, queryTimeout, allowedHosts, allowPrivate = false }) {
+    const bedrock = params.get('edition') === 'bedrock';
+    const target = parseAddress(params.get('address'), bedrock ? DEFAULT_BEDROCK_PORT : DEFAULT_PORT);
+    if (!target) {
+        return [400, { error: { code: 'EINVAL', message: '服务器地址格式不正确' } }];
+    }
+    if (allowedHosts.length > 0 && !allowedHosts.includes(target.host.toLowerCase())) {
+        return [403, { error: { code: 'EFORBIDDEN', message: '该中继不允许查询此主机' } }];
+    }
+
+    const resolved = bedrock ? target : await resolveTarget(target);
+    let address;
+    try {
+        address = await lookupAddress(resolved.host);
+    } catch (error) {
+        return [200, offlineStatus(resolved, error, bedrock)];
+    }
+    const allowlisted = [target.host, resolved.host, address].some(host => allowedHosts.includes(host.toLowerCase()));
+    if (!allowPrivate && !allowlisted && isPrivateAddress(address)) {
+        return [403, { error: { code: 'EFORBIDDEN', message: '该中继不允许查询内网地址' } }];
+    }
+
+    if (bedrock) {
+        return [200, await bedrockStatus(target, address, timeout)];
+    }
+
+    // Query 与 ping 并行进行；服务器未开启 Query 时只返回 null
+    const queryPort = Number(params.get('queryPort')) || resolved.port;
+    const queryPromise = params.get('query') === '0'
+        ? Promise.resolve(null)
+        : queryServer(address, queryPort, { timeout: queryTimeout }).catch(() => null);
+
+    try {
+        const result = await pingServer(resolved.host, resolved.port, { timeout, address });
+        const summary = summarizeStatus(resolved.host, resolved.port, result);
+        summary.srv = resolved.srv || null;
+        summary.query = await queryPromise;
+        return [200, summary];
+    } catch (error) {
+        await queryPromise;
+        // 连接失败说明服务器离线，仍然按正常结果返回
+        return [200, offlineStatus(resolved, error, false)];
+    }
+}
+
+// 基岩版只需要一次 RakNet ping
+async function bedrockStatus(target, address, timeout) {
+    try {
+        const result = await bedrockPing(address, target.port, { timeout });
+        return summarizeBedrockStatus(target.host, target.port, result);
+    } catch (error) {
+        return offlineStatus(target, error, true);
+    }
+}
+
+// 连接或解析失败时返回的离线结果
+function offlineStatus(target, error, bedrock) {
+    return {
+        online: false,
+        ...(bedrock ? { edition: 'bedrock' } : {}),
+        host: target.host,
+        port: target.port,
+        ...(bedrock ? {} : { srv: target.srv || null }),
+        error: { code: error.code || 'EPROTO', message: error.message }
+    };
+}
+
+// 徽章会被当作图片引用，查询失败时也返回图片；允许缓存一分钟以减轻服务器压力
+function sendBadge(response, statusCode, body, params) {
+    const { state, message } = badgeContent(statusCode, body, params.get('lang') || undefined);
+    const svg = renderStatusBadge({
+        label: (params.get('label') || 'Minecraft').slice(0, 40),
+        message,
+        state,
+        theme: params.get('theme') === 'dark' ? 'dark' : 'light'
+    });
+    response.writeHead(statusCode, {
+        'Content-Type': 'image/svg+xml; charset=utf-8',
+        'Cache-Control': statusCode === 200 ? 'public, max-age=60' : 'no-store'
+    });
+    response.end(svg);
+}
+
+function sendJson(response, statusCode, body) {
+    response.writeHead(statusCode, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    response.end(JSON.stringify(body));
+}
+
+// 直接运行时启动服务
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = Number(process.env.MXDL_RELAY_PORT) || 8787;
+    const allowedHosts = (process.env.MXDL_RELAY_HOSTS || '')
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean);
+
+    createRelayServer({
+        timeout: Number(process.env.MXDL_RELAY_TIMEOUT) || 5000,
+        queryTimeout: Number(process.env.MXDL_RELAY_QUERY_TIMEOUT) || 2000,
+        allowedHosts
+    }).listen(port, () => {
+        console.log(`状态中继已启动: http://localhost:${port}`);
+    });
+}
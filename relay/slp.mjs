@@ -0,0 +1,233 @@
+// Java 版 Server List Ping：握手 → 状态请求 → ping/pong，以及 1.6 的旧版 ping
+import net from 'node:net';
+import {
+    encodeVarInt, encodeString, encodeUShort, encodePacket,
+    PacketReader, PacketSplitter
+} from './protocol.mjs';
+
+// 1.4+ 旧版响应文字的开头
+const LEGACY_PREFIX = encodeUtf16('§1\u0000');
+
+// 带错误代码的ping异常：ENOTFOUND / ECONNREFUSED / ETIMEDOUT / EPROTO
+export class PingError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'PingError';
+        this.code = code;
+    }
+}
+
+// 把socket错误转换为PingError
+function toPingError(error) {
+    if (error instanceof PingError) return error;
+    switch (error.code) {
+        case 'ENOTFOUND':
+        case 'EAI_AGAIN':
+            return new PingError('ENOTFOUND', `无法解析域名: ${error.hostname || ''}`.trim());
+        case 'ECONNREFUSED':
+            return new PingError('ECONNREFUSED', '连接被拒绝');
+        case 'ETIMEDOUT':
+            return new PingError('ETIMEDOUT', '连接超时');
+        default:
+            return new PingError(error.code || 'EPROTO', error.message);
+    }
+}
+
+// 建立连接并在超时、出错或完成时统一清理；address 是已经解析好的IP，握手中仍然使用原主机名
+function withSocket(host, port, { timeout, address }, handler) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host: address || host, port });
+        let settled = false;
+
+        const finish = (error, result) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            socket.destroy();
+            if (error) {
+                reject(toPingError(error));
+            } else {
+                resolve(result);
+            }
+        };
+
+        const timer = setTimeout(() => finish(new PingError('ETIMEDOUT', `${timeout}ms 内没有响应`)), timeout);
+        socket.on('error', error => finish(error));
+        handler(socket, finish);
+    });
+}
+
+// 1.7+ 的状态查询
+export function modernPing(host, port = 25565, options = {}) {
+    const { timeout = 5000, protocolVersion = -1, address } = options;
+
+    return withSocket(host, port, { timeout, address }, (socket, finish) => {
+        const splitter = new PacketSplitter();
+        let status = null;
+        let requestSentAt = 0n;
+        let statusLatency = null;
+        let pingSentAt = 0n;
+
+        socket.once('connect', () => {
+            socket.write(encodePacket(0x00,
+                encodeVarInt(protocolVersion),
+                encodeString(host),
+                encodeUShort(port),
+                encodeVarInt(1)
+            ));
+            socket.write(encodePacket(0x00));
+            requestSentAt = process.hrtime.bigint();
+        });
+
+        socket.on('data', chunk => {
+            // 1.6 及更早的服务器会直接回复 0xFF 踢出包；其余无法解析的响应由下面的 catch 回退
+            if (!status && splitter.pending.length === 0 && isLegacyKick(chunk)) {
+                finish(new PingError('EPROTO', '服务器不支持 1.7+ 协议'));
+                return;
+            }
+
+            try {
+                for (const packet of splitter.push(chunk)) {
+                    const reader = new PacketReader(packet);
+                    const packetId = reader.readVarInt();
+
+                    if (!status && packetId === 0x00) {
+                        status = JSON.parse(reader.readString());
+                        statusLatency = elapsedMs(requestSentAt);
+                        const payload = Buffer.alloc(8);
+                        payload.writeBigInt64BE(BigInt(Date.now()));
+                        pingSentAt = process.hrtime.bigint();
+                        socket.write(encodePacket(0x01, payload));
+                    } else if (status && packetId === 0x01) {
+                        finish(null, { status, latency: elapsedMs(pingSentAt), legacy: false });
+                        return;
+                    } else {
+                        throw new Error(`意外的数据包 0x${packetId.toString(16)}`);
+                    }
+                }
+            } catch (error) {
+                finish(new PingError('EPROTO', error.message));
+            }
+        });
+
+        // 部分服务器回复状态后不响应pong，此时用状态请求的往返时间作为延迟
+        socket.on('close', () => {
+            if (status) {
+                finish(null, { status, latency: statusLatency, legacy: false });
+            } else {
+                finish(new PingError('EPROTO', '服务器在响应前关闭了连接'));
+            }
+        });
+    });
+}
+
+// 旧版踢出包：0xFF、UTF-16BE 字符数、文字（1.4+ 以 §1\0 开头，更早的是 MOTD§在线§上限）
+// 1.7+ 响应的长度 VarInt 首字节同样可能是 0xFF（长度 255、383、511…），只看首字节会误判
+export function isLegacyKick(chunk) {
+    if (chunk.length < 3 || chunk[0] !== 0xff) return false;
+    if (chunk.length >= 3 + LEGACY_PREFIX.length && chunk.subarray(3, 3 + LEGACY_PREFIX.length).equals(LEGACY_PREFIX)) {
+        return true;
+    }
+    const length = chunk.readUInt16BE(1) * 2;
+    return chunk.length === 3 + length && decodeUtf16(chunk.subarray(3)).includes('§');
+}
+
+// 1.6 旧版 ping（0xFE 0x01 + MC|PingHost），1.4-1.5 的服务器也能回复
+export function legacyPing(host, port = 25565, options = {}) {
+    const { timeout = 5000, address } = options;
+    const hostBytes = encodeUtf16(host);
+    const channel = encodeUtf16('MC|PingHost');
+    const portBuffer = Buffer.alloc(4);
+    portBuffer.writeInt32BE(port);
+
+    const request = Buffer.concat([
+        Buffer.from([0xfe, 0x01, 0xfa]),
+        encodeUShort(11),
+        channel,
+        encodeUShort(7 + hostBytes.length),
+        Buffer.from([74]),
+        encodeUShort(host.length),
+        hostBytes,
+        portBuffer
+    ]);
+
+    return withSocket(host, port, { timeout, address }, (socket, finish) => {
+        let received = Buffer.alloc(0);
+        let sentAt = 0n;
+
+        socket.once('connect', () => {
+            sentAt = process.hrtime.bigint();
+            socket.write(request);
+        });
+
+        const tryParse = (closed) => {
+            if (received.length < 3) {
+                if (closed) finish(new PingError('EPROTO', '旧版 ping 响应不完整'));
+                return;
+            }
+            if (received[0] !== 0xff) {
+                finish(new PingError('EPROTO', '旧版 ping 响应格式错误'));
+                return;
+            }
+            const length = received.readUInt16BE(1) * 2;
+            if (received.length < 3 + length) {
+                if (closed) finish(new PingError('EPROTO', '旧版 ping 响应不完整'));
+                return;
+            }
+            const latency = elapsedMs(sentAt);
+            const text = decodeUtf16(received.subarray(3, 3 + length));
+            finish(null, { status: parseLegacyResponse(text), latency, legacy: true });
+        };
+
+        socket.on('data', chunk => {
+            received = Buffer.concat([received, chunk]);
+            tryParse(false);
+        });
+        socket.on('close', () => tryParse(true));
+    });
+}
+
+// 先尝试新协议，服务器不理解时回退到旧版 ping
+export async function pingServer(host, port = 25565, options = {}) {
+    try {
+        return await modernPing(host, port, options);
+    } catch (error) {
+        if (error.code !== 'EPROTO') throw error;
+        return legacyPing(host, port, options);
+    }
+}
+
+// 把旧版响应转换为与新协议相同的结构
+function parseLegacyResponse(text) {
+    // 1.4+：§1\0协议号\0版本\0MOTD\0在线\0上限
+    if (text.startsWith('§1\u0000')) {
+        const [, protocol, version, motd, online, max] = text.split('\u0000');
+        return {
+            version: { name: version, protocol: Number(protocol) },
+            players: { online: Number(online), max: Number(max) },
+            description: motd
+        };
+    }
+
+    // beta 1.8 - 1.3：MOTD§在线§上限
+    const parts = text.split('§');
+    const max = parts.pop();
+    const online = parts.pop();
+    return {
+        version: { name: null, protocol: null },
+        players: { online: Number(online), max: Number(max) },
+        description: parts.join('§')
+    };
+}
+
+function encodeUtf16(text) {
+    return Buffer.from(text, 'utf16le').swap16();
+}
+
+function decodeUtf16(buffer) {
+    return Buffer.from(buffer).swap16().toString('utf16le');
+}
+
+function elapsedMs(since) {
+    return Math.round(Number(process.hrtime.bigint() - since) / 1e6);
+}
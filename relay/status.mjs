@@ -0,0 +1,149 @@
+// 把 Server List Ping 的原始响应整理为中继返回给页面的结构
+import { PacketReader } from './protocol.mjs';
+
+// 服务器用来显示自定义文字的假玩家使用全零UUID
+const PLACEHOLDER_UUID = '00000000-0000-0000-0000-000000000000';
+
+// 整理ping结果
+export function summarizeStatus(host, port, result) {
+    const { status, latency, legacy } = result;
+    const players = status.players || {};
+    const sample = (players.sample || []).filter(player => player && player.name && player.id !== PLACEHOLDER_UUID);
+
+    return {
+        online: true,
+        host,
+        port,
+        latency,
+        legacy,
+        version: {
+            name: status.version ? status.version.name : null,
+            protocol: status.version ? status.version.protocol : null
+        },
+        players: {
+            online: players.online || 0,
+            max: players.max || 0,
+            sample
+        },
+        motd: {
+            raw: status.description === undefined ? '' : status.description,
+            clean: chatToPlainText(status.description)
+        },
+        favicon: status.favicon || null,
+        mods: parseModInfo(status)
+    };
+}
+
+// 整理基岩版 ping 结果，结构与 Java 版一致；基岩版没有玩家列表、图标和模组信息
+export function summarizeBedrockStatus(host, port, result) {
+    const { status, latency } = result;
+    const motd = [status.motd, status.levelName].filter(Boolean).join('\n');
+
+    return {
+        online: true,
+        edition: 'bedrock',
+        host,
+        port,
+        latency,
+        legacy: false,
+        version: { name: status.version, protocol: status.protocol },
+        players: { online: status.players.online, max: status.players.max, sample: [] },
+        motd: { raw: motd, clean: chatToPlainText(motd) },
+        favicon: null,
+        mods: null,
+        gamemode: status.gamemode,
+        levelName: status.levelName,
+        serverId: status.serverId,
+        ports: { ipv4: status.portV4, ipv6: status.portV6 }
+    };
+}
+
+// 把聊天组件（字符串、数组或对象）转换为纯文本
+export function chatToPlainText(component) {
+    if (component === undefined || component === null) return '';
+    if (typeof component === 'string') return component.replace(/§[0-9a-fk-orx]/gi, '');
+    if (Array.isArray(component)) return component.map(chatToPlainText).join('');
+    const text = chatToPlainText(component.text !== undefined ? component.text : (component.translate || ''));
+    return text + (component.extra || []).map(chatToPlainText).join('');
+}
+
+// 解析 Forge / NeoForge 的模组信息
+export function parseModInfo(status) {
+    // 1.7 - 1.12 的 FML
+    if (status.modinfo && Array.isArray(status.modinfo.modList)) {
+        return {
+            loader: 'Forge',
+            truncated: false,
+            list: status.modinfo.modList.map(mod => ({ id: mod.modid, version: mod.version || null }))
+        };
+    }
+
+    // 1.13+ 的 forgeData
+    if (status.forgeData) {
+        const data = status.forgeData.d ? decodeForgeDataSafely(status.forgeData.d) : {
+            truncated: Boolean(status.forgeData.truncated),
+            list: (status.forgeData.mods || []).map(mod => ({ id: mod.modId, version: mod.modmarker || null }))
+        };
+        const loader = data.list.some(mod => mod.id === 'neoforge') ? 'NeoForge' : 'Forge';
+        return { loader, ...data };
+    }
+
+    return null;
+}
+
+// 压缩的模组列表损坏或被截断时只当作列表不完整，服务器本身仍然在线
+function decodeForgeDataSafely(encoded) {
+    try {
+        return decodeOptimizedForgeData(encoded);
+    } catch (error) {
+        return { truncated: true, list: [] };
+    }
+}
+
+// 解码 Forge 1.18.2+ 压缩在 forgeData.d 里的模组列表（每个字符携带15位数据）
+export function decodeOptimizedForgeData(encoded) {
+    const size = encoded.charCodeAt(0) | (encoded.charCodeAt(1) << 15);
+    // 每个字符最多携带15位，声明的长度超过实际数据时说明字符串已损坏
+    if (encoded.length < 2 || size > Math.ceil((encoded.length - 2) * 15 / 8)) {
+        throw new Error('forgeData 长度无效');
+    }
+    const bytes = [];
+    let buffer = 0;
+    let bitsInBuffer = 0;
+
+    for (let index = 2; index < encoded.length; index++) {
+        while (bitsInBuffer >= 8) {
+            bytes.push(buffer & 0xff);
+            buffer >>>= 8;
+            bitsInBuffer -= 8;
+        }
+        buffer |= (encoded.charCodeAt(index) & 0x7fff) << bitsInBuffer;
+        bitsInBuffer += 15;
+    }
+    while (bytes.length < size) {
+        bytes.push(buffer & 0xff);
+        buffer >>>= 8;
+        bitsInBuffer -= 8;
+    }
+
+    const reader = new PacketReader(Buffer.from(bytes.slice(0, size)));
+    const truncated = reader.readBoolean();
+    const modCount = reader.readUShort();
+    const list = [];
+
+    for (let i = 0; i < modCount; i++) {
+        const flags = reader.readVarInt();
+        const channelCount = flags >>> 1;
+        const ignoreServerOnly = (flags & 1) !== 0;
+        const id = reader.readString();
+        const version = ignoreServerOnly ? null : reader.readString();
+        for (let c = 0; c < channelCount; c++) {
+            reader.readString();
+            reader.readString();
+            reader.readBoolean();
+        }
+        list.push({ id, version });
+    }
+
+    return { truncated, list };
+}
@@ -1,211 +1,1380 @@
-// 服务器状态管理器
-class ServerStatusManager {
-    constructor() {
-        this.cache = new Map();
-        this.cacheTimeout = 30000; // 30秒缓存
-        this.servers = {
-            '1': {
-                name: '一服 - 生电插件服',
-                address: 'play.simpfun.cn:30786',
-                description: '插件服，鼓励生电',
-                type: 'plugin'
-            },
-            '2': {
-                name: '二服 - 整合包服',
-                address: 'play.simpfun.cn:17795',
-                description: '整合包服，需下载客户端',
-                type: 'modpack'
-            }
-        };
+// 状态获取和地址解析在 core/status.mjs 中，与命令行工具共用
+import { DEFAULT_PORTS, ProviderRegistry, ServerStatusManager, StatusProvider, parseServerAddress } from './core/status.mjs';
+import { checkCompatibility, describeProtocolRange, listReleaseGroups } from './core/compat.mjs';
+import { compareModLists, localizeModpack, normalizeModpackList } from './core/modpack.mjs';
+import { createServersDat } from './core/nbt.mjs';
+import { getActiveMaintenance, getAnnouncementState, getMaintenanceWindows, localizeAnnouncement, normalizeAnnouncements } from './core/announcements.mjs';
+import { encodeQr, renderQrSvg } from './core/qrcode.mjs';
+import { getBadgeState, renderStatusBadge } from './core/badge.mjs';
+import { createElementFromHTML, html, safeImageUrl, sanitizeMotdHtml, setHTML } from './core/safe-html.mjs';
+
+// 界面文案：按语言分组，{name} 为插值；值为对象时按复数规则（one/other）选择
+const MESSAGES = {
+    'zh-CN': {
+        'meta.title': '梦想大陆 - Minecraft 服务器状态',
+        'meta.description': '梦想大陆 Minecraft 服务器 - 公益不跑路，生电友好，活跃社区',
+        'nav.brand': '梦想大陆',
+        'nav.watchlist': '提醒设置',
+        'nav.theme': '切换主题',
+        'nav.locale': '切换语言',
+        'hero.title': '梦想大陆',
+        'hero.subtitle': 'Minecraft 服务器',
+        'hero.tagline': '公益不跑路 · 生电友好 · 活跃社区',
+        'hero.tag.redstone': '生电友好',
+        'hero.tag.modpack': '整合包',
+        'hero.tag.free': '公益服',
+        'hero.tag.community': '活跃社区',
+
+        'servers.title': '服务器状态',
+        'servers.loading': '正在获取服务器状态...',
+        'servers.loadFailed': '加载服务器状态失败，请稍后重试',
+        'servers.icon': '服务器图标',
+        'servers.copyAddress': '复制地址',
+        'servers.online': '在线',
+        'servers.offline': '离线',
+        'servers.checkFailed': '检测失败',
+        'servers.latency': '延迟',
+        'servers.version': '版本',
+        'servers.gamemode': '游戏模式',
+        'servers.cached': '(缓存)',
+        'servers.stale': '(离线数据)',
+        'compat.client': '我的客户端版本',
+        'compat.choose': '选择版本',
+        'compat.ok': '可以直接加入',
+        'compat.switch': '需要切换到 {version}',
+        'compat.modpack': '需要整合包（Minecraft {version}）',
+        'compat.modpackLoader': '需要整合包（{loader}，Minecraft {version}）',
+        'compat.proxy': '代理服务器，通常兼容多个版本，可以直接尝试加入',
+        'compat.newer': '服务器使用较新的版本 {version}，请更新客户端',
+        'compat.range': '{from} – {to}',
+        'compat.orNewer': '{version} 及以上版本',
+        'modpack.title': '整合包下载',
+        'modpack.download': '下载整合包',
+        'modpack.released': '发布于 {date}',
+        'modpack.forServer': '适用于{server}',
+        'modpack.copyChecksum': '复制校验值',
+        'modpack.noChecksum': '暂未提供校验值',
+        'modpack.verify': '校验已下载的文件',
+        'modpack.verifying': '正在计算 {file} 的校验值…',
+        'modpack.verifyOk': '{file} 校验通过，与发布的文件一致',
+        'modpack.verifyFailed': '{file} 与发布的文件不一致，请重新下载',
+        'modpack.verifySize': '{file} 的大小与发布的文件不同，请重新下载',
+        'modpack.verifyTooLarge': '{file} 超过 {limit}，浏览器无法可靠地计算校验值，请用 sha256sum 或 certutil 与上面的校验值比较',
+        'modpack.verifyUnsupported': '当前浏览器无法计算校验值，请通过 HTTPS 访问本页',
+        'modpack.changelog': '更新日志',
+        'modpack.driftMatch': '服务器上的模组与整合包 v{version} 一致',
+        'modpack.driftUnknown': '服务器离线或没有返回模组列表，暂时无法与整合包比较',
+        'modpack.drift': '服务器上的模组与整合包 v{version} 不一致，整合包可能需要更新',
+        'modpack.driftMinecraft': '游戏版本不同：服务器 {server}，整合包 {pack}',
+        'modpack.driftLoader': '加载器不同：服务器 {server}，整合包 {pack}',
+        'modpack.driftMissing': '整合包缺少服务器上的模组：{mods}',
+        'modpack.driftExtra': '服务器没有安装整合包中的模组：{mods}',
+        'modpack.driftVersion': '版本不同：{mods}',
+        'modpack.driftVersionItem': '{id}（服务器 {server}，整合包 {pack}）',
+        'modpack.driftPartial': '服务器只返回了部分模组列表，未检查整合包中多出的模组',
+        'details.show': '查看详情',
+        'details.hide': '收起详情',
+        'details.software': '服务端',
+        'details.version': '版本',
+        'details.protocol': '协议版本',
+        'details.gamemode': '游戏模式',
+        'details.map': '地图',
+        'details.lastSuccess': '上次成功检测',
+        'details.lastSuccessValue': '{time}（{relative}）',
+        'details.sources': '数据来源',
+        'details.search': '搜索插件或模组',
+        'details.plugins': '插件（{count}）',
+        'details.mods': '{loader} 模组（{count}）',
+        'details.modsUnknown': '模组（{count}）',
+        'details.modsTruncated': '服务器只返回了部分模组',
+        'details.noPlugins': '服务器没有公开插件或模组列表（插件列表需要服务器开启 Query）',
+        'details.noMatch': '没有匹配的插件或模组',
+        'details.raw': '数据源原始数据',
+        'details.rawEmpty': '原始数据只保存在本次访问中，下次检测后可以查看',
+        'offline.banner': '离线数据 · 更新于{relative}（{time}）',
+        'offline.bannerFailed': '连接失败，显示离线数据 · 更新于{relative}（{time}）',
+        'offline.reconnected': '网络已恢复，正在刷新状态',
+        'refresh.countdown': '{seconds} 秒后刷新',
+        'refresh.retry': '刷新失败，{seconds} 秒后重试',
+        'refresh.running': '正在刷新…',
+        'refresh.live': '实时推送中',
+        'refresh.now': '立即刷新',
+
+        'history.title': '历史记录',
+        'history.range.24h': '24小时',
+        'history.range.7d': '7天',
+        'history.range.30d': '30天',
+        'history.uptime': '在线率',
+        'history.maxPlayers': '最高',
+        'history.maxPlayersValue': '{count} 人',
+        'history.peak': '高峰',
+        'history.empty': '暂无历史数据，保持页面打开即可开始记录',
+        'history.sparkline': '玩家数量变化',
+        'history.heatmap': '高峰时段热力图',
+        'history.heatmapCell': '{day} {hour}:00 平均 {average} 人',
+        'history.retention': '历史记录保存在本地浏览器，最多保留30天',
+        'history.exportCsv': '导出 CSV',
+        'history.exportJson': '导出 JSON',
+        'history.exportFailed': '导出历史记录失败',
+
+        'players.title': '在线玩家',
+        'players.search': '搜索玩家...',
+        'players.sort': '玩家排序',
+        'players.sortName': '按名称',
+        'players.sortPlaytime': '按在线时长',
+        'players.expand': '展开',
+        'players.collapse': '收起',
+        'players.all': '全部',
+        'players.none': '当前没有玩家在线',
+        'players.noMatch': '未找到匹配的玩家',
+        'players.online': '在线',
+        'players.onlineFor': '在线 {duration}',
+        'players.onlineAtLeast': '在线 ≥{duration}',
+        'activity.title': '玩家动态',
+        'activity.recent': '最近离开',
+        'activity.join': '{player} 加入了{server}',
+        'activity.leave': '{player} 离开了{server}',
+        'activity.empty': '暂无动态，保持页面打开即可看到玩家进出',
+        'activity.recentEntry': '{server} · 在线 {duration}',
+        'activity.recentEmpty': '暂无记录',
+
+        'guide.title': '加入指南',
+        'guide.step1': '选择服务器',
+        'guide.bedrockAddress': '服务器地址',
+        'guide.bedrockPort': '端口',
+        'guide.step2': '加入QQ群',
+        'guide.step2Desc': '获取最新信息、整合包下载和技术支持',
+        'guide.qrcode': 'QQ群二维码',
+        'guide.groupNumber': '群号：',
+        'guide.groupLink': '链接：',
+        'guide.groupJoin': '点击加入',
+        'guide.groupDesc': '活跃社区，随时交流',
+        'guide.step3': '开始游戏',
+        'guide.step3Desc': '启动Minecraft，添加服务器，享受游戏！',
+        'guide.tipVersion': '在服务器状态中选择你的客户端版本，查看能否直接加入',
+        'guide.tipRules': '遵守服务器规则，文明游戏',
+
+        'custom.title': '自定义服务器检测',
+        'custom.placeholder': '输入服务器地址 (如: mc.hypixel.net)',
+        'custom.check': '检测',
+        'custom.checking': '检测中...',
+        'custom.empty': '请输入服务器地址',
+        'custom.online': '服务器在线',
+        'custom.offline': '服务器离线',
+        'custom.offlineDesc': '无法连接到服务器，请检查地址是否正确或服务器是否正在维护。',
+        'custom.failed': '检测失败',
+        'custom.failedDesc': '无法获取服务器状态，请检查网络连接或稍后重试。',
+        'custom.address': '地址:',
+        'custom.version': '版本:',
+        'custom.players': '玩家:',
+        'custom.latency': '延迟:',
+        'custom.cached': '数据来自缓存',
+        'check.invalidTitle': '地址无效',
+        'check.recent': '最近检测',
+        'check.clear': '清空记录',
+        'check.error.EINVAL': '地址格式不正确，请输入如 mc.example.com、mc.example.com:25565 或 [2001:db8::1]:25565',
+        'check.error.ENOTFOUND': 'DNS 解析失败：找不到这个域名，请检查拼写',
+        'check.error.ECONNREFUSED': '连接被拒绝：服务器没有开启，或端口不正确',
+        'check.error.ETIMEDOUT': '连接超时：服务器没有响应，可能已离线或被防火墙拦截',
+        'check.error.EPROTO': '服务器响应无法识别，这个地址可能不是 Minecraft 服务器',
+        'compare.add': '加入对比',
+        'compare.title': '服务器对比',
+        'compare.refresh': '刷新',
+        'compare.clear': '清空',
+        'compare.remove': '移出对比',
+        'compare.baseline': '基准',
+        'compare.exists': '该服务器已在对比中',
+        'compare.full': '最多同时对比 {count} 个服务器',
+        'compare.hint': '与基准（第一列）不同的值会被高亮，每30秒自动刷新',
+        'compare.row.status': '状态',
+        'compare.row.edition': '版本类型',
+        'compare.row.version': '版本',
+        'compare.row.protocol': '协议号',
+        'compare.row.players': '玩家',
+        'compare.row.latency': '延迟',
+        'compare.row.software': '服务端',
+        'compare.row.plugins': '插件数',
+        'edition.java': 'Java 版',
+        'edition.bedrock': '基岩版',
+
+        'footer.brand': '梦想大陆',
+        'footer.since': '自 2025 年暑假开服 · 公益不跑路',
+        'footer.qq': 'QQ群',
+        'footer.community': '社区驱动',
+        'footer.copyright': '© 2025 梦想大陆 Minecraft 服务器. 保留所有权利.',
+
+        'copy.success': '已复制到剪贴板',
+        'copy.failed': '复制失败',
+
+        'badge.online': '在线',
+        'badge.offline': '离线',
+        'badge.unknown': '未知',
+
+        'servers.maintenance': '维护中',
+        'maintenance.countdown': '预计 {duration} 后结束',
+        'maintenance.noEnd': '结束时间待定',
+        'announcement.serverTitle': '{server}：{title}',
+        'announcement.until': '预计 {end} 结束',
+        'announcement.noEnd': '结束时间待定',
+        'announcement.period': '{start} – {end}',
+        'announcement.from': '{start} 开始',
+        'announcement.history': '状态历史',
+        'announcement.dismiss': '关闭公告',
+        'history.excludesMaintenance': '计划维护期间的记录不计入在线率',
+        'incidents.title': '状态历史',
+        'incidents.current': '进行中和计划中',
+        'incidents.past': '过去的故障和维护',
+        'incidents.noCurrent': '目前没有进行中或计划中的维护',
+        'incidents.noPast': '暂无故障或维护记录',
+        'incidents.allServers': '全部服务器',
+        'incidents.duration': '持续 {duration}',
+        'incidents.back': '返回服务器状态',
+        'incidents.type.maintenance': '计划维护',
+        'incidents.type.incident': '故障',
+        'incidents.type.notice': '公告',
+        'share.button': '二维码和分享链接',
+        'share.title': '分享',
+        'share.qrAlt': '{address} 的二维码',
+        'share.qrHint': '用手机扫码即可把服务器地址发到电脑或启动器',
+        'share.address': '服务器地址',
+        'share.link': '分享链接（打开后定位到这个服务器）',
+        'share.copyLink': '复制分享链接',
+        'share.serversDat': '下载 servers.dat',
+        'share.serversDatHint': '放入 .minecraft 文件夹即可在多人游戏列表中看到全部Java版服务器。会替换原有的服务器列表，请先备份',
+        'share.serversDatFailed': '生成 servers.dat 失败',
+        'embed.button': '嵌入到其他网站',
+        'embed.title': '嵌入到其他网站',
+        'embed.server': '服务器',
+        'embed.type': '嵌入类型',
+        'embed.typeWidget': '状态小组件',
+        'embed.typeBadge': '状态徽章',
+        'embed.theme': '主题',
+        'embed.themeAuto': '跟随系统',
+        'embed.themeLight': '浅色',
+        'embed.themeDark': '深色',
+        'embed.lang': '语言',
+        'embed.langAuto': '跟随访客',
+        'embed.refresh': '刷新间隔（秒）',
+        'embed.label': '徽章文字',
+        'embed.preview': '预览',
+        'embed.copy': '复制代码',
+        'embed.download': '下载 SVG',
+        'embed.noRelay': '没有配置状态中继，徽章无法自动更新，可以下载当前状态的 SVG 图片',
+        'embed.frameTitle': '{name}服务器状态',
+        'embed.notFound': '找不到服务器 {id}',
+        'embed.updated': '更新于 {time}',
+        'embed.viewFull': '在梦想大陆状态页查看',
+
+        'watch.title': '提醒设置',
+        'watch.close': '关闭',
+        'cache.title': '缓存检查器',
+        'cache.clear': '清空缓存',
+        'cache.cleared': '缓存已清空',
+        'cache.summary': '共 {count} 条（上限 {max} 条），约 {size} KB',
+        'cache.key': '缓存键',
+        'cache.state': '状态',
+        'cache.provider': '数据源',
+        'cache.fetched': '获取时间',
+        'cache.expires': '有效期',
+        'cache.size': '大小',
+        'cache.delete': '删除',
+        'cache.empty': '缓存中没有数据',
+        'cache.state.fresh': '有效',
+        'cache.state.stale': '已过期',
+        'cache.state.error': '获取失败',
+        'cache.expiresIn': '{seconds} 秒后过期',
+        'cache.expired': '已过期',
+        'watch.type': '提醒类型',
+        'watch.typeStatus': '服务器上线/离线',
+        'watch.typePlayers': '在线人数达到',
+        'watch.typePlayer': '玩家上线',
+        'watch.server': '服务器',
+        'watch.anyServer': '任意服务器',
+        'watch.threshold': '人数',
+        'watch.player': '玩家名',
+        'watch.add': '添加',
+        'watch.added': '已添加提醒',
+        'watch.invalidPlayer': '请输入正确的玩家名',
+        'watch.remove': '删除提醒',
+        'watch.empty': '还没有提醒，添加一条试试',
+        'watch.permissionGranted': '已开启系统通知，页面在后台时也会提醒',
+        'watch.permissionUnsupported': '当前浏览器不支持系统通知，提醒将显示在页面内',
+        'watch.permissionDefault': '系统通知未开启',
+        'watch.enableNotifications': '开启通知',
+        'watch.describeStatus': '{server} 上线/离线',
+        'watch.describePlayers': '{server} 在线人数达到 {threshold}',
+        'watch.describePlayer': '{player} 在{server}上线',
+        'notify.online': '{server} 已上线',
+        'notify.onlineBody': '{name} 恢复在线，当前 {count} 人',
+        'notify.offline': '{server} 已离线',
+        'notify.offlineBody': '{name} 无法连接',
+        'notify.threshold': '{server} 在线人数达到 {threshold}',
+        'notify.thresholdBody': '{name} 当前 {count} 人在线',
+        'notify.playerJoined': '{player} 上线了',
+        'notify.playerJoinedBody': '{player} 加入了{server}',
+
+        'common.unknown': '未知',
+        'time.justNow': '刚刚',
+        'duration.lessThanMinute': '不到1分钟'
+    },
+    en: {
+        'meta.title': 'MXDL - Minecraft Server Status',
+        'meta.description': 'MXDL Minecraft servers - free forever, technical-play friendly, active community',
+        'nav.brand': 'MXDL',
+        'nav.watchlist': 'Alerts',
+        'nav.theme': 'Toggle theme',
+        'nav.locale': 'Switch language',
+        'hero.title': 'MXDL',
+        'hero.subtitle': 'Minecraft Servers',
+        'hero.tagline': 'Free forever · Technical-play friendly · Active community',
+        'hero.tag.redstone': 'Redstone friendly',
+        'hero.tag.modpack': 'Modpack',
+        'hero.tag.free': 'Free to play',
+        'hero.tag.community': 'Active community',
+
+        'servers.title': 'Server Status',
+        'servers.loading': 'Fetching server status...',
+        'servers.loadFailed': 'Failed to load server status, please try again later',
+        'servers.icon': 'Server icon',
+        'servers.copyAddress': 'Copy address',
+        'servers.online': 'Online',
+        'servers.offline': 'Offline',
+        'servers.checkFailed': 'Check failed',
+        'servers.latency': 'Latency',
+        'servers.version': 'Version',
+        'servers.gamemode': 'Game mode',
+        'servers.cached': '(cached)',
+        'servers.stale': '(offline data)',
+        'compat.client': 'My client version',
+        'compat.choose': 'Choose version',
+        'compat.ok': 'You can join directly',
+        'compat.switch': 'Switch to {version}',
+        'compat.modpack': 'Modpack required (Minecraft {version})',
+        'compat.modpackLoader': 'Modpack required ({loader}, Minecraft {version})',
+        'compat.proxy': 'Proxy server, usually supports several versions. Try joining directly',
+        'compat.newer': 'The server runs a newer version ({version}). Please update your client',
+        'compat.range': '{from} – {to}',
+        'compat.orNewer': '{version} or newer',
+        'modpack.title': 'Modpack Downloads',
+        'modpack.download': 'Download modpack',
+        'modpack.released': 'Released {date}',
+        'modpack.forServer': 'For {server}',
+        'modpack.copyChecksum': 'Copy checksum',
+        'modpack.noChecksum': 'Checksum not published yet',
+        'modpack.verify': 'Verify a downloaded file',
+        'modpack.verifying': 'Calculating the checksum of {file}…',
+        'modpack.verifyOk': '{file} matches the published file',
+        'modpack.verifyFailed': '{file} does not match the published file. Please download it again',
+        'modpack.verifySize': '{file} is not the same size as the published file. Please download it again',
+        'modpack.verifyTooLarge': '{file} is larger than {limit}, too large to checksum reliably in the browser. Compare it with the checksum above using sha256sum or certutil',
+        'modpack.verifyUnsupported': 'This browser cannot calculate checksums here. Open this page over HTTPS',
+        'modpack.changelog': 'Changelog',
+        'modpack.driftMatch': 'The mods on the server match modpack v{version}',
+        'modpack.driftUnknown': 'The server is offline or did not report its mods, so it cannot be compared with the modpack yet',
+        'modpack.drift': 'The mods on the server differ from modpack v{version}. The modpack may need an update',
+        'modpack.driftMinecraft': 'Different game version: server {server}, modpack {pack}',
+        'modpack.driftLoader': 'Different loader: server {server}, modpack {pack}',
+        'modpack.driftMissing': 'Missing from the modpack: {mods}',
+        'modpack.driftExtra': 'Not installed on the server: {mods}',
+        'modpack.driftVersion': 'Different versions: {mods}',
+        'modpack.driftVersionItem': '{id} (server {server}, modpack {pack})',
+        'modpack.driftPartial': 'The server only reported part of its mod list, so extra mods in the modpack were not checked',
+        'details.show': 'Show details',
+        'details.hide': 'Hide details',
+        'details.software': 'Software',
+        'details.version': 'Version',
+        'details.protocol': 'Protocol',
+        'details.gamemode': 'Game mode',
+        'details.map': 'Map',
+        'details.lastSuccess': 'Last successful check',
+        'details.lastSuccessValue': '{time} ({relative})',
+        'details.sources': 'Data sources',
+        'details.search': 'Search plugins or mods',
+        'details.plugins': 'Plugins ({count})',
+        'details.mods': '{loader} mods ({count})',
+        'details.modsUnknown': 'Mods ({count})',
+        'details.modsTruncated': 'The server only reported part of its mod list',
+        'details.noPlugins': 'The server does not publish a plugin or mod list (plugin lists require Query to be enabled)',
+        'details.noMatch': 'No matching plugins or mods',
+        'details.raw': 'Raw data from each source',
+        'details.rawEmpty': 'Raw data is only kept for this visit and will be available after the next check',
+        'offline.banner': 'Offline data · updated {relative} ({time})',
+        'offline.bannerFailed': 'Connection failed, showing offline data · updated {relative} ({time})',
+        'offline.reconnected': 'Back online, refreshing status',
+        'refresh.countdown': 'Next refresh in {seconds}s',
+        'refresh.retry': 'Refresh failed, retrying in {seconds}s',
+        'refresh.running': 'Refreshing…',
+        'refresh.live': 'Live updates',
+        'refresh.now': 'Refresh now',
+
+        'history.title': 'History',
+        'history.range.24h': '24 hours',
+        'history.range.7d': '7 days',
+        'history.range.30d': '30 days',
+        'history.uptime': 'Uptime',
+        'history.maxPlayers': 'Peak',
+        'history.maxPlayersValue': { one: '{count} player', other: '{count} players' },
+        'history.peak': 'Busiest',
+        'history.empty': 'No history yet. Keep this page open to start recording',
+        'history.sparkline': 'Player count over time',
+        'history.heatmap': 'Busiest hours heatmap',
+        'history.heatmapCell': '{day} {hour}:00 average {average} players',
+        'history.retention': 'History is stored in this browser for up to 30 days',
+        'history.exportCsv': 'Export CSV',
+        'history.exportJson': 'Export JSON',
+        'history.exportFailed': 'Failed to export history',
+
+        'players.title': 'Online Players',
+        'players.search': 'Search players...',
+        'players.sort': 'Sort players',
+        'players.sortName': 'By name',
+        'players.sortPlaytime': 'By playtime',
+        'players.expand': 'Expand',
+        'players.collapse': 'Collapse',
+        'players.all': 'All',
+        'players.none': 'No players online right now',
+        'players.noMatch': 'No matching players',
+        'players.online': 'Online',
+        'players.onlineFor': 'Online {duration}',
+        'players.onlineAtLeast': 'Online ≥{duration}',
+        'activity.title': 'Player Activity',
+        'activity.recent': 'Recently Left',
+        'activity.join': '{player} joined {server}',
+        'activity.leave': '{player} left {server}',
+        'activity.empty': 'No activity yet. Keep this page open to see players come and go',
+        'activity.recentEntry': '{server} · played {duration}',
+        'activity.recentEmpty': 'Nothing yet',
+
+        'guide.title': 'How to Join',
+        'guide.step1': 'Pick a server',
+        'guide.bedrockAddress': 'Server address',
+        'guide.bedrockPort': 'Port',
+        'guide.step2': 'Join the QQ group',
+        'guide.step2Desc': 'News, modpack downloads and help',
+        'guide.qrcode': 'QQ group QR code',
+        'guide.groupNumber': 'Group: ',
+        'guide.groupLink': 'Link: ',
+        'guide.groupJoin': 'Join',
+        'guide.groupDesc': 'An active community, always around to chat',
+        'guide.step3': 'Start playing',
+        'guide.step3Desc': 'Launch Minecraft, add the server and have fun!',
+        'guide.tipVersion': 'Pick your client version under server status to see whether you can join directly',
+        'guide.tipRules': 'Follow the server rules and be nice',
+
+        'custom.title': 'Check Any Server',
+        'custom.placeholder': 'Server address (e.g. mc.hypixel.net)',
+        'custom.check': 'Check',
+        'custom.checking': 'Checking...',
+        'custom.empty': 'Please enter a server address',
+        'custom.online': 'Server online',
+        'custom.offline': 'Server offline',
+        'custom.offlineDesc': 'Could not reach the server. Check the address, or the server may be under maintenance.',
+        'custom.failed': 'Check failed',
+        'custom.failedDesc': 'Could not fetch the server status. Check your connection or try again later.',
+        'custom.address': 'Address:',
+        'custom.version': 'Version:',
+        'custom.players': 'Players:',
+        'custom.latency': 'Latency:',
+        'custom.cached': 'Data from cache',
+        'check.invalidTitle': 'Invalid address',
+        'check.recent': 'Recent checks',
+        'check.clear': 'Clear history',
+        'check.error.EINVAL': 'Invalid address. Try mc.example.com, mc.example.com:25565 or [2001:db8::1]:25565',
+        'check.error.ENOTFOUND': 'DNS lookup failed: this domain does not exist, check the spelling',
+        'check.error.ECONNREFUSED': 'Connection refused: the server is not running or the port is wrong',
+        'check.error.ETIMEDOUT': 'Timed out: the server did not respond, it may be offline or behind a firewall',
+        'check.error.EPROTO': 'Unrecognized response, this address may not be a Minecraft server',
+        'compare.add': 'Compare',
+        'compare.title': 'Server Comparison',
+        'compare.refresh': 'Refresh',
+        'compare.clear': 'Clear',
+        'compare.remove': 'Remove from comparison',
+        'compare.baseline': 'Baseline',
+        'compare.exists': 'This server is already being compared',
+        'compare.full': { one: 'You can compare up to {count} server', other: 'You can compare up to {count} servers' },
+        'compare.hint': 'Values that differ from the baseline (first column) are highlighted. Refreshes every 30 seconds',
+        'compare.row.status': 'Status',
+        'compare.row.edition': 'Edition',
+        'compare.row.version': 'Version',
+        'compare.row.protocol': 'Protocol',
+        'compare.row.players': 'Players',
+        'compare.row.latency': 'Latency',
+        'compare.row.software': 'Software',
+        'compare.row.plugins': 'Plugins',
+        'edition.java': 'Java Edition',
+        'edition.bedrock': 'Bedrock Edition',
+
+        'footer.brand': 'MXDL',
+        'footer.since': 'Running since summer 2025 · free forever',
+        'footer.qq': 'QQ group',
+        'footer.community': 'Community driven',
+        'footer.copyright': '© 2025 MXDL Minecraft Servers. All rights reserved.',
+
+        'copy.success': 'Copied to clipboard',
+        'copy.failed': 'Copy failed',
+
+        'badge.online': 'online',
+        'badge.offline': 'offline',
+        'badge.unknown': 'unknown',
+
+        'servers.maintenance': 'Maintenance',
+        'maintenance.countdown': 'Expected to end in {duration}',
+        'maintenance.noEnd': 'End time to be announced',
+        'announcement.serverTitle': '{server}: {title}',
+        'announcement.until': 'Expected to end {end}',
+        'announcement.noEnd': 'End time to be announced',
+        'announcement.period': '{start} – {end}',
+        'announcement.from': 'Starts {start}',
+        'announcement.history': 'Status history',
+        'announcement.dismiss': 'Dismiss announcement',
+        'history.excludesMaintenance': 'Records during planned maintenance are not counted in uptime',
+        'incidents.title': 'Status History',
+        'incidents.current': 'Ongoing and scheduled',
+        'incidents.past': 'Past incidents and maintenance',
+        'incidents.noCurrent': 'No ongoing or scheduled maintenance',
+        'incidents.noPast': 'No incidents or maintenance recorded yet',
+        'incidents.allServers': 'All servers',
+        'incidents.duration': 'Lasted {duration}',
+        'incidents.back': 'Back to server status',
+        'incidents.type.maintenance': 'Planned maintenance',
+        'incidents.type.incident': 'Incident',
+        'incidents.type.notice': 'Notice',
+        'share.button': 'QR code and share link',
+        'share.title': 'Share',
+        'share.qrAlt': 'QR code for {address}',
+        'share.qrHint': 'Scan with your phone to send the server address to your PC or launcher',
+        'share.address': 'Server address',
+        'share.link': 'Share link (opens the page at this server)',
+        'share.copyLink': 'Copy share link',
+        'share.serversDat': 'Download servers.dat',
+        'share.serversDatHint': 'Put it in your .minecraft folder to see all Java servers in the multiplayer list. It replaces your existing server list, so back it up first',
+        'share.serversDatFailed': 'Could not create servers.dat',
+        'embed.button': 'Embed on another site',
+        'embed.title': 'Embed on another site',
+        'embed.server': 'Server',
+        'embed.type': 'Embed type',
+        'embed.typeWidget': 'Status widget',
+        'embed.typeBadge': 'Status badge',
+        'embed.theme': 'Theme',
+        'embed.themeAuto': 'Match system',
+        'embed.themeLight': 'Light',
+        'embed.themeDark': 'Dark',
+        'embed.lang': 'Language',
+        'embed.langAuto': 'Match visitor',
+        'embed.refresh': 'Refresh interval (seconds)',
+        'embed.label': 'Badge label',
+        'embed.preview': 'Preview',
+        'embed.copy': 'Copy code',
+        'embed.download': 'Download SVG',
+        'embed.noRelay': 'No status relay is configured, so the badge cannot update itself. You can download an SVG of the current status instead.',
+        'embed.frameTitle': '{name} server status',
+        'embed.notFound': 'Server {id} not found',
+        'embed.updated': 'Updated {time}',
+        'embed.viewFull': 'View on the MXDL status page',
+
+        'watch.title': 'Alerts',
+        'watch.close': 'Close',
+        'cache.title': 'Cache inspector',
+        'cache.clear': 'Clear cache',
+        'cache.cleared': 'Cache cleared',
+        'cache.summary': '{count} entries (limit {max}), about {size} KB',
+        'cache.key': 'Key',
+        'cache.state': 'State',
+        'cache.provider': 'Source',
+        'cache.fetched': 'Fetched',
+        'cache.expires': 'TTL',
+        'cache.size': 'Size',
+        'cache.delete': 'Delete',
+        'cache.empty': 'The cache is empty',
+        'cache.state.fresh': 'Fresh',
+        'cache.state.stale': 'Stale',
+        'cache.state.error': 'Failed',
+        'cache.expiresIn': 'Expires in {seconds}s',
+        'cache.expired': 'Expired',
+        'watch.type': 'Alert type',
+        'watch.typeStatus': 'Server up/down',
+        'watch.typePlayers': 'Player count reaches',
+        'watch.typePlayer': 'Player comes online',
+        'watch.server': 'Server',
+        'watch.anyServer': 'Any server',
+        'watch.threshold': 'Players',
+        'watch.player': 'Player name',
+        'watch.add': 'Add',
+        'watch.added': 'Alert added',
+        'watch.invalidPlayer': 'Please enter a valid player name',
+        'watch.remove': 'Remove alert',
+        'watch.empty': 'No alerts yet, try adding one',
+        'watch.permissionGranted': 'System notifications are on, alerts show even when the page is in the background',
+        'watch.permissionUnsupported': 'This browser does not support system notifications, alerts will show on the page',
+        'watch.permissionDefault': 'System notifications are off',
+        'watch.enableNotifications': 'Enable',
+        'watch.describeStatus': '{server} goes up/down',
+        'watch.describePlayers': '{server} reaches {threshold} players',
+        'watch.describePlayer': '{player} comes online on {server}',
+        'notify.online': '{server} is online',
+        'notify.onlineBody': { one: '{name} is back with {count} player online', other: '{name} is back with {count} players online' },
+        'notify.offline': '{server} is offline',
+        'notify.offlineBody': '{name} cannot be reached',
+        'notify.threshold': '{server} reached {threshold} players',
+        'notify.thresholdBody': { one: '{name} has {count} player online', other: '{name} has {count} players online' },
+        'notify.playerJoined': '{player} is online',
+        'notify.playerJoinedBody': '{player} joined {server}',
+
+        'common.unknown': 'Unknown',
+        'time.justNow': 'just now',
+        'duration.lessThanMinute': 'under a minute'
     }
+};
 
-    // 获取服务器状态
-    async getServerStatus(serverAddress) {
-        const cached = this.cache.get(serverAddress);
-        const now = Date.now();
-        
-        if (cached && now - cached.timestamp < this.cacheTimeout) {
-            return { ...cached.data, fromCache: true };
+// 语言切换按钮上显示的名称
+const LOCALE_LABELS = { 'zh-CN': '中', en: 'EN' };
+
+// 国际化管理器：查找文案、处理复数，按当前语言格式化数字、时间和时长
+class I18nManager {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'locale';
+        this.fallbackLocale = 'zh-CN';
+        this.listeners = [];
+        this.setFormatters(this.detectLocale());
+    }
+
+    // 优先使用保存的语言，其次是浏览器语言
+    detectLocale() {
+        const saved = localStorage.getItem(this.storageKey);
+        if (saved && MESSAGES[saved]) return saved;
+
+        const preferred = navigator.languages || [navigator.language];
+        const match = preferred.find(language => /^(zh|en)\b/i.test(language || ''));
+        return match && /^en/i.test(match) ? 'en' : this.fallbackLocale;
+    }
+
+    setFormatters(locale) {
+        this.locale = locale;
+        this.pluralRules = new Intl.PluralRules(locale);
+        this.relativeTimeFormat = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+        this.listFormat = new Intl.ListFormat(locale, { type: 'unit', style: 'narrow' });
+        this.conjunctionFormat = new Intl.ListFormat(locale, { type: 'conjunction' });
+    }
+
+    setLocale(locale) {
+        if (!MESSAGES[locale] || locale === this.locale) return;
+        this.setFormatters(locale);
+        localStorage.setItem(this.storageKey, locale);
+        this.apply();
+        this.listeners.forEach(listener => listener(locale));
+    }
+
+    // 依次切换到下一种语言
+    toggleLocale() {
+        const locales = Object.keys(MESSAGES);
+        this.setLocale(locales[(locales.indexOf(this.locale) + 1) % locales.length]);
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // 查找文案并替换 {name} 插值；params.count 决定复数形式
+    t(key, params = {}) {
+        let message = MESSAGES[this.locale][key] ?? MESSAGES[this.fallbackLocale][key];
+        if (message === undefined) {
+            console.warn('缺少文案:', key);
+            return key;
         }
-        
-        try {
-            const freshData = await this.fetchServerStatus(serverAddress);
-            this.cache.set(serverAddress, {
-                data: freshData,
-                timestamp: now
+        if (typeof message === 'object') {
+            message = message[this.pluralRules.select(params.count ?? 0)] || message.other;
+        }
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    formatList(items) {
+        return this.conjunctionFormat.format(items);
+    }
+
+    formatNumber(value, options) {
+        return new Intl.NumberFormat(this.locale, options).format(value);
+    }
+
+    formatDateTime(timestamp, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+        return new Intl.DateTimeFormat(this.locale, options).format(new Date(timestamp));
+    }
+
+    // 0 = 周日，与 Date.getDay() 一致
+    weekdayName(day) {
+        return new Intl.DateTimeFormat(this.locale, { weekday: 'short' }).format(new Date(2024, 0, 7 + day));
+    }
+
+    formatRelativeTime(timestamp, now = Date.now()) {
+        const seconds = Math.max(0, Math.floor((now - timestamp) / 1000));
+        if (seconds < 60) return this.t('time.justNow');
+        if (seconds < 3600) return this.relativeTimeFormat.format(-Math.floor(seconds / 60), 'minute');
+        if (seconds < 86400) return this.relativeTimeFormat.format(-Math.floor(seconds / 3600), 'hour');
+        return this.relativeTimeFormat.format(-Math.floor(seconds / 86400), 'day');
+    }
+
+    formatDuration(ms) {
+        const minutes = Math.max(0, Math.floor(ms / 60000));
+        if (minutes < 1) return this.t('duration.lessThanMinute');
+
+        const unit = (value, name) => this.formatNumber(value, { style: 'unit', unit: name, unitDisplay: 'long' });
+        if (minutes < 60) return unit(minutes, 'minute');
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        return rest ? this.listFormat.format([unit(hours, 'hour'), unit(rest, 'minute')]) : unit(hours, 'hour');
+    }
+
+    // 翻译页面中的静态文案：data-i18n 设置文字，data-i18n-{属性} 设置对应属性
+    apply(root = document) {
+        document.documentElement.lang = this.locale;
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        ['placeholder', 'title', 'aria-label', 'alt', 'content'].forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
             });
-            
-            return { ...freshData, fromCache: false };
-        } catch (error) {
-            // 如果获取失败，返回缓存数据（如果有）
-            if (cached) {
-                return { ...cached.data, fromCache: true, error: true };
-            }
-            throw error;
+        });
+
+        const localeToggle = document.getElementById('localeToggle');
+        if (localeToggle) {
+            const locales = Object.keys(MESSAGES);
+            localeToggle.textContent = LOCALE_LABELS[locales[(locales.indexOf(this.locale) + 1) % locales.length]];
         }
     }
+}
 
-    // 从API获取服务器状态
-    async fetchServerStatus(serverAddress) {
-        let newApiData = null;
-        let oldApiData = null;
-        
-        try {
-            // 首先尝试使用新API获取服务器状态
-            const newApiResponse = await fetch(`https://uapis.cn/api/v1/game/minecraft/serverstatus?server=${encodeURIComponent(serverAddress)}`);
-            
-            if (newApiResponse.ok) {
-                newApiData = await newApiResponse.json();
-                console.log('新API响应:', newApiData);
-            } else {
-                console.warn('新API请求失败，状态码:', newApiResponse.status);
+const i18n = new I18nManager();
+
+// 根据玩家名生成对称的像素头像（SVG data URI），在线头像都加载失败时使用
+function generateIdenticon(name) {
+    // FNV-1a 哈希
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < name.length; i++) {
+        hash ^= name.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+
+    const hue = hash % 360;
+    const cells = [];
+    for (let y = 0; y < 5; y++) {
+        for (let x = 0; x < 3; x++) {
+            if ((hash >>> (y * 3 + x)) & 1) {
+                cells.push(`<rect x="${x}" y="${y}" width="1" height="1"/>`);
+                if (x < 2) cells.push(`<rect x="${4 - x}" y="${y}" width="1" height="1"/>`);
             }
-        } catch (error) {
-            console.warn('新API请求异常:', error);
         }
-        
-        // 检查新API数据是否完整
-        const isNewApiValid = newApiData && 
-                             newApiData.code === 200 && 
-                             newApiData.online !== undefined;
-        
-        if (isNewApiValid) {
-            // 新API数据有效，如果服务器在线则尝试获取旧API的补充信息
-            if (newApiData.online) {
+    }
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="-0.5 -0.5 6 6" shape-rendering="crispEdges">`
+        + `<rect x="-0.5" y="-0.5" width="6" height="6" fill="hsl(${hue}, 25%, 92%)"/>`
+        + `<g fill="hsl(${hue}, 55%, 50%)">${cells.join('')}</g></svg>`;
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+// 读取页面配置的状态中继地址
+function getRelayUrl() {
+    const meta = document.querySelector('meta[name="mxdl-relay"]');
+    return meta ? meta.content.trim() : '';
+}
+
+// 读取页面配置的状态聚合服务地址
+function getAggregatorUrl() {
+    const meta = document.querySelector('meta[name="mxdl-aggregator"]');
+    return meta ? meta.content.trim() : '';
+}
+
+// 状态聚合服务客户端：通过 SSE 接收 aggregator/server.mjs 每轮检测的结果
+// 连接断开或结果过期时 connected 为 false，页面回退到直接轮询
+class AggregatorClient {
+    constructor(url, options = {}) {
+        this.url = url.replace(/\/+$/, '');
+        this.connectTimeout = options.connectTimeout || 3000;
+        this.reconnectDelay = options.reconnectDelay || 60000;
+        this.source = null;
+        this.snapshot = null;
+        this.receivedAt = 0;
+        this.listeners = [];
+        this.seen = new Map();
+    }
+
+    // 聚合服务在线但检测卡住时，超过两个检测周期没有收到新结果就不再使用
+    // 按本地收到推送的时间计算，访客电脑的时钟与服务器不一致也不影响判断
+    get connected() {
+        if (!this.source || this.source.readyState !== EventSource.OPEN || !this.snapshot) return false;
+        return Date.now() - this.receivedAt < this.snapshot.interval * 2000 + 10000;
+    }
+
+    onUpdate(listener) {
+        this.listeners.push(listener);
+    }
+
+    // 收到第一次推送时返回 true；没有配置、浏览器不支持或连接失败时返回 false
+    connect() {
+        if (!this.url || typeof EventSource === 'undefined') return Promise.resolve(false);
+
+        return new Promise(resolve => {
+            const timer = setTimeout(() => resolve(false), this.connectTimeout);
+            const source = new EventSource(`${this.url}/api/stream`);
+            this.source = source;
+
+            source.addEventListener('status', (e) => {
+                clearTimeout(timer);
                 try {
-                    const oldApiResponse = await fetch(`https://api.mcsrvstat.us/2/${serverAddress}`);
-                    if (oldApiResponse.ok) {
-                        oldApiData = await oldApiResponse.json();
-                        console.log('旧API响应:', oldApiData);
-                    }
+                    this.snapshot = JSON.parse(e.data);
+                    this.receivedAt = Date.now();
                 } catch (error) {
-                    console.warn('旧API请求失败:', error);
+                    console.warn('聚合服务推送的数据无效:', error);
+                    return;
                 }
-            }
-            
-            const processedData = this.processServerData(newApiData, oldApiData);
-            return processedData;
-        } else {
-            // 新API无效或无响应，完全回退到旧API
-            console.log('新API数据无效，回退到旧API');
-            try {
-                const oldApiResponse = await fetch(`https://api.mcsrvstat.us/2/${serverAddress}`);
-                if (oldApiResponse.ok) {
-                    oldApiData = await oldApiResponse.json();
-                    console.log('回退到旧API的响应:', oldApiData);
-                    
-                    // 将旧API数据转换为新API格式
-                    const fallbackData = this.convertOldApiToNewApiFormat(oldApiData);
-                    const processedData = this.processServerData(fallbackData, oldApiData);
-                    return processedData;
-                } else {
-                    throw new Error(`旧API请求失败，状态码: ${oldApiResponse.status}`);
+                resolve(true);
+                this.listeners.forEach(listener => listener(this.snapshot));
+            });
+            source.addEventListener('error', () => {
+                clearTimeout(timer);
+                resolve(false);
+                // 断线后浏览器会自动重连；连接被拒绝（服务不可用）时稍后再试
+                if (source.readyState === EventSource.CLOSED) {
+                    setTimeout(() => this.connect(), this.reconnectDelay);
+                }
+            });
+        });
+    }
+
+    // 聚合服务中该服务器的最新结果；没有连接或聚合服务不检测它时返回 null
+    getEntry(server) {
+        if (!this.connected) return null;
+        return this.snapshot.servers.find(entry => entry.id === server.id && entry.address === server.address) || null;
+    }
+
+    // 记录已处理的检测结果，返回该结果之前是否已经处理过
+    markSeen(serverId, updatedAt) {
+        const seen = this.seen.get(serverId) === updatedAt;
+        this.seen.set(serverId, updatedAt);
+        return seen;
+    }
+}
+
+// Minecraft 颜色代码与JSON聊天组件颜色名的对应关系
+const MC_COLOR_NAMES = {
+    black: '0', dark_blue: '1', dark_green: '2', dark_aqua: '3',
+    dark_red: '4', dark_purple: '5', gold: '6', gray: '7',
+    dark_gray: '8', blue: '9', green: 'a', aqua: 'b',
+    red: 'c', light_purple: 'd', yellow: 'e', white: 'f'
+};
+
+// 格式代码对应的样式属性
+const MC_FORMAT_CODES = {
+    k: 'obfuscated', l: 'bold', m: 'strikethrough', n: 'underlined', o: 'italic'
+};
+
+const OBFUSCATED_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789!#$%&?@';
+
+// MOTD渲染器：把 § 格式代码或JSON聊天组件渲染为DOM节点，效果与游戏内一致
+class MotdRenderer {
+    constructor() {
+        this.obfuscatedNodes = new Set();
+        this.timer = null;
+        this.reducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    // 渲染MOTD：优先使用原始数据，没有时退回数据源提供的HTML
+    render(motd) {
+        const fragment = document.createDocumentFragment();
+        const raw = (motd && motd.raw) || [];
+
+        if (raw.length > 0) {
+            raw.forEach((line, index) => {
+                if (index > 0) fragment.appendChild(document.createElement('br'));
+                this.toSegments(line).forEach(segment => fragment.appendChild(this.createSegmentNode(segment)));
+            });
+        } else if (motd && motd.html && motd.html.length > 0) {
+            fragment.appendChild(sanitizeMotdHtml(motd.html.join('<br>')));
+        }
+
+        this.startAnimation();
+        return fragment;
+    }
+
+    // 判断是否有可以渲染的MOTD
+    hasContent(motd) {
+        if (!motd) return false;
+        return (motd.raw || []).some(line => line !== '' && line !== null)
+            || (motd.html || []).some(line => line !== '');
+    }
+
+    // 把一行原始MOTD转换为带样式的文本片段
+    toSegments(line) {
+        if (typeof line === 'string') {
+            const trimmed = line.trim();
+            if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+                try {
+                    return this.flattenComponent(JSON.parse(trimmed), {});
+                } catch (error) {
+                    // 不是JSON，按普通文本处理
                 }
-            } catch (error) {
-                console.error('所有API请求都失败:', error);
-                throw new Error('无法获取服务器状态，请检查网络连接');
             }
+            return this.parseLegacy(line, {});
         }
+        return this.flattenComponent(line, {});
     }
 
-    // 处理服务器数据 - 合并新API和旧API的数据
-    processServerData(newApiData, oldApiData) {
-        // 新API不提供延迟信息，如果服务器在线就显示"< 100ms"
-        const pingValue = newApiData.online ? null : null;
-        
-        // 合并玩家列表：优先使用旧API的玩家列表，如果没有则使用空数组
-        let playersList = [];
-        if (oldApiData && oldApiData.players && oldApiData.players.list) {
-            playersList = oldApiData.players.list;
+    // 解析 § 格式代码（含 §x§R§R§G§G§B§B 十六进制颜色）
+    parseLegacy(text, baseStyle) {
+        const segments = [];
+        let style = { ...baseStyle };
+        let buffer = '';
+
+        const flush = () => {
+            if (buffer) {
+                segments.push({ text: buffer, style: { ...style } });
+                buffer = '';
+            }
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] !== '§' || i + 1 >= text.length) {
+                buffer += text[i];
+                continue;
+            }
+
+            const code = text[i + 1].toLowerCase();
+            const hex = code === 'x' ? /^(?:§[0-9a-f]){6}/i.exec(text.slice(i + 2)) : null;
+
+            if (hex) {
+                flush();
+                style = { ...baseStyle, color: '#' + hex[0].replace(/§/g, '') };
+                i += 1 + hex[0].length;
+            } else if (/[0-9a-f]/.test(code)) {
+                // 颜色代码会同时清除之前的格式
+                flush();
+                style = { ...baseStyle, color: code };
+                i++;
+            } else if (MC_FORMAT_CODES[code]) {
+                flush();
+                style[MC_FORMAT_CODES[code]] = true;
+                i++;
+            } else if (code === 'r') {
+                flush();
+                style = { ...baseStyle };
+                i++;
+            } else {
+                buffer += text[i];
+            }
         }
-        
-        // 合并图标：优先使用旧API的图标，如果没有则使用新API的图标
-        let icon = null;
-        if (oldApiData && oldApiData.icon) {
-            icon = oldApiData.icon;
-        } else if (newApiData.favicon_url) {
-            icon = newApiData.favicon_url;
+
+        flush();
+        return segments;
+    }
+
+    // 展开JSON聊天组件，子组件继承父组件样式
+    flattenComponent(component, inherited) {
+        if (component === null || component === undefined) return [];
+        if (typeof component === 'string' || typeof component === 'number') {
+            return this.parseLegacy(String(component), inherited);
         }
-        
-        // 合并玩家数量：优先使用新API的数据，因为更准确
-        const playersOnline = newApiData.players || (oldApiData && oldApiData.players ? oldApiData.players.online : 0);
-        const playersMax = newApiData.max_players || (oldApiData && oldApiData.players ? oldApiData.players.max : 0);
-        
-        return {
-            online: newApiData.online || false,
-            ip: newApiData.ip || (oldApiData && oldApiData.ip) || '未知',
-            port: newApiData.port || (oldApiData && oldApiData.port) || '未知',
-            hostname: newApiData.hostname || (oldApiData && oldApiData.hostname) || '未知',
-            icon: icon,
-            version: newApiData.version || (oldApiData && oldApiData.version) || '未知',
-            protocol: (oldApiData && oldApiData.protocol) || '未知',
-            protocolName: (oldApiData && oldApiData.protocolName) || '未知',
-            players: {
-                online: playersOnline,
-                max: playersMax,
-                list: playersList
-            },
-            motd: {
-                raw: (oldApiData && oldApiData.motd && oldApiData.motd.raw) || [],
-                clean: [newApiData.motd_clean || (oldApiData && oldApiData.motd && oldApiData.motd.clean && oldApiData.motd.clean[0]) || ''],
-                html: [newApiData.motd_html || (oldApiData && oldApiData.motd && oldApiData.motd.html && oldApiData.motd.html[0]) || '']
-            },
-            debug: {
-                ping: pingValue,
-                query: (oldApiData && oldApiData.debug && oldApiData.debug.query) || false,
-                cacheHit: false
-            },
-            software: (oldApiData && oldApiData.software) || '未知',
-            gamemode: (oldApiData && oldApiData.gamemode) || '生存',
-            map: (oldApiData && oldApiData.map) || '未知',
-            plugins: (oldApiData && oldApiData.plugins) || []
-        };
+        if (Array.isArray(component)) {
+            // 数组的第一个元素是其余元素的父组件
+            if (component.length === 0) return [];
+            const [first, ...rest] = component;
+            return this.flattenComponent(
+                typeof first === 'object' && first !== null ? { ...first, extra: [...(first.extra || []), ...rest] } : { text: String(first), extra: rest },
+                inherited
+            );
+        }
+
+        const style = { ...inherited };
+        if (component.color) {
+            const color = String(component.color).toLowerCase();
+            if (MC_COLOR_NAMES[color]) {
+                style.color = MC_COLOR_NAMES[color];
+            } else if (/^#[0-9a-f]{6}$/.test(color)) {
+                style.color = color;
+            }
+        }
+        ['bold', 'italic', 'underlined', 'strikethrough', 'obfuscated'].forEach(key => {
+            if (component[key] !== undefined) {
+                style[key] = Boolean(component[key]);
+            }
+        });
+
+        const text = component.text !== undefined ? component.text : (component.translate || '');
+        return [
+            ...this.parseLegacy(String(text), style),
+            ...(component.extra || []).flatMap(child => this.flattenComponent(child, style))
+        ];
     }
 
-    // 获取玩家头像URL
-    getPlayerAvatarUrl(username) {
-        // 优先使用Cravatar，备选Minotar
-        const cravatarUrl = `https://cravatar.eu/helmavatar/${username}/64.png`;
-        const minotarUrl = `https://minotar.net/avatar/${username}/64.png`;
-        
-        return cravatarUrl; // 直接返回Cravatar，因为更可靠
+    // 为一个文本片段创建DOM节点，换行转换为 <br>
+    createSegmentNode(segment) {
+        const fragment = document.createDocumentFragment();
+        const { style } = segment;
+
+        segment.text.split('\n').forEach((part, index) => {
+            if (index > 0) fragment.appendChild(document.createElement('br'));
+            if (!part) return;
+
+            const span = document.createElement('span');
+            span.textContent = part;
+
+            if (style.color && style.color.startsWith('#')) {
+                span.style.color = style.color;
+            } else if (style.color) {
+                span.classList.add(`mc-color-${style.color}`);
+            }
+            if (style.bold) span.classList.add('mc-bold');
+            if (style.italic) span.classList.add('mc-italic');
+            if (style.underlined) span.classList.add('mc-underlined');
+            if (style.strikethrough) span.classList.add('mc-strikethrough');
+            if (style.obfuscated) {
+                span.classList.add('mc-obfuscated');
+                span.dataset.length = part.length;
+                span.textContent = this.scramble(part.length);
+                this.obfuscatedNodes.add(span);
+            }
+
+            fragment.appendChild(span);
+        });
+
+        return fragment;
     }
 
-    // 将旧API数据转换为新API格式
-    convertOldApiToNewApiFormat(oldApiData) {
-        // 将旧API的MOTD转换为新API格式
-        let motdClean = '';
-        let motdHtml = '';
-        
-        if (oldApiData.motd && oldApiData.motd.clean && oldApiData.motd.clean.length > 0) {
-            motdClean = oldApiData.motd.clean.join('\n');
-            // 简单地将纯文本MOTD转换为HTML格式
-            motdHtml = oldApiData.motd.clean.map(line => `<span style="color: #ffffff">${line}</span>`).join('<br>');
+    // 生成随机字符
+    scramble(length) {
+        let text = '';
+        for (let i = 0; i < length; i++) {
+            text += OBFUSCATED_CHARS[Math.floor(Math.random() * OBFUSCATED_CHARS.length)];
         }
-        
+        return text;
+    }
+
+    // 乱码文字动画；用户要求减少动态效果时保持静止
+    startAnimation() {
+        if (this.reducedMotion || this.timer || this.obfuscatedNodes.size === 0) return;
+
+        this.timer = setInterval(() => {
+            this.obfuscatedNodes.forEach(node => {
+                if (!node.isConnected) {
+                    this.obfuscatedNodes.delete(node);
+                    return;
+                }
+                node.textContent = this.scramble(Number(node.dataset.length));
+            });
+
+            if (this.obfuscatedNodes.size === 0) {
+                clearInterval(this.timer);
+                this.timer = null;
+            }
+        }, 60);
+    }
+}
+
+// 历史记录的统计范围：时长和图表分桶数量
+const HISTORY_RANGES = {
+    '24h': { duration: 24 * 3600000, buckets: 48 },
+    '7d': { duration: 7 * 24 * 3600000, buckets: 84 },
+    '30d': { duration: 30 * 24 * 3600000, buckets: 90 }
+};
+
+
+// 历史记录存储：每次轮询的结果保存在 IndexedDB 中
+class HistoryStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'mxdl-history';
+        this.dbPromise = null;
+    }
+
+    // 打开数据库
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (!window.indexedDB) {
+                    reject(new Error('当前浏览器不支持 IndexedDB'));
+                    return;
+                }
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore('polls', { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('server_time', ['serverId', 'timestamp']);
+                    store.createIndex('timestamp', 'timestamp');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // 在一个事务中执行操作，事务完成后返回请求结果
+    async run(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('polls', mode);
+            const request = operation(transaction.objectStore('polls'));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            // 超出存储配额或数据库版本变化时事务直接中止，不会触发 complete
+            transaction.onabort = () => reject(transaction.error || new DOMException('历史记录事务已中止', 'AbortError'));
+        });
+    }
+
+    add(entry) {
+        return this.run('readwrite', store => store.add(entry));
+    }
+
+    // 获取某个服务器在since之后的记录
+    getRange(serverId, since) {
+        return this.run('readonly', store => store.index('server_time')
+            .getAll(IDBKeyRange.bound([serverId, since], [serverId, Infinity])));
+    }
+
+    getAll() {
+        return this.run('readonly', store => store.index('timestamp').getAll());
+    }
+
+    // 删除cutoff之前的记录
+    deleteBefore(cutoff) {
+        return this.run('readwrite', store => {
+            const request = store.index('timestamp').openCursor(IDBKeyRange.upperBound(cutoff, true));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            return null;
+        });
+    }
+}
+
+// 历史记录管理器：记录轮询结果并计算在线率、玩家曲线和高峰时段
+class ServerHistoryManager {
+    constructor(options = {}) {
+        this.store = new HistoryStore(options);
+        this.retentionDays = options.retentionDays || 30;
+        // 返回服务器的计划维护时间段 [{ start, end }]，这些时段的记录不计入统计
+        this.getExcludedWindows = options.getExcludedWindows || (() => []);
+        this.pruneInterval = 3600000; // 每小时清理一次过期记录
+        this.lastPrune = 0;
+    }
+
+    // 记录一次轮询结果；检测失败（不是服务器离线）也会记录，但不计入在线率
+    async record(serverId, status, timestamp = Date.now()) {
+        try {
+            await this.store.add({
+                serverId,
+                timestamp,
+                online: Boolean(status.online && !status.error),
+                failed: Boolean(status.error),
+                players: status.online ? status.players.online : 0,
+                maxPlayers: status.online ? status.players.max : 0,
+                version: status.online ? status.version : null,
+                latency: status.debug ? status.debug.ping : null
+            });
+
+            if (timestamp - this.lastPrune > this.pruneInterval) {
+                this.lastPrune = timestamp;
+                await this.store.deleteBefore(timestamp - this.retentionDays * 24 * 3600000);
+            }
+        } catch (error) {
+            console.warn('历史记录保存失败:', error);
+        }
+    }
+
+    // 计算某个范围内的统计数据
+    async getSummary(serverId, rangeKey) {
+        const range = HISTORY_RANGES[rangeKey] || HISTORY_RANGES['24h'];
+        const now = Date.now();
+        const start = now - range.duration;
+        const windows = this.getExcludedWindows(serverId);
+        const inWindow = entry => windows.some(window => entry.timestamp >= window.start && entry.timestamp < window.end);
+        const recorded = (await this.store.getRange(serverId, start)).filter(entry => !entry.failed);
+        const entries = recorded.filter(entry => !inWindow(entry));
+
+        const bucketSize = range.duration / range.buckets;
+        const buckets = Array.from({ length: range.buckets }, () => ({ polls: 0, online: 0, players: 0 }));
+        const heatmap = Array.from({ length: 7 }, () => Array.from({ length: 24 }, () => ({ polls: 0, players: 0 })));
+
+        entries.forEach(entry => {
+            const index = Math.min(range.buckets - 1, Math.floor((entry.timestamp - start) / bucketSize));
+            const bucket = buckets[index];
+            bucket.polls++;
+            if (entry.online) {
+                bucket.online++;
+                bucket.players += entry.players;
+            }
+
+            const date = new Date(entry.timestamp);
+            const cell = heatmap[date.getDay()][date.getHours()];
+            cell.polls++;
+            cell.players += entry.players;
+        });
+
+        const onlineCount = entries.filter(entry => entry.online).length;
+        let peak = null;
+        heatmap.forEach((hours, day) => hours.forEach((cell, hour) => {
+            const average = cell.polls ? cell.players / cell.polls : 0;
+            cell.average = average;
+            if (average > 0 && (!peak || average > peak.average)) {
+                peak = { day, hour, average };
+            }
+        }));
+
         return {
-            code: 200,
-            online: oldApiData.online || false,
-            ip: oldApiData.ip || '未知',
-            port: oldApiData.port || '未知',
-            hostname: oldApiData.hostname || '未知',
-            players: oldApiData.players ? oldApiData.players.online : 0,
-            max_players: oldApiData.players ? oldApiData.players.max : 0,
-            version: oldApiData.version || '未知',
-            motd_clean: motdClean,
-            motd_html: motdHtml,
-            favicon_url: oldApiData.icon || null
+            range: rangeKey,
+            samples: entries.length,
+            maintenanceSamples: recorded.length - entries.length,
+            uptime: entries.length ? onlineCount / entries.length : null,
+            // 30天的记录可能超过引擎允许的参数个数，不能展开传给 Math.max
+            maxPlayers: entries.reduce((max, entry) => Math.max(max, entry.players), 0),
+            buckets: buckets.map(bucket => ({
+                polls: bucket.polls,
+                uptime: bucket.polls ? bucket.online / bucket.polls : null,
+                players: bucket.online ? bucket.players / bucket.online : 0
+            })),
+            heatmap,
+            peak
         };
     }
 
-    // 渲染MOTD（新API直接提供HTML格式）
-    renderMOTD(motdHtml) {
-        if (!motdHtml || !Array.isArray(motdHtml)) {
-            return '';
+    // 导出全部历史记录（csv 或 json）
+    async export(format) {
+        const entries = await this.store.getAll();
+
+        if (format === 'json') {
+            return JSON.stringify(entries.map(({ id, ...entry }) => entry), null, 2);
         }
-        
-        // 新API直接提供HTML格式的MOTD，直接返回
-        return motdHtml.join('<br>');
+
+        const header = 'server,time,online,failed,players,max_players,version,latency_ms';
+        const rows = entries.map(entry => [
+            entry.serverId,
+            new Date(entry.timestamp).toISOString(),
+            entry.online,
+            entry.failed,
+            entry.players,
+            entry.maxPlayers,
+            `"${(entry.version || '').replace(/"/g, '""')}"`,
+            entry.latency === null ? '' : entry.latency
+        ].join(','));
+        return [header, ...rows].join('\n');
+    }
+}
+
+// 没有原型的键值对象，任意字符串都可以安全地作为键
+function dictionary(entries = {}) {
+    return Object.assign(Object.create(null), entries);
+}
+
+// 玩家会话跟踪：比较每次刷新的玩家列表，产生加入/离开事件并记录在线时长
+class PlayerSessionTracker {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'mxdl-sessions';
+        this.maxEvents = options.maxEvents || 50;
+        this.lastSeenTtl = options.lastSeenTtl || 7 * 24 * 3600000; // 最近离开的玩家保留7天
+        this.listeners = [];
+        this.state = this.load();
+    }
+
+    // 从 localStorage 读取会话数据
+    // 玩家名和服务器ID都作为键使用，存放在没有原型的对象中，名为 __proto__ 的玩家也不会破坏数据
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            if (saved && saved.servers && Array.isArray(saved.events)) {
+                const servers = dictionary();
+                Object.entries(saved.servers).forEach(([serverId, entry]) => {
+                    servers[serverId] = { online: dictionary(entry.online), lastSeen: dictionary(entry.lastSeen) };
+                });
+                return { servers, events: saved.events };
+            }
+        } catch (error) {
+            console.warn('会话数据读取失败:', error);
+        }
+        return { servers: dictionary(), events: [] };
+    }
+
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.state));
+        } catch (error) {
+            console.warn('会话数据保存失败:', error);
+        }
+    }
+
+    // 订阅加入/离开事件
+    onEvent(listener) {
+        this.listeners.push(listener);
+    }
+
+    // 用最新的玩家列表更新某个服务器的会话
+    update(serverId, status, timestamp = Date.now()) {
+        const previous = this.state.servers[serverId];
+        const entry = previous || { online: dictionary(), lastSeen: dictionary() };
+        const names = status.online ? (status.players.list || []) : [];
+        // 列表比在线人数少说明只是部分样本，不在列表中的玩家不能判定为离开
+        const partial = status.online && names.length < status.players.online;
+        const events = [];
+
+        names.forEach(name => {
+            if (entry.online[name]) {
+                entry.online[name].seenAt = timestamp;
+                return;
+            }
+            // 第一次看到这个服务器时，已经在线的玩家加入时间未知
+            entry.online[name] = { joinedAt: timestamp, seenAt: timestamp, estimated: !previous };
+            delete entry.lastSeen[name];
+            if (previous) {
+                events.push({ type: 'join', player: name, serverId, time: timestamp });
+            }
+        });
+
+        if (!partial) {
+            Object.keys(entry.online).forEach(name => {
+                if (names.includes(name)) return;
+                // 离开时间记为最后一次看到该玩家的时间；页面关闭期间离开的玩家不会被算成重新打开页面时才离开
+                const session = entry.online[name];
+                const leftAt = session.seenAt || timestamp;
+                entry.lastSeen[name] = { leftAt, joinedAt: session.joinedAt };
+                delete entry.online[name];
+                events.push({ type: 'leave', player: name, serverId, time: leftAt });
+            });
+        }
+
+        Object.keys(entry.lastSeen).forEach(name => {
+            if (timestamp - entry.lastSeen[name].leftAt > this.lastSeenTtl) {
+                delete entry.lastSeen[name];
+            }
+        });
+
+        this.state.servers[serverId] = entry;
+        // 离开事件记在最后一次看到的时间，可能早于已有的加入事件，合并后按时间重新排序（新的在前）
+        this.state.events = [...events.reverse(), ...this.state.events]
+            .sort((a, b) => b.time - a.time)
+            .slice(0, this.maxEvents);
+        this.save();
+
+        events.forEach(event => this.listeners.forEach(listener => listener(event)));
+        return events;
+    }
+
+    // 获取玩家当前会话
+    getSession(serverId, name) {
+        const entry = this.state.servers[serverId];
+        return entry ? entry.online[name] || null : null;
+    }
+
+    // 获取最近的加入/离开事件
+    getRecentEvents(limit = 20) {
+        return this.state.events.slice(0, limit);
+    }
+
+    // 获取最近离开的玩家，按离开时间倒序
+    getRecentlySeen(limit = 10) {
+        return Object.entries(this.state.servers)
+            .flatMap(([serverId, entry]) => Object.entries(entry.lastSeen)
+                .map(([name, record]) => ({ name, serverId, ...record })))
+            .sort((a, b) => b.leftAt - a.leftAt)
+            .slice(0, limit);
     }
 }
 
@@ -302,10 +1471,10 @@ class ToastManager {
                 break;
         }
         
-        toast.innerHTML = `
+        setHTML(toast, html`
             <i class="${icon}"></i>
             <span>${message}</span>
-        `;
+        `);
         
         this.container.appendChild(toast);
         
@@ -333,7 +1502,7 @@ class CopyManager {
     async copyText(text) {
         try {
             await navigator.clipboard.writeText(text);
-            this.toastManager.show('已复制到剪贴板', 'success');
+            this.toastManager.show(i18n.t('copy.success'), 'success');
             return true;
         } catch (err) {
             // 降级方案
@@ -343,10 +1512,10 @@ class CopyManager {
             textArea.select();
             try {
                 document.execCommand('copy');
-                this.toastManager.show('已复制到剪贴板', 'success');
+                this.toastManager.show(i18n.t('copy.success'), 'success');
                 return true;
             } catch (fallbackErr) {
-                this.toastManager.show('复制失败', 'error');
+                this.toastManager.show(i18n.t('copy.failed'), 'error');
                 return false;
             } finally {
                 document.body.removeChild(textArea);
@@ -355,392 +1524,2891 @@ class CopyManager {
     }
 }
 
-// 主应用类
-class MinecraftStatusApp {
-    constructor() {
-        this.statusManager = new ServerStatusManager();
-        this.themeManager = new ThemeManager();
-        this.toastManager = new ToastManager();
-        this.copyManager = new CopyManager(this.toastManager);
-        this.isPlayersExpanded = false;
-        
-        this.init();
+// 关注列表：订阅服务器上线/离线、在线人数阈值和玩家上线，通过系统通知提醒
+class WatchlistManager {
+    constructor(toastManager, options = {}) {
+        this.toastManager = toastManager;
+        this.storageKey = options.storageKey || 'mxdl-watchlist';
+        this.cooldown = options.cooldown || 10 * 60000;   // 同一条订阅10分钟内只提醒一次
+        this.windowSize = options.windowSize || 10 * 60000;
+        this.maxPerWindow = options.maxPerWindow || 6;     // 10分钟内最多6条提醒
+        this.subscriptions = this.load();
+        this.lastState = {};
+        this.lastFired = {};
+        this.recentNotifications = [];
+        this.registration = null;
     }
 
-    // 初始化应用
-    init() {
-        this.setupEventListeners();
-        this.loadServerStatus();
-        this.setupAutoRefresh();
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            return [];
+        }
     }
 
-    // 设置事件监听器
-    setupEventListeners() {
-        // 玩家列表切换
-        const togglePlayers = document.getElementById('togglePlayers');
-        if (togglePlayers) {
-            togglePlayers.addEventListener('click', () => this.togglePlayersList());
-        }
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.subscriptions));
+    }
 
-        // 玩家搜索
-        const playerSearch = document.getElementById('playerSearch');
-        if (playerSearch) {
-            playerSearch.addEventListener('input', (e) => this.filterPlayers(e.target.value));
+    // 注册 Service Worker，后台标签页中也能显示通知
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return null;
+        try {
+            this.registration = await navigator.serviceWorker.register('sw.js');
+        } catch (error) {
+            console.warn('Service Worker 注册失败:', error);
         }
+        return this.registration;
+    }
 
-        // 自定义服务器检测
-        const checkCustom = document.getElementById('checkCustom');
-        const customServer = document.getElementById('customServer');
-        if (checkCustom && customServer) {
-            checkCustom.addEventListener('click', () => this.checkCustomServer());
-            customServer.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') {
-                    this.checkCustomServer();
-                }
-            });
+    get permission() {
+        return 'Notification' in window ? Notification.permission : 'unsupported';
+    }
+
+    async requestPermission() {
+        if (!('Notification' in window)) return 'unsupported';
+        return Notification.requestPermission();
+    }
+
+    // 添加订阅
+    add(subscription) {
+        const entry = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            type: subscription.type,
+            serverId: subscription.serverId,
+            threshold: subscription.type === 'players' ? Math.max(1, Number(subscription.threshold) || 1) : null,
+            player: subscription.type === 'player' ? subscription.player.trim() : null,
+            enabled: true
+        };
+        this.subscriptions.push(entry);
+        this.save();
+        return entry;
+    }
+
+    remove(subscriptionId) {
+        this.subscriptions = this.subscriptions.filter(entry => entry.id !== subscriptionId);
+        this.save();
+    }
+
+    toggle(subscriptionId, enabled) {
+        const entry = this.subscriptions.find(item => item.id === subscriptionId);
+        if (entry) {
+            entry.enabled = enabled;
+            this.save();
         }
+    }
 
-        // 复制按钮
-        document.addEventListener('click', (e) => {
-            if (e.target.closest('.copy-btn')) {
-                const address = e.target.closest('.copy-btn').dataset.copy;
-                if (address) {
-                    this.copyManager.copyText(address);
-                }
+    // 用一次轮询的结果检查订阅；sessionEvents 是会话跟踪器产生的加入/离开事件
+    evaluate(server, status, sessionEvents = []) {
+        if (status.error) return;
+
+        const previous = this.lastState[server.id];
+        const current = { online: Boolean(status.online), players: status.online ? status.players.online : 0 };
+        this.lastState[server.id] = current;
+
+        this.subscriptions.filter(entry => entry.enabled).forEach(entry => {
+            if (entry.type === 'player') {
+                if (entry.serverId !== '*' && entry.serverId !== server.id) return;
+                sessionEvents
+                    .filter(event => event.type === 'join' && event.player.toLowerCase() === entry.player.toLowerCase())
+                    .forEach(event => this.fire(entry,
+                        i18n.t('notify.playerJoined', { player: event.player }),
+                        i18n.t('notify.playerJoinedBody', { player: event.player, server: server.shortName }),
+                        event.player));
+                return;
+            }
+
+            // 第一次检查只记录基准状态
+            if (entry.serverId !== server.id || !previous) return;
+
+            if (entry.type === 'status' && previous.online !== current.online) {
+                this.fire(entry,
+                    i18n.t(current.online ? 'notify.online' : 'notify.offline', { server: server.shortName }),
+                    i18n.t(current.online ? 'notify.onlineBody' : 'notify.offlineBody', { name: server.name, count: current.players }));
+            } else if (entry.type === 'players' && previous.players < entry.threshold && current.players >= entry.threshold) {
+                this.fire(entry,
+                    i18n.t('notify.threshold', { server: server.shortName, threshold: entry.threshold }),
+                    i18n.t('notify.thresholdBody', { name: server.name, count: current.players }));
             }
         });
     }
 
-    // 加载服务器状态
-    async loadServerStatus() {
-        const serversGrid = document.getElementById('serversGrid');
-        if (!serversGrid) return;
+    // 发送提醒，按订阅冷却时间和全局频率限制
+    fire(entry, title, body, key = '') {
+        const now = Date.now();
+        const fireKey = `${entry.id}:${key}`;
+        if (now - (this.lastFired[fireKey] || 0) < this.cooldown) return false;
 
-        serversGrid.innerHTML = '<div class="loading-spinner" style="grid-column: 1/-1; justify-self: center; margin: 2rem;"></div>';
+        this.recentNotifications = this.recentNotifications.filter(time => now - time < this.windowSize);
+        if (this.recentNotifications.length >= this.maxPerWindow) return false;
 
-        try {
-            // 并行获取两个服务器的状态
-            const [server1Status, server2Status] = await Promise.allSettled([
-                this.statusManager.getServerStatus(this.statusManager.servers['1'].address),
-                this.statusManager.getServerStatus(this.statusManager.servers['2'].address)
-            ]);
+        this.lastFired[fireKey] = now;
+        this.recentNotifications.push(now);
+        this.notify(title, body, fireKey);
+        return true;
+    }
 
-            serversGrid.innerHTML = '';
-            
-            // 渲染服务器1
-            if (server1Status.status === 'fulfilled') {
-                this.renderServerCard('1', server1Status.value);
-            } else {
-                console.error('服务器1状态获取失败:', server1Status.reason);
-                this.renderServerCard('1', { 
-                    online: false, 
-                    error: true,
-                    players: { online: 0, max: 0, list: [] },
-                    motd: { raw: [], clean: [], html: [] },
-                    debug: { ping: null, query: false, cacheHit: false }
-                });
-            }
+    // 显示通知：有权限时使用系统通知，否则在页面中显示Toast
+    async notify(title, body, tag) {
+        if (this.permission !== 'granted') {
+            this.toastManager.show(`${title}：${body}`, 'info', 6000);
+            return;
+        }
 
-            // 渲染服务器2
-            if (server2Status.status === 'fulfilled') {
-                this.renderServerCard('2', server2Status.value);
+        const options = { body, tag, icon: 'icons/icon-192.png', data: { url: location.href } };
+        try {
+            if (this.registration) {
+                await this.registration.showNotification(title, options);
             } else {
-                console.error('服务器2状态获取失败:', server2Status.reason);
-                this.renderServerCard('2', { 
-                    online: false, 
-                    error: true,
-                    players: { online: 0, max: 0, list: [] },
-                    motd: { raw: [], clean: [], html: [] },
-                    debug: { ping: null, query: false, cacheHit: false }
-                });
+                new Notification(title, options);
             }
+        } catch (error) {
+            console.warn('通知发送失败:', error);
+            this.toastManager.show(`${title}：${body}`, 'info', 6000);
+        }
+    }
 
-            // 更新玩家列表
-            this.updatePlayersList();
+    // 订阅的文字描述
+    describe(entry, servers) {
+        const server = servers.find(item => item.id === entry.serverId);
+        const serverName = entry.serverId === '*' ? i18n.t('watch.anyServer') : server ? server.shortName : entry.serverId;
+        switch (entry.type) {
+            case 'status':
+                return i18n.t('watch.describeStatus', { server: serverName });
+            case 'players':
+                return i18n.t('watch.describePlayers', { server: serverName, threshold: entry.threshold });
+            default:
+                return i18n.t('watch.describePlayer', { player: entry.player, server: serverName });
+        }
+    }
+}
+
+// 检测失败时能给出具体说明的错误码
+const CHECK_ERROR_CODES = ['EINVAL', 'ENOTFOUND', 'ECONNREFUSED', 'ETIMEDOUT', 'EPROTO'];
+
+// 自定义检测历史：保存最近检测过的地址和结果
+class CheckHistoryManager {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'mxdl-check-history';
+        this.limit = options.limit || 8;
+        this.entries = this.load();
+    }
 
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(saved) ? saved : [];
         } catch (error) {
-            console.error('加载服务器状态失败:', error);
-            serversGrid.innerHTML = '<div class="error" style="grid-column: 1/-1; text-align: center; padding: 2rem; color: var(--error);">加载服务器状态失败，请稍后重试</div>';
+            return [];
         }
     }
 
-    // 渲染服务器卡片
-    renderServerCard(serverId, status) {
-        const server = this.statusManager.servers[serverId];
-        const serversGrid = document.getElementById('serversGrid');
-        
-        const card = document.createElement('div');
-        card.className = 'server-card';
-        card.innerHTML = this.generateServerCardHTML(server, status);
-        
-        serversGrid.appendChild(card);
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.entries));
     }
 
-    // 生成服务器卡片HTML
-    generateServerCardHTML(server, status) {
-        const isOnline = status.online && !status.error;
-        const playerCount = isOnline ? `${status.players.online}/${status.players.max}` : '--/--';
-        const latency = isOnline ? (status.debug.ping ? `${status.debug.ping}ms` : '< 100ms') : '--';
-        const version = isOnline ? status.version : '--';
-        
-        let motdHTML = '';
-        if (isOnline && status.motd.html) {
-            motdHTML = this.statusManager.renderMOTD(status.motd.html);
-        }
+    // 同一地址只保留最新一次，最近的排在前面
+    add(entry) {
+        this.entries = [
+            { ...entry, time: Date.now() },
+            ...this.entries.filter(item => item.address !== entry.address)
+        ].slice(0, this.limit);
+        this.save();
+    }
 
-        let cacheIndicator = '';
-        if (status.fromCache) {
-            cacheIndicator = '<span class="cache-indicator" style="font-size: 0.7rem; color: var(--neutral-500); margin-left: 0.5rem;">(缓存)</span>';
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+}
+
+// 对比列表：保存参与对比的服务器地址，第一个作为比较基准
+class CompareListManager {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'mxdl-compare';
+        this.limit = options.limit || 6;
+        this.addresses = this.load();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(saved) ? saved : [];
+        } catch (error) {
+            return [];
         }
+    }
 
-        return `
-            <div class="server-header">
-                ${status.icon ? `<img class="server-icon" src="${status.icon}" alt="服务器图标">` : '<div class="server-icon" style="background: var(--neutral-200); display: flex; align-items: center; justify-content: center;"><i class="fas fa-server" style="color: var(--neutral-500);"></i></div>'}
-                <div class="server-info">
-                    <h3>${server.name}</h3>
-                    <div class="server-address">
-                        <code>${server.address}</code>
-                        <button class="copy-btn" data-copy="${server.address}" title="复制地址">
-                            <i class="fas fa-copy"></i>
-                        </button>
-                    </div>
-                </div>
-            </div>
-            
-            <div class="status-indicator ${isOnline ? 'online' : 'offline'}">
-                <div class="status-dot"></div>
-                <span>${isOnline ? '在线' : status.error ? '检测失败' : '离线'}</span>
-                <span class="player-count">${playerCount}${cacheIndicator}</span>
-            </div>
-            
-            <div class="server-stats">
-                <div class="stat">
-                    <span class="label">延迟</span>
-                    <span class="value">${latency}</span>
-                </div>
-                <div class="stat">
-                    <span class="label">版本</span>
-                    <span class="value">${version}</span>
-                </div>
-            </div>
-            
-            ${motdHTML ? `
-            <div class="motd-display">
-                ${motdHTML}
-            </div>
-            ` : ''}
-            
-            ${server.description ? `
-            <div style="margin-top: 1rem; font-size: 0.9rem; color: var(--neutral-600);">
-                <i class="fas fa-info-circle"></i> ${server.description}
-            </div>
-            ` : ''}
-        `;
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.addresses));
     }
 
-    // 更新玩家列表
-    updatePlayersList() {
-        const playersGrid = document.getElementById('playersGrid');
-        const noPlayers = document.getElementById('noPlayers');
-        
-        if (!playersGrid || !noPlayers) return;
+    // 返回 false 表示已存在或数量已满
+    add(address) {
+        if (this.addresses.includes(address) || this.addresses.length >= this.limit) return false;
+        this.addresses.push(address);
+        this.save();
+        return true;
+    }
 
-        // 获取所有在线玩家
-        let allPlayers = [];
-        Object.values(this.statusManager.servers).forEach(server => {
-            const cached = this.statusManager.cache.get(server.address);
-            if (cached && cached.data.online && cached.data.players.list) {
-                allPlayers = [...allPlayers, ...cached.data.players.list];
-            }
-        });
+    remove(address) {
+        this.addresses = this.addresses.filter(item => item !== address);
+        this.save();
+    }
 
-        playersGrid.innerHTML = '';
-        
-        if (allPlayers.length === 0) {
-            noPlayers.style.display = 'block';
-            playersGrid.style.display = 'none';
-        } else {
-            noPlayers.style.display = 'none';
-            playersGrid.style.display = 'grid';
-            
-            allPlayers.forEach(player => {
-                const playerCard = document.createElement('div');
-                playerCard.className = 'player-card';
-                playerCard.innerHTML = `
-                    <img class="player-avatar" src="${this.statusManager.getPlayerAvatarUrl(player)}" alt="${player}" loading="lazy">
-                    <span class="player-name">${player}</span>
-                    <span class="player-playtime">在线</span>
-                `;
-                playersGrid.appendChild(playerCard);
-            });
-        }
+    set(addresses) {
+        this.addresses = [...new Set(addresses)].slice(0, this.limit);
+        this.save();
     }
+}
 
-    // 切换玩家列表显示
-    togglePlayersList() {
-        const playersContainer = document.getElementById('playersContainer');
-        const toggleBtn = document.getElementById('togglePlayers');
-        const toggleText = toggleBtn.querySelector('span');
-        const toggleIcon = toggleBtn.querySelector('i');
-        
-        this.isPlayersExpanded = !this.isPlayersExpanded;
-        
-        if (this.isPlayersExpanded) {
-            playersContainer.classList.remove('collapsed');
-            toggleText.textContent = '收起';
-            toggleIcon.className = 'fas fa-chevron-up';
+// 访客选择的客户端版本，用于判断能否直接加入服务器
+class ClientVersionManager {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'mxdl-client-version';
+        this.release = localStorage.getItem(this.storageKey) || '';
+    }
+
+    set(release) {
+        this.release = release;
+        if (release) {
+            localStorage.setItem(this.storageKey, release);
         } else {
-            playersContainer.classList.add('collapsed');
-            toggleText.textContent = '展开';
-            toggleIcon.className = 'fas fa-chevron-down';
+            localStorage.removeItem(this.storageKey);
         }
     }
+}
 
-    // 过滤玩家
-    filterPlayers(searchTerm) {
-        const playerCards = document.querySelectorAll('.player-card');
-        const noPlayers = document.getElementById('noPlayers');
-        
-        let visibleCount = 0;
-        
-        playerCards.forEach(card => {
-            const playerName = card.querySelector('.player-name').textContent.toLowerCase();
-            if (playerName.includes(searchTerm.toLowerCase())) {
-                card.style.display = 'block';
-                visibleCount++;
-            } else {
-                card.style.display = 'none';
+// 浏览器要把整个文件读进内存才能计算校验值，超过这个大小时请玩家在电脑上校验
+const MODPACK_VERIFY_LIMIT = 512 * 1024 * 1024;
+
+// 整合包清单：从 modpacks.json 读取各服务器发布的客户端整合包
+class ModpackManager {
+    constructor(options = {}) {
+        this.manifestUrl = options.manifestUrl || 'modpacks.json';
+        this.modpacks = [];
+    }
+
+    async load() {
+        try {
+            const response = await fetch(this.manifestUrl, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`状态码: ${response.status}`);
             }
-        });
-        
-        if (visibleCount === 0 && searchTerm) {
-            noPlayers.style.display = 'block';
-            noPlayers.innerHTML = '<i class="fas fa-search"></i><p>未找到匹配的玩家</p>';
-        } else if (visibleCount === 0) {
-            noPlayers.style.display = 'block';
-            noPlayers.innerHTML = '<i class="fas fa-users-slash"></i><p>当前没有玩家在线</p>';
-        } else {
-            noPlayers.style.display = 'none';
+            const manifest = await response.json();
+            this.modpacks = normalizeModpackList(manifest.modpacks || []);
+        } catch (error) {
+            console.warn('整合包清单加载失败:', error);
         }
+        return this.modpacks;
     }
 
-    // 检测自定义服务器
-    async checkCustomServer() {
-        const customServerInput = document.getElementById('customServer');
-        const checkResult = document.getElementById('customResult');
-        const checkBtn = document.getElementById('checkCustom');
-        
-        if (!customServerInput || !checkResult || !checkBtn) return;
-        
-        const serverAddress = customServerInput.value.trim();
-        if (!serverAddress) {
-            this.toastManager.show('请输入服务器地址', 'warning');
-            return;
-        }
-        
-        // 禁用按钮并显示加载状态
-        const originalText = checkBtn.innerHTML;
-        checkBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> 检测中...';
-        checkBtn.disabled = true;
-        
+    getForServer(serverId) {
+        return this.modpacks.find(pack => pack.serverId === serverId) || null;
+    }
+}
+
+// 横幅提前多久显示即将开始的维护
+const ANNOUNCEMENT_NOTICE_PERIOD = 7 * 24 * 3600000;
+
+// 公告和维护计划：从 announcements.json 读取，记住访客关闭过的横幅
+class AnnouncementManager {
+    constructor(options = {}) {
+        this.manifestUrl = options.manifestUrl || 'announcements.json';
+        this.storageKey = options.storageKey || 'mxdl-dismissed-announcements';
+        this.list = [];
+        this.dismissed = this.loadDismissed();
+    }
+
+    async load() {
         try {
-            const status = await this.statusManager.getServerStatus(serverAddress);
-            
-            let resultHTML = '';
-            if (status.online) {
-                const motdHTML = this.statusManager.renderMOTD(status.motd.html);
-                resultHTML = `
-                    <div class="custom-result success">
-                        <div class="result-header">
-                            <i class="fas fa-check-circle"></i>
-                            <h4>服务器在线</h4>
-                        </div>
-                        <div class="result-details">
-                            <div class="detail">
-                                <span class="label">地址:</span>
-                                <span class="value">${status.hostname || status.ip}:${status.port}</span>
-                            </div>
-                            <div class="detail">
-                                <span class="label">版本:</span>
-                                <span class="value">${status.version}</span>
-                            </div>
-                            <div class="detail">
-                                <span class="label">玩家:</span>
-                                <span class="value">${status.players.online}/${status.players.max}</span>
-                            </div>
-                            <div class="detail">
-                                <span class="label">延迟:</span>
-                                <span class="value">${status.debug.ping ? status.debug.ping + 'ms' : '< 100ms'}</span>
-                            </div>
-                            ${motdHTML ? `
-                            <div class="detail motd">
-                                <span class="label">MOTD:</span>
-                                <div class="value motd-content">${motdHTML}</div>
-                            </div>
-                            ` : ''}
-                        </div>
-                        ${status.fromCache ? '<div class="cache-note">数据来自缓存</div>' : ''}
-                    </div>
-                `;
-            } else {
-                resultHTML = `
-                    <div class="custom-result error">
-                        <div class="result-header">
-                            <i class="fas fa-times-circle"></i>
-                            <h4>服务器离线</h4>
-                        </div>
-                        <div class="result-details">
-                            <p>无法连接到服务器，请检查地址是否正确或服务器是否正在维护。</p>
-                        </div>
-                    </div>
-                `;
+            const response = await fetch(this.manifestUrl, { cache: 'no-cache' });
+            if (!response.ok) {
+                throw new Error(`状态码: ${response.status}`);
             }
-            
-            checkResult.innerHTML = resultHTML;
-            checkResult.style.display = 'block';
-            
+            const manifest = await response.json();
+            this.list = normalizeAnnouncements(manifest.announcements || []);
+            // 清单中已删除的公告不再需要记住
+            this.dismissed = new Set([...this.dismissed].filter(id => this.list.some(announcement => announcement.id === id)));
+            this.saveDismissed();
         } catch (error) {
-            console.error('检测自定义服务器失败:', error);
-            checkResult.innerHTML = `
-                <div class="custom-result error">
-                    <div class="result-header">
-                        <i class="fas fa-exclamation-triangle"></i>
-                        <h4>检测失败</h4>
-                    </div>
-                    <div class="result-details">
-                        <p>无法获取服务器状态，请检查网络连接或稍后重试。</p>
-                    </div>
-                </div>
-            `;
-            checkResult.style.display = 'block';
-        } finally {
-            // 恢复按钮状态
-            checkBtn.innerHTML = originalText;
-            checkBtn.disabled = false;
+            console.warn('公告清单加载失败:', error);
         }
+        return this.list;
     }
 
-    // 设置自动刷新
-    setupAutoRefresh() {
-        // 每30秒自动刷新状态
-        setInterval(() => {
-            this.loadServerStatus();
-        }, 30000);
-        
-        // 监听页面可见性变化，当页面重新可见时刷新
-        document.addEventListener('visibilitychange', () => {
-            if (!document.hidden) {
-                this.loadServerStatus();
-            }
-        });
+    loadDismissed() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return new Set(Array.isArray(saved) ? saved : []);
+        } catch (error) {
+            return new Set();
+        }
+    }
+
+    saveDismissed() {
+        localStorage.setItem(this.storageKey, JSON.stringify([...this.dismissed]));
+    }
+
+    dismiss(announcementId) {
+        this.dismissed.add(announcementId);
+        this.saveDismissed();
+    }
+
+    // 横幅显示进行中和一周内即将开始、没有被关闭的公告，按开始时间排列，进行中的在前
+    getBannerItems(now = Date.now()) {
+        return this.list
+            .filter(announcement => {
+                if (this.dismissed.has(announcement.id)) return false;
+                const state = getAnnouncementState(announcement, now);
+                return state === 'active' || (state === 'upcoming' && announcement.start - now <= ANNOUNCEMENT_NOTICE_PERIOD);
+            })
+            .sort((a, b) => a.start - b.start);
     }
 }
 
-// 页面加载完成后初始化应用
-document.addEventListener('DOMContentLoaded', () => {
-    new MinecraftStatusApp();
+// 公告的时间说明：即将开始时显示时间段，进行中时显示预计结束时间
+function describeAnnouncementTime(announcement, now = Date.now()) {
+    const start = i18n.formatDateTime(announcement.start);
+    const end = announcement.end === null ? null : i18n.formatDateTime(announcement.end);
+    const state = getAnnouncementState(announcement, now);
+    if (state === 'active') {
+        return end ? i18n.t('announcement.until', { end }) : i18n.t('announcement.noEnd');
+    }
+    return end ? i18n.t('announcement.period', { start, end }) : i18n.t('announcement.from', { start });
+}
+
+// 对比表的行：value 取出单元格内容，compare 为 true 的行会标出与基准不同的值
+const COMPARE_ROWS = [
+    { key: 'status', compare: true, value: status => status.online ? 'online' : 'offline' },
+    { key: 'edition', compare: true, value: status => status.edition },
+    { key: 'version', compare: true, value: status => status.online ? status.version : null },
+    { key: 'protocol', compare: true, value: status => status.online ? status.protocol : null },
+    { key: 'players', compare: false, value: status => status.online ? `${status.players.online}/${status.players.max}` : null },
+    { key: 'latency', compare: false, value: status => status.online ? status.debug.ping : null },
+    { key: 'software', compare: true, value: status => status.online ? status.software : null },
+    { key: 'plugins', compare: true, value: status => status.online ? status.plugins.length : null }
+];
+
+// 嵌入小组件的刷新间隔（秒）和建议的 iframe 尺寸
+const EMBED_DEFAULT_REFRESH = 60;
+const EMBED_MIN_REFRESH = 15;
+const EMBED_FRAME_SIZE = { width: 360, height: 230 };
+
+// 玩家卡片淡出动画的时长，与 style.css 中的 playerLeave 一致
+const PLAYER_LEAVE_DURATION = 300;
+
+// 自动刷新调度：间隔结束时执行任务，页面隐藏时暂停，连续失败时按指数退避
+//   task 返回 false 或抛出错误算作失败，间隔按 interval × 2^失败次数 增长，最长 maxInterval
+class RefreshScheduler {
+    constructor(task, options = {}) {
+        this.task = task;
+        this.interval = options.interval || 30000;
+        this.maxInterval = options.maxInterval || 5 * 60000;
+        // 返回 true 时页面隐藏也继续刷新（例如开启了上线提醒）
+        this.shouldRunHidden = options.shouldRunHidden || (() => false);
+        this.failures = 0;
+        this.nextRunAt = null;
+        this.running = null;
+        this.timer = null;
+        this.listeners = new Set();
+    }
+
+    get delay() {
+        return Math.min(this.interval * 2 ** this.failures, this.maxInterval);
+    }
+
+    get paused() {
+        return document.hidden && !this.shouldRunHidden();
+    }
+
+    start() {
+        document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+        this.schedule(this.delay);
+    }
+
+    onChange(listener) {
+        this.listeners.add(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    schedule(delay) {
+        clearTimeout(this.timer);
+        this.nextRunAt = Date.now() + delay;
+        this.timer = setTimeout(() => this.tick(), delay);
+        this.notify();
+    }
+
+    // 到点时页面隐藏就先不刷新，等重新可见时补上
+    tick() {
+        this.timer = null;
+        if (!this.paused) {
+            this.runNow();
+        }
+    }
+
+    handleVisibilityChange() {
+        if (!document.hidden && !this.running && Date.now() >= this.nextRunAt) {
+            this.runNow();
+        }
+    }
+
+    // 立即执行一次；正在执行时返回同一个 Promise，不会并发
+    runNow() {
+        if (!this.running) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.running = Promise.resolve()
+                .then(() => this.task())
+                .then(result => result !== false, error => {
+                    console.warn('自动刷新失败:', error);
+                    return false;
+                })
+                .then(succeeded => {
+                    this.failures = succeeded ? 0 : this.failures + 1;
+                    this.running = null;
+                    this.schedule(this.delay);
+                    return succeeded;
+                });
+            this.notify();
+        }
+        return this.running;
+    }
+}
+
+// 主应用类
+class MinecraftStatusApp {
+    constructor() {
+        this.statusManager = new ServerStatusManager({ relayUrl: getRelayUrl(), getLocale: () => i18n.locale });
+        this.aggregator = new AggregatorClient(getAggregatorUrl());
+        this.themeManager = new ThemeManager();
+        this.toastManager = new ToastManager();
+        this.copyManager = new CopyManager(this.toastManager);
+        this.motdRenderer = new MotdRenderer();
+        this.announcements = new AnnouncementManager();
+        this.historyManager = new ServerHistoryManager({
+            retentionDays: 30,
+            getExcludedWindows: serverId => getMaintenanceWindows(this.announcements.list, serverId)
+        });
+        this.historyRanges = {};
+        this.sessionTracker = new PlayerSessionTracker();
+        this.watchlistManager = new WatchlistManager(this.toastManager);
+        this.checkHistory = new CheckHistoryManager();
+        this.compareList = new CompareListManager();
+        this.compareResults = new Map();
+        this.clientVersion = new ClientVersionManager();
+        this.modpackManager = new ModpackManager();
+        this.modpackChecks = {};
+        this.cardSignatures = new Map();
+        this.cardStatuses = new Map();
+        this.openDetails = new Set();
+        this.scrolledToServer = null;
+        this.activeAnnouncements = '';
+        this.detailsSearch = {};
+        this.loadingStatus = null;
+        this.pendingStatusLoad = null;
+        this.playerTab = 'all';
+        this.playerSort = 'name';
+        this.playerSearch = '';
+        this.isPlayersExpanded = false;
+        
+        this.init();
+    }
+
+    // 初始化应用
+    async init() {
+        i18n.apply();
+        i18n.onChange(() => this.handleLocaleChange());
+        this.setupEventListeners();
+        this.watchlistManager.registerServiceWorker();
+        // 先按上次的清单显示缓存中的状态，再在后台获取清单和最新状态
+        this.renderCachedStatus();
+        this.scrollToSharedServer();
+        await this.statusManager.loadServers();
+        this.renderJoinGuide();
+        this.renderWatchlist();
+        this.announcements.load().then(() => {
+            this.renderAnnouncements();
+            this.rerenderServerCards();
+        });
+        this.modpackManager.load().then(() => {
+            this.renderJoinGuide();
+            this.renderModpacks();
+            this.rerenderServerCards();
+        });
+        // 优先使用聚合服务推送的结果，连接不上时才由页面直接查询
+        await this.aggregator.connect();
+        this.aggregator.onUpdate(() => this.loadServerStatus());
+        this.loadServerStatus().then(() => this.scrollToSharedServer());
+        this.setupAutoRefresh();
+        this.renderCheckHistory();
+
+        // 分享链接 ?compare=地址1,地址2 打开对比
+        const sharedCompare = new URLSearchParams(location.search).get('compare');
+        if (sharedCompare) {
+            this.compareList.set(sharedCompare.split(',').map(parseServerAddress).filter(Boolean).map(parsed => parsed.address));
+        }
+        this.refreshCompare();
+
+        // 分享链接 ?server=地址 直接检测该服务器
+        const sharedServer = new URLSearchParams(location.search).get('server');
+        if (sharedServer) {
+            document.getElementById('customServer').value = sharedServer;
+            document.querySelector('.custom-check').scrollIntoView({ behavior: 'smooth' });
+            this.checkCustomServer();
+        }
+    }
+
+    // 根据服务器清单渲染加入指南中的服务器选择
+    renderJoinGuide() {
+        const guideServers = document.getElementById('guideServers');
+        if (!guideServers) return;
+
+        setHTML(guideServers, this.statusManager.servers.map(server => html`
+            <div class="server-choice">
+                <h4>${server.name}</h4>
+                ${server.joinHint ? html`<p>${server.joinHint}</p>` : ''}
+                ${server.edition === 'bedrock' ? this.generateBedrockAddressHTML(server) : html`<code class="server-address">${server.address}</code>`}
+                ${this.modpackManager.getForServer(server.id) ? html`
+                    <a class="modpack-link" href="#modpack-${this.modpackManager.getForServer(server.id).id}">
+                        <i class="fas fa-download"></i> ${i18n.t('modpack.download')}
+                    </a>
+                ` : ''}
+            </div>
+        `));
+    }
+
+    // 基岩版加入方式：地址和端口分两栏填写
+    generateBedrockAddressHTML(server) {
+        const parsed = parseServerAddress(server.address);
+        const host = parsed ? parsed.host : server.address;
+        const port = parsed && parsed.explicitPort ? parsed.port : DEFAULT_PORTS.bedrock;
+        return html`
+            <div class="bedrock-address">
+                <span>${i18n.t('guide.bedrockAddress')}</span><code class="server-address">${host}</code>
+                <span>${i18n.t('guide.bedrockPort')}</span><code class="server-address">${port}</code>
+            </div>
+        `;
+    }
+
+    // 设置事件监听器
+    setupEventListeners() {
+        // 玩家列表切换
+        const togglePlayers = document.getElementById('togglePlayers');
+        if (togglePlayers) {
+            togglePlayers.addEventListener('click', () => this.togglePlayersList());
+        }
+
+        // 玩家搜索
+        const playerSearch = document.getElementById('playerSearch');
+        if (playerSearch) {
+            playerSearch.addEventListener('input', (e) => this.filterPlayers(e.target.value));
+        }
+
+        // 玩家排序
+        const playerSort = document.getElementById('playerSort');
+        if (playerSort) {
+            playerSort.addEventListener('change', (e) => {
+                this.playerSort = e.target.value;
+                this.updatePlayersList();
+            });
+        }
+
+        // 玩家分组切换
+        const playerTabs = document.getElementById('playerTabs');
+        if (playerTabs) {
+            playerTabs.addEventListener('click', (e) => {
+                const tab = e.target.closest('.player-tab');
+                if (tab) {
+                    this.playerTab = tab.dataset.tab;
+                    this.updatePlayersList();
+                }
+            });
+        }
+
+        // 头像加载失败时换用备选头像（error 事件不冒泡，需要在捕获阶段监听）
+        document.addEventListener('error', (e) => {
+            if (e.target instanceof HTMLImageElement && e.target.classList.contains('player-avatar')) {
+                this.handleAvatarError(e.target);
+            }
+        }, true);
+
+        // 语言切换
+        const localeToggle = document.getElementById('localeToggle');
+        if (localeToggle) {
+            localeToggle.addEventListener('click', () => i18n.toggleLocale());
+        }
+
+        // 提醒设置面板
+        const watchlistToggle = document.getElementById('watchlistToggle');
+        const watchlistPanel = document.getElementById('watchlistPanel');
+        if (watchlistToggle && watchlistPanel) {
+            watchlistToggle.addEventListener('click', () => this.toggleWatchlistPanel(true));
+            watchlistPanel.addEventListener('click', (e) => {
+                if (e.target === watchlistPanel || e.target.closest('[data-close-panel]')) {
+                    this.toggleWatchlistPanel(false);
+                }
+            });
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && !watchlistPanel.hidden) {
+                    this.toggleWatchlistPanel(false);
+                }
+            });
+        }
+
+        const watchForm = document.getElementById('watchForm');
+        if (watchForm) {
+            watchForm.addEventListener('change', () => this.updateWatchFormFields());
+            watchForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.addWatchSubscription(watchForm);
+            });
+        }
+
+        const watchList = document.getElementById('watchList');
+        if (watchList) {
+            watchList.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('[data-remove-watch]');
+                if (removeBtn) {
+                    this.watchlistManager.remove(removeBtn.dataset.removeWatch);
+                    this.renderWatchlist();
+                }
+            });
+            watchList.addEventListener('change', (e) => {
+                if (e.target.matches('[data-toggle-watch]')) {
+                    this.watchlistManager.toggle(e.target.dataset.toggleWatch, e.target.checked);
+                }
+            });
+        }
+
+        const notificationPermission = document.getElementById('notificationPermission');
+        if (notificationPermission) {
+            notificationPermission.addEventListener('click', async (e) => {
+                if (e.target.closest('[data-request-permission]')) {
+                    await this.watchlistManager.requestPermission();
+                    this.renderWatchlist();
+                }
+            });
+        }
+
+        // 嵌入代码面板
+        const embedPanel = document.getElementById('embedPanel');
+        if (embedPanel) {
+            document.addEventListener('click', (e) => {
+                const embedBtn = e.target.closest('[data-embed-server]');
+                if (embedBtn) {
+                    this.toggleEmbedPanel(true, embedBtn.dataset.embedServer);
+                }
+            });
+            embedPanel.addEventListener('click', (e) => {
+                if (e.target === embedPanel || e.target.closest('[data-close-panel]')) {
+                    this.toggleEmbedPanel(false);
+                } else if (e.target.closest('[data-download-badge]')) {
+                    this.downloadBadge();
+                }
+            });
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && !embedPanel.hidden) {
+                    this.toggleEmbedPanel(false);
+                }
+            });
+        }
+
+        // 分享服务器：地址二维码和分享链接
+        const sharePanel = document.getElementById('sharePanel');
+        if (sharePanel) {
+            document.addEventListener('click', (e) => {
+                const shareBtn = e.target.closest('[data-share-server]');
+                if (shareBtn) {
+                    this.toggleSharePanel(true, shareBtn.dataset.shareServer);
+                }
+            });
+            sharePanel.addEventListener('click', (e) => {
+                if (e.target === sharePanel || e.target.closest('[data-close-panel]')) {
+                    this.toggleSharePanel(false);
+                }
+            });
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && !sharePanel.hidden) {
+                    this.toggleSharePanel(false);
+                }
+            });
+        }
+        window.addEventListener('hashchange', () => {
+            this.scrolledToServer = null;
+            this.scrollToSharedServer();
+        });
+
+        // 关闭公告横幅
+        const announcementBanner = document.getElementById('announcementBanner');
+        if (announcementBanner) {
+            announcementBanner.addEventListener('click', (e) => {
+                const dismissBtn = e.target.closest('[data-dismiss-announcement]');
+                if (dismissBtn) {
+                    this.announcements.dismiss(dismissBtn.dataset.dismissAnnouncement);
+                    this.renderAnnouncements();
+                }
+            });
+        }
+
+        // 下载包含全部Java版服务器的 servers.dat
+        const serversDatBtn = document.getElementById('downloadServersDat');
+        if (serversDatBtn) {
+            serversDatBtn.addEventListener('click', () => this.downloadServersDat());
+        }
+
+        // 选择客户端版本
+        const clientVersion = document.getElementById('clientVersion');
+        if (clientVersion) {
+            this.renderClientVersionSelect();
+            clientVersion.addEventListener('change', () => {
+                this.clientVersion.set(clientVersion.value);
+                this.rerenderServerCards();
+            });
+        }
+
+        // 缓存检查器只在调试模式（?debug=1）下提供入口
+        const cacheToggle = document.getElementById('cacheToggle');
+        const cachePanel = document.getElementById('cachePanel');
+        if (cacheToggle && cachePanel) {
+            cacheToggle.hidden = !new URLSearchParams(location.search).has('debug');
+            cacheToggle.addEventListener('click', () => this.toggleCachePanel(true));
+            cachePanel.addEventListener('click', (e) => {
+                const deleteBtn = e.target.closest('[data-cache-delete]');
+                if (e.target === cachePanel || e.target.closest('[data-close-panel]')) {
+                    this.toggleCachePanel(false);
+                } else if (deleteBtn) {
+                    this.statusManager.cache.delete(deleteBtn.dataset.cacheDelete);
+                    this.renderCacheInspector();
+                } else if (e.target.closest('[data-cache-clear]')) {
+                    this.statusManager.cache.clear();
+                    this.toastManager.show(i18n.t('cache.cleared'), 'success');
+                    this.renderCacheInspector();
+                }
+            });
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && !cachePanel.hidden) {
+                    this.toggleCachePanel(false);
+                }
+            });
+        }
+
+        const embedForm = document.getElementById('embedForm');
+        if (embedForm) {
+            embedForm.addEventListener('input', () => this.renderEmbedBuilder());
+            embedForm.addEventListener('submit', (e) => e.preventDefault());
+        }
+
+        // 自定义服务器检测
+        const checkCustom = document.getElementById('checkCustom');
+        const customServer = document.getElementById('customServer');
+        if (checkCustom && customServer) {
+            checkCustom.addEventListener('click', () => this.checkCustomServer());
+            customServer.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    this.checkCustomServer();
+                }
+            });
+        }
+
+        // 对比模式
+        const compareAdd = document.getElementById('compareAdd');
+        if (compareAdd) {
+            compareAdd.addEventListener('click', () => this.addToCompare());
+        }
+        const comparePanel = document.getElementById('comparePanel');
+        if (comparePanel) {
+            comparePanel.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest('[data-remove-compare]');
+                if (removeBtn) {
+                    this.compareList.remove(removeBtn.dataset.removeCompare);
+                    this.compareResults.delete(removeBtn.dataset.removeCompare);
+                    this.renderCompare();
+                } else if (e.target.closest('[data-compare-refresh]')) {
+                    this.refreshCompare();
+                } else if (e.target.closest('[data-compare-clear]')) {
+                    this.compareList.set([]);
+                    this.compareResults.clear();
+                    this.renderCompare();
+                }
+            });
+        }
+
+        // 检测历史：点击重新检测
+        const checkHistory = document.getElementById('checkHistory');
+        if (checkHistory && customServer) {
+            checkHistory.addEventListener('click', (e) => {
+                if (e.target.closest('[data-clear-checks]')) {
+                    this.checkHistory.clear();
+                    this.renderCheckHistory();
+                    return;
+                }
+                const item = e.target.closest('[data-check-address]');
+                if (item) {
+                    customServer.value = item.dataset.checkAddress;
+                    this.checkCustomServer();
+                }
+            });
+        }
+
+        // 校验下载的整合包文件
+        document.addEventListener('change', (e) => {
+            const input = e.target.closest('[data-modpack-verify]');
+            if (input && input.files.length) {
+                this.verifyModpackFile(input.dataset.modpackVerify, input.files[0]);
+                input.value = '';
+            }
+        });
+
+        // 复制按钮
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('.copy-btn')) {
+                const address = e.target.closest('.copy-btn').dataset.copy;
+                if (address) {
+                    this.copyManager.copyText(address);
+                }
+            }
+        });
+
+        // 历史记录范围切换
+        document.addEventListener('click', (e) => {
+            const tab = e.target.closest('.history-tab');
+            if (tab) {
+                this.historyRanges[tab.dataset.serverId] = tab.dataset.range;
+                this.renderServerHistory(tab.dataset.serverId, tab.closest('.server-history'));
+            }
+        });
+
+        // 展开服务器详情，搜索插件和模组
+        document.addEventListener('click', (e) => {
+            const toggle = e.target.closest('[data-details-toggle]');
+            if (toggle) {
+                this.toggleServerDetails(toggle.dataset.detailsToggle);
+            }
+        });
+        document.addEventListener('input', (e) => {
+            const search = e.target.closest('[data-details-search]');
+            if (search) {
+                this.detailsSearch[search.dataset.detailsSearch] = search.value;
+                this.filterServerDetails(search.closest('.server-details'), search.value);
+            }
+        });
+
+        // 导出历史记录
+        document.querySelectorAll('[data-export-history]').forEach(button => {
+            button.addEventListener('click', () => this.exportHistory(button.dataset.exportHistory));
+        });
+    }
+
+    // 加载服务器状态；加载过程中又被调用（收到推送、切换语言等）时不并发请求，结束后再加载一次
+    loadServerStatus() {
+        if (this.loadingStatus) {
+            this.pendingStatusLoad = this.pendingStatusLoad || this.loadingStatus.then(() => {
+                this.pendingStatusLoad = null;
+                return this.loadServerStatus();
+            });
+            return this.pendingStatusLoad;
+        }
+        this.loadingStatus = this.updateServerStatus().finally(() => {
+            this.loadingStatus = null;
+        });
+        return this.loadingStatus;
+    }
+
+    // 获取全部服务器的状态并原地更新卡片；全部失败时返回 false，供自动刷新退避
+    async updateServerStatus() {
+        const serversGrid = document.getElementById('serversGrid');
+        if (!serversGrid) return false;
+
+        // 只有还没有卡片时才显示加载动画，之后的刷新保留原有卡片
+        if (!serversGrid.querySelector('.server-card')) {
+            setHTML(serversGrid, html`<div class="loading-spinner" style="grid-column: 1/-1; justify-self: center; margin: 2rem;"></div>`);
+        }
+
+        try {
+            // 并行获取所有服务器的状态
+            const servers = this.statusManager.servers;
+            const results = await Promise.allSettled(servers.map(server => this.getListedServerStatus(server)));
+
+            // 移除加载动画、错误提示和已不在列表中的服务器
+            const listed = new Set(servers.map(server => `server-${server.id}`));
+            Array.from(serversGrid.children).forEach(child => {
+                if (!listed.has(child.id)) child.remove();
+            });
+
+            results.forEach((result, index) => {
+                const serverId = servers[index].id;
+                let status;
+                if (result.status === 'fulfilled') {
+                    status = result.value;
+                } else {
+                    console.error(`服务器${serverId}状态获取失败:`, result.reason);
+                    status = {
+                        online: false,
+                        error: true,
+                        players: { online: 0, max: 0, list: [] },
+                        motd: { raw: [], clean: [], html: [] },
+                        debug: { ping: null, query: false, cacheHit: false }
+                    };
+                }
+
+                // 缓存命中的结果之前已经记录过，不重复写入历史
+                const recorded = status.fromCache ? Promise.resolve() : this.historyManager.record(serverId, status);
+                if (!status.fromCache && !status.error) {
+                    const events = this.sessionTracker.update(serverId, status);
+                    this.watchlistManager.evaluate(servers[index], status, events);
+                }
+                const { card, created } = this.renderServerCard(serverId, status, index);
+                // 历史只在写入了新记录或新建卡片时重画
+                if (created || !status.fromCache) {
+                    recorded.then(() => this.renderServerHistory(serverId, card.querySelector('.server-history')));
+                }
+            });
+
+            this.updateOfflineBanner(results.map(result => result.value).filter(Boolean));
+            this.renderModpackDrift();
+
+            // 更新玩家列表和动态
+            this.updatePlayersList();
+            this.renderActivityFeed();
+            return results.some(result => result.status === 'fulfilled');
+
+        } catch (error) {
+            console.error('加载服务器状态失败:', error);
+            // 已有卡片时保留上次的结果，由自动刷新稍后重试
+            if (!serversGrid.querySelector('.server-card')) {
+                setHTML(serversGrid, html`<div class="error" style="grid-column: 1/-1; text-align: center; padding: 2rem; color: var(--error);">${i18n.t('servers.loadFailed')}</div>`);
+            }
+            return false;
+        }
+    }
+
+    // 用缓存中上次获取到的状态渲染卡片，之前访问过时首屏不需要等待请求
+    renderCachedStatus() {
+        const servers = this.statusManager.servers;
+        let index = 0;
+        servers.forEach(server => {
+            const cached = this.statusManager.getCacheEntry(server);
+            if (!cached || !cached.data) return;
+            const { card } = this.renderServerCard(server.id, { ...cached.data, fromCache: true, updatedAt: cached.timestamp }, index++);
+            this.renderServerHistory(server.id, card.querySelector('.server-history'));
+        });
+        if (index > 0) {
+            this.updatePlayersList();
+        }
+    }
+
+    // 获取列表中服务器的状态：聚合服务可用时使用它推送的结果，否则直接查询
+    async getListedServerStatus(server) {
+        const entry = this.aggregator.getEntry(server);
+        if (!entry) {
+            return this.statusManager.getServerStatus(server.address, { edition: server.edition });
+        }
+        if (entry.error) {
+            const error = new Error(entry.error.message);
+            error.code = entry.error.code;
+            throw error;
+        }
+
+        // 同一轮检测结果只当作新数据处理一次，避免重复写入历史和触发提醒
+        const fromCache = this.aggregator.markSeen(server.id, entry.updatedAt);
+        if (!fromCache) {
+            this.statusManager.setStatus(server.address, server.edition, entry.status, entry.updatedAt);
+        }
+        return { ...entry.status, fromCache, updatedAt: entry.updatedAt };
+    }
+
+    // 有服务器显示的是上次保存的状态时，提示数据的更新时间
+    updateOfflineBanner(statuses) {
+        const banner = document.getElementById('offlineBanner');
+        if (!banner) return;
+
+        const staleTimes = statuses.filter(status => status.stale).map(status => status.updatedAt);
+        banner.hidden = staleTimes.length === 0;
+        if (banner.hidden) return;
+
+        banner.dataset.updated = Math.min(...staleTimes);
+        this.refreshOfflineBanner();
+    }
+
+    refreshOfflineBanner() {
+        const banner = document.getElementById('offlineBanner');
+        if (!banner || banner.hidden) return;
+
+        const updated = Number(banner.dataset.updated);
+        document.getElementById('offlineBannerText').textContent = i18n.t(navigator.onLine ? 'offline.bannerFailed' : 'offline.banner', {
+            relative: i18n.formatRelativeTime(updated),
+            time: i18n.formatDateTime(updated)
+        });
+    }
+
+    // 渲染服务器卡片：已有卡片时原地更新，内容没有变化就不动它，有变化的数值闪烁提示
+    renderServerCard(serverId, status, index) {
+        const server = this.statusManager.getServer(serverId);
+        const serversGrid = document.getElementById('serversGrid');
+        const markup = this.generateServerCardHTML(server, status);
+        // MOTD 单独渲染，不在卡片HTML中，需要一起比较
+        const signature = `${markup}${JSON.stringify(status.motd)}`;
+
+        let card = document.getElementById(`server-${serverId}`);
+        const created = !card;
+        if (created) {
+            card = document.createElement('div');
+            card.className = 'server-card';
+            card.id = `server-${serverId}`;
+            card.dataset.serverId = serverId;
+            setHTML(card, markup);
+            this.fillMotd(card, status);
+
+            const details = document.createElement('div');
+            details.className = 'server-details';
+            details.hidden = !this.openDetails.has(serverId);
+            const history = document.createElement('div');
+            history.className = 'server-history';
+            card.append(details, history);
+        } else if (this.cardSignatures.get(serverId) !== signature) {
+            const previous = {};
+            card.querySelectorAll('[data-field]').forEach(field => {
+                previous[field.dataset.field] = field.textContent;
+            });
+            const wasOnline = Boolean(card.querySelector('.status-indicator.online'));
+
+            // 替换详情和历史区域以外的内容，这两部分单独更新；不移动它们，避免详情中的搜索框失去焦点
+            const content = document.createElement('div');
+            setHTML(content, markup);
+            this.fillMotd(content, status);
+            Array.from(card.children).forEach(child => {
+                if (!child.matches('.server-details, .server-history')) child.remove();
+            });
+            card.prepend(...content.childNodes);
+
+            card.querySelectorAll('[data-field]').forEach(field => {
+                const before = previous[field.dataset.field];
+                if (before !== undefined && before !== field.textContent) {
+                    this.flash(field, 'value-changed');
+                }
+            });
+            if (wasOnline !== Boolean(card.querySelector('.status-indicator.online'))) {
+                this.flash(card, 'status-changed');
+            }
+        }
+        this.cardSignatures.set(serverId, signature);
+        this.cardStatuses.set(serverId, status);
+        if (this.openDetails.has(serverId)) {
+            this.renderServerDetails(serverId);
+        }
+
+        // 只在位置不对时移动，避免打断卡片上的动画和焦点
+        if (serversGrid.children[index] !== card) {
+            serversGrid.insertBefore(card, serversGrid.children[index] || null);
+        }
+        return { card, created };
+    }
+
+    // 给元素加上一次性的变化动画
+    flash(element, className) {
+        element.classList.remove(className);
+        // 读取布局让动画可以重新开始
+        void element.offsetWidth;
+        element.classList.add(className);
+        element.addEventListener('animationend', () => element.classList.remove(className), { once: true });
+    }
+
+    // 把MOTD渲染到容器中的 [data-motd] 占位元素
+    fillMotd(container, status) {
+        const target = container.querySelector('[data-motd]');
+        if (target) {
+            target.appendChild(this.motdRenderer.render(status.motd));
+        }
+    }
+
+    // 渲染服务器历史：玩家曲线、在线率和高峰时段热力图
+    async renderServerHistory(serverId, container) {
+        if (!container) return;
+        const rangeKey = this.historyRanges[serverId] || '24h';
+
+        let summary;
+        try {
+            summary = await this.historyManager.getSummary(serverId, rangeKey);
+        } catch (error) {
+            console.warn('读取历史记录失败:', error);
+            container.remove();
+            return;
+        }
+
+        const tabs = Object.keys(HISTORY_RANGES).map(key => html`
+            <button class="history-tab${key === rangeKey ? ' active' : ''}" data-server-id="${serverId}" data-range="${key}">${i18n.t(`history.range.${key}`)}</button>
+        `);
+
+        const uptime = summary.uptime === null ? '--' : i18n.formatNumber(summary.uptime, { style: 'percent', minimumFractionDigits: 1, maximumFractionDigits: 1 });
+        const peak = summary.peak
+            ? `${i18n.weekdayName(summary.peak.day)} ${String(summary.peak.hour).padStart(2, '0')}:00`
+            : '--';
+
+        setHTML(container, html`
+            <div class="history-header">
+                <span class="history-title"><i class="fas fa-chart-line"></i> ${i18n.t('history.title')}</span>
+                <div class="history-tabs">${tabs}</div>
+            </div>
+            <div class="history-stats">
+                ${summary.maintenanceSamples ? html`
+                    <span title="${i18n.t('history.excludesMaintenance')}">${i18n.t('history.uptime')} <strong>${uptime}</strong> <i class="fas fa-tools"></i></span>
+                ` : html`<span>${i18n.t('history.uptime')} <strong>${uptime}</strong></span>`}
+                <span>${i18n.t('history.maxPlayers')} <strong>${i18n.t('history.maxPlayersValue', { count: summary.maxPlayers })}</strong></span>
+                <span>${i18n.t('history.peak')} <strong>${peak}</strong></span>
+            </div>
+            ${summary.samples
+                ? [this.generateSparklineSVG(summary), this.generateHeatmapHTML(summary)]
+                : html`<div class="history-empty">${i18n.t('history.empty')}</div>`}
+        `);
+    }
+
+    // 生成玩家数量折线图，离线时段用红色标出
+    generateSparklineSVG(summary) {
+        const count = summary.buckets.length;
+        const max = Math.max(1, ...summary.buckets.map(bucket => bucket.players));
+        const width = 100 / count;
+
+        const offline = summary.buckets.map((bucket, index) => (
+            bucket.uptime !== null && bucket.uptime < 0.5
+                ? html`<rect class="sparkline-offline" x="${index * width}" y="0" width="${width}" height="30"></rect>`
+                : ''
+        ));
+
+        const points = summary.buckets
+            .map((bucket, index) => bucket.polls
+                ? `${(index + 0.5) * width},${(28 - bucket.players / max * 26).toFixed(2)}`
+                : null)
+            .filter(Boolean)
+            .join(' ');
+
+        return html`
+            <svg class="sparkline" viewBox="0 0 100 30" preserveAspectRatio="none" role="img" aria-label="${i18n.t('history.sparkline')}">
+                ${offline}
+                <polyline class="sparkline-line" points="${points}" vector-effect="non-scaling-stroke"></polyline>
+            </svg>
+        `;
+    }
+
+    // 生成按星期和小时统计的平均在线人数热力图
+    generateHeatmapHTML(summary) {
+        const max = Math.max(0, ...summary.heatmap.flat().map(cell => cell.average));
+
+        const rows = summary.heatmap.map((hours, day) => html`
+            <div class="heatmap-row">
+                <span class="heatmap-label">${i18n.weekdayName(day)}</span>
+                ${hours.map((cell, hour) => html`<span class="heatmap-cell" style="opacity: ${cell.polls ? (0.15 + (max ? cell.average / max : 0) * 0.85).toFixed(2) : 0.05}" title="${i18n.t('history.heatmapCell', { day: i18n.weekdayName(day), hour, average: i18n.formatNumber(cell.average, { maximumFractionDigits: 1 }) })}"></span>`)}
+            </div>
+        `);
+
+        return html`<div class="heatmap" aria-label="${i18n.t('history.heatmap')}">${rows}</div>`;
+    }
+
+    // 导出历史记录文件
+    async exportHistory(format) {
+        try {
+            const content = await this.historyManager.export(format);
+            const blob = new Blob([content], { type: format === 'json' ? 'application/json' : 'text/csv' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `mxdl-history-${new Date().toISOString().slice(0, 10)}.${format}`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            console.error('导出历史记录失败:', error);
+            this.toastManager.show(i18n.t('history.exportFailed'), 'error');
+        }
+    }
+
+    // 生成服务器卡片HTML
+    generateServerCardHTML(server, status) {
+        const isOnline = status.online && !status.error;
+        const playerCount = isOnline ? `${status.players.online}/${status.players.max}` : '--/--';
+        const latency = isOnline && status.debug.ping !== null ? `${status.debug.ping}ms` : '--';
+        const version = isOnline ? status.version || i18n.t('common.unknown') : '--';
+        const bedrock = server.edition === 'bedrock';
+        // 基岩版客户端的地址和端口分开填写，没写端口时显示默认的 19132
+        const parsedAddress = parseServerAddress(server.address);
+        const displayAddress = bedrock && parsedAddress && !parsedAddress.explicitPort
+            ? `${parsedAddress.address}:${DEFAULT_PORTS.bedrock}`
+            : server.address;
+        
+        const hasMotd = isOnline && this.motdRenderer.hasContent(status.motd);
+        const icon = safeImageUrl(status.icon);
+        // 维护期间离线或检测失败时显示维护中，不显示离线
+        const maintenance = getActiveMaintenance(this.announcements.list, server.id);
+        const maintenanceState = maintenance && !isOnline;
+        let stateLabel = isOnline ? 'servers.online' : status.error ? 'servers.checkFailed' : 'servers.offline';
+        if (maintenanceState) stateLabel = 'servers.maintenance';
+
+        let cacheIndicator = '';
+        if (status.stale) {
+            cacheIndicator = html`<span class="cache-indicator" style="font-size: 0.7rem; color: var(--warning); margin-left: 0.5rem;">${i18n.t('servers.stale')}</span>`;
+        } else if (status.fromCache) {
+            cacheIndicator = html`<span class="cache-indicator" style="font-size: 0.7rem; color: var(--neutral-500); margin-left: 0.5rem;">${i18n.t('servers.cached')}</span>`;
+        }
+
+        return html`
+            <div class="server-header">
+                ${icon ? html`<img class="server-icon" src="${icon}" alt="${i18n.t('servers.icon')}">` : html`<div class="server-icon" style="background: var(--neutral-200); display: flex; align-items: center; justify-content: center;"><i class="fas fa-server" style="color: var(--neutral-500);"></i></div>`}
+                <div class="server-info">
+                    <h3>${server.name}${bedrock ? html` <span class="edition-badge">${i18n.t('edition.bedrock')}</span>` : ''}</h3>
+                    ${server.tags.length ? html`
+                    <div class="server-tags">
+                        ${server.tags.map(tag => html`<span class="server-tag">${tag}</span>`)}
+                    </div>
+                    ` : ''}
+                    <div class="server-address">
+                        <code>${displayAddress}</code>
+                        <button class="copy-btn" data-copy="${displayAddress}" title="${i18n.t('servers.copyAddress')}">
+                            <i class="fas fa-copy"></i>
+                        </button>
+                        <button class="copy-btn" data-share-server="${server.id}" title="${i18n.t('share.button')}">
+                            <i class="fas fa-qrcode"></i>
+                        </button>
+                        <button class="copy-btn" data-embed-server="${server.id}" title="${i18n.t('embed.button')}">
+                            <i class="fas fa-code"></i>
+                        </button>
+                    </div>
+                </div>
+            </div>
+            
+            <div class="status-indicator ${isOnline ? 'online' : maintenanceState ? 'maintenance' : 'offline'}">
+                <div class="status-dot"></div>
+                <span>${i18n.t(stateLabel)}</span>
+                <span class="player-count"><span data-field="players">${playerCount}</span>${cacheIndicator}</span>
+            </div>
+            ${maintenance ? html`
+            <div class="maintenance-notice">
+                <i class="fas fa-tools"></i>
+                <span>${localizeAnnouncement(maintenance, i18n.locale).title}</span>
+                <span class="maintenance-countdown" data-maintenance-end="${maintenance.end ?? ''}">${this.formatMaintenanceCountdown(maintenance.end)}</span>
+            </div>
+            ` : ''}
+            ${this.generateCompatHTML(server, status)}
+            
+            <div class="server-stats">
+                <div class="stat">
+                    <span class="label">${i18n.t('servers.latency')}</span>
+                    <span class="value">${latency}</span>
+                </div>
+                <div class="stat">
+                    <span class="label">${i18n.t('servers.version')}</span>
+                    <span class="value" data-field="version">${version}</span>
+                </div>
+                ${bedrock ? html`
+                <div class="stat">
+                    <span class="label">${i18n.t('servers.gamemode')}</span>
+                    <span class="value">${isOnline && status.gamemode ? status.gamemode : '--'}</span>
+                </div>
+                ` : ''}
+            </div>
+            
+            ${hasMotd ? html`<div class="motd-display mc-motd" data-motd></div>` : ''}
+            
+            ${server.description ? html`
+            <div style="margin-top: 1rem; font-size: 0.9rem; color: var(--neutral-600);">
+                <i class="fas fa-info-circle"></i> ${server.description}
+            </div>
+            ` : ''}
+
+            <button class="details-toggle" data-details-toggle="${server.id}" aria-expanded="${this.openDetails.has(server.id)}">
+                <i class="fas ${this.openDetails.has(server.id) ? 'fa-chevron-up' : 'fa-chevron-down'}"></i>
+                <span>${i18n.t(this.openDetails.has(server.id) ? 'details.hide' : 'details.show')}</span>
+            </button>
+        `;
+    }
+
+    // 客户端版本兼容提示：可以直接加入、需要切换版本或需要整合包
+    generateCompatHTML(server, status) {
+        const result = checkCompatibility(server, status, this.clientVersion.release);
+        if (result.state === 'unknown') return '';
+
+        const icons = { ok: 'fa-check-circle', switch: 'fa-exchange-alt', modpack: 'fa-box-open', proxy: 'fa-random', newer: 'fa-arrow-circle-up' };
+        const { from, to } = describeProtocolRange(result.range);
+        let range = from;
+        if (!to) {
+            range = i18n.t('compat.orNewer', { version: from });
+        } else if (from !== to) {
+            range = i18n.t('compat.range', { from, to });
+        }
+
+        let message;
+        const modpack = result.state === 'modpack' ? this.modpackManager.getForServer(server.id) : null;
+        if (result.state === 'modpack') {
+            message = i18n.t(result.loader ? 'compat.modpackLoader' : 'compat.modpack', { loader: result.loader, version: range || status.version });
+        } else if (result.state === 'switch') {
+            message = i18n.t('compat.switch', { version: range });
+        } else if (result.state === 'newer') {
+            message = i18n.t('compat.newer', { version: status.version });
+        } else {
+            message = i18n.t(`compat.${result.state}`);
+        }
+        return html`
+            <div class="compat-hint ${result.state}">
+                <i class="fas ${icons[result.state]}"></i>
+                <span>${message}</span>
+                ${modpack ? html`<a class="modpack-link" href="#modpack-${modpack.id}">${i18n.t('modpack.download')}</a>` : ''}
+            </div>
+        `;
+    }
+
+    // 填充客户端版本选择框
+    renderClientVersionSelect() {
+        const select = document.getElementById('clientVersion');
+        if (!select) return;
+        setHTML(select, [
+            html`<option value="">${i18n.t('compat.choose')}</option>`,
+            ...listReleaseGroups().map(group => html`
+                <optgroup label="${group.major}">
+                    ${group.releases.map(release => html`<option value="${release}">${release}</option>`)}
+                </optgroup>
+            `)
+        ]);
+        select.value = this.clientVersion.release;
+    }
+
+    // 切换客户端版本后用已有的状态重新渲染卡片
+    rerenderServerCards() {
+        this.statusManager.servers.forEach((server, index) => {
+            const status = this.cardStatuses.get(server.id);
+            if (status) this.renderServerCard(server.id, status, index);
+        });
+    }
+
+    // 展开或收起服务器详情
+    toggleServerDetails(serverId) {
+        const card = document.getElementById(`server-${serverId}`);
+        if (!card) return;
+        const open = !this.openDetails.has(serverId);
+        if (open) {
+            this.openDetails.add(serverId);
+            this.renderServerDetails(serverId);
+        } else {
+            this.openDetails.delete(serverId);
+        }
+
+        card.querySelector('.server-details').hidden = !open;
+        const toggle = card.querySelector('.details-toggle');
+        toggle.setAttribute('aria-expanded', open);
+        toggle.querySelector('i').className = `fas ${open ? 'fa-chevron-up' : 'fa-chevron-down'}`;
+        toggle.querySelector('span').textContent = i18n.t(open ? 'details.hide' : 'details.show');
+    }
+
+    // 渲染服务器详情：服务端、协议、地图、插件和模组列表、数据来源和各数据源的原始数据
+    renderServerDetails(serverId) {
+        const card = document.getElementById(`server-${serverId}`);
+        const status = this.cardStatuses.get(serverId);
+        if (!card || !status) return;
+        const container = card.querySelector('.server-details');
+
+        // 重新渲染会替换搜索框，正在输入时恢复焦点和光标位置
+        const active = document.activeElement;
+        const searching = active && active.dataset && active.dataset.detailsSearch === serverId
+            ? { start: active.selectionStart, end: active.selectionEnd }
+            : null;
+        const rawOpen = Boolean(container.querySelector('.details-raw[open]'));
+
+        const isOnline = status.online && !status.error;
+        const unknown = '--';
+        const plugins = isOnline ? status.plugins || [] : [];
+        const mods = isOnline && status.mods ? status.mods.list || [] : [];
+        const protocol = isOnline && status.protocol !== null && status.protocol !== undefined
+            ? `${status.protocol}${status.protocolName ? ` (${status.protocolName})` : ''}`
+            : unknown;
+        const sources = status.sources ? [...new Set(Object.values(status.sources))] : [];
+        const payloads = Object.entries(status.payloads || {});
+        const search = this.detailsSearch[serverId] || '';
+
+        const rows = [
+            ['details.software', isOnline && status.software ? status.software : unknown],
+            ['details.version', isOnline && status.version ? status.version : unknown],
+            ['details.protocol', protocol],
+            ['details.gamemode', isOnline && status.gamemode ? status.gamemode : unknown],
+            ['details.map', isOnline && status.map ? status.map : unknown],
+            ['details.lastSuccess', status.error || !status.updatedAt ? unknown : i18n.t('details.lastSuccessValue', { time: i18n.formatDateTime(status.updatedAt), relative: i18n.formatRelativeTime(status.updatedAt) })],
+            ['details.sources', sources.length ? sources.join(', ') : unknown]
+        ];
+
+        setHTML(container, html`
+            <dl class="details-grid">
+                ${rows.map(([label, value]) => html`<dt>${i18n.t(label)}</dt><dd>${value}</dd>`)}
+            </dl>
+            ${plugins.length || mods.length ? html`
+                <input type="search" class="search-input details-search" data-details-search="${serverId}" value="${search}" placeholder="${i18n.t('details.search')}" aria-label="${i18n.t('details.search')}">
+            ` : isOnline ? html`<p class="details-note">${i18n.t('details.noPlugins')}</p>` : ''}
+            ${plugins.length ? html`
+                <h4 class="details-title">${i18n.t('details.plugins', { count: plugins.length })}</h4>
+                <ul class="details-list">
+                    ${plugins.map(plugin => html`<li><span>${plugin.name}</span>${plugin.version ? html`<code>${plugin.version}</code>` : ''}</li>`)}
+                </ul>
+            ` : ''}
+            ${mods.length ? html`
+                <h4 class="details-title">${status.mods.loader ? i18n.t('details.mods', { loader: status.mods.loader, count: mods.length }) : i18n.t('details.modsUnknown', { count: mods.length })}</h4>
+                ${status.mods.truncated ? html`<p class="details-note">${i18n.t('details.modsTruncated')}</p>` : ''}
+                <ul class="details-list">
+                    ${mods.map(mod => html`<li><span>${mod.id}</span>${mod.version ? html`<code>${mod.version}</code>` : ''}</li>`)}
+                </ul>
+            ` : ''}
+            <p class="details-note details-empty" hidden>${i18n.t('details.noMatch')}</p>
+            <details class="details-raw"${rawOpen ? html` open` : ''}>
+                <summary>${i18n.t('details.raw')}</summary>
+                ${payloads.length ? payloads.map(([providerId, payload]) => html`
+                    <h5>${providerId}</h5>
+                    <pre>${JSON.stringify(payload, (key, value) => (typeof value === 'string' && value.length > 200 ? `${value.slice(0, 200)}…（${value.length}）` : value), 2)}</pre>
+                `) : html`<p class="details-note">${i18n.t('details.rawEmpty')}</p>`}
+            </details>
+        `);
+
+        this.filterServerDetails(container, search);
+        if (searching) {
+            const input = container.querySelector('[data-details-search]');
+            input.focus();
+            input.setSelectionRange(searching.start, searching.end);
+        }
+    }
+
+    // 按名称过滤详情中的插件和模组
+    filterServerDetails(container, searchTerm) {
+        const keyword = searchTerm.trim().toLowerCase();
+        let visible = 0;
+        container.querySelectorAll('.details-list li').forEach(item => {
+            const match = item.textContent.toLowerCase().includes(keyword);
+            item.hidden = !match;
+            if (match) visible++;
+        });
+        const empty = container.querySelector('.details-empty');
+        empty.hidden = !keyword || visible > 0;
+    }
+
+    // 整合包下载区：版本、加载器、下载地址和校验值、更新日志
+    renderModpacks() {
+        const section = document.getElementById('modpackSection');
+        const list = document.getElementById('modpackList');
+        if (!section || !list) return;
+
+        const modpacks = this.modpackManager.modpacks.map(pack => localizeModpack(pack, i18n.locale));
+        section.hidden = modpacks.length === 0;
+        setHTML(list, modpacks.map(pack => {
+            const server = this.statusManager.getServer(pack.serverId);
+            const loader = pack.loader ? [pack.loader.name, pack.loader.version].filter(Boolean).join(' ') : null;
+            const check = this.modpackChecks[pack.id];
+            return html`
+                <article class="modpack-card" id="modpack-${pack.id}">
+                    <div class="modpack-header">
+                        <h3>${pack.name}</h3>
+                        <span class="modpack-version">v${pack.version}</span>
+                    </div>
+                    <p class="modpack-meta">
+                        <span><i class="fas fa-cube"></i> Minecraft ${pack.minecraft}</span>
+                        ${loader ? html`<span><i class="fas fa-layer-group"></i> ${loader}</span>` : ''}
+                        ${pack.released ? html`<span><i class="fas fa-calendar"></i> ${i18n.t('modpack.released', { date: i18n.formatDateTime(pack.released, { dateStyle: 'medium' }) })}</span>` : ''}
+                        ${server ? html`<span><i class="fas fa-server"></i> ${i18n.t('modpack.forServer', { server: server.shortName })}</span>` : ''}
+                    </p>
+                    ${pack.description ? html`<p class="modpack-description">${pack.description}</p>` : ''}
+                    <ul class="modpack-downloads">
+                        ${pack.downloads.map(download => html`
+                            <li>
+                                <a class="check-btn" href="${download.url}" download>
+                                    <i class="fas fa-download"></i>
+                                    <span>${download.label}</span>
+                                </a>
+                                ${download.size ? html`<span class="modpack-size">${this.formatFileSize(download.size)}</span>` : ''}
+                                ${download.sha256 ? html`
+                                    <span class="modpack-checksum">
+                                        SHA-256 <code title="${download.sha256}">${download.sha256.slice(0, 16)}…</code>
+                                        <button class="copy-btn" data-copy="${download.sha256}" title="${i18n.t('modpack.copyChecksum')}">
+                                            <i class="fas fa-copy"></i>
+                                        </button>
+                                    </span>
+                                ` : html`<span class="modpack-checksum">${i18n.t('modpack.noChecksum')}</span>`}
+                            </li>
+                        `)}
+                    </ul>
+                    ${pack.downloads.some(download => download.sha256) ? html`
+                        <label class="modpack-verify">
+                            <i class="fas fa-file-shield"></i>
+                            <span>${i18n.t('modpack.verify')}</span>
+                            <input type="file" accept=".zip,.mrpack" data-modpack-verify="${pack.id}" hidden>
+                        </label>
+                        <p class="modpack-verify-result ${check ? check.state : ''}" data-modpack-result="${pack.id}">${check ? this.formatModpackCheck(check) : ''}</p>
+                    ` : ''}
+                    <div class="modpack-drift" data-modpack-drift="${pack.id}"></div>
+                    ${pack.changelog.length ? html`
+                        <details class="modpack-changelog">
+                            <summary>${i18n.t('modpack.changelog')}</summary>
+                            ${pack.changelog.map(release => html`
+                                <h4>v${release.version}${release.date ? html` <time>${i18n.formatDateTime(release.date, { dateStyle: 'medium' })}</time>` : ''}</h4>
+                                <ul>${release.changes.map(change => html`<li>${change}</li>`)}</ul>
+                            `)}
+                        </details>
+                    ` : ''}
+                </article>
+            `;
+        }));
+        this.renderModpackDrift();
+    }
+
+    // 导航栏下方的公告横幅，访客关闭后不再显示同一条公告
+    renderAnnouncements() {
+        const banner = document.getElementById('announcementBanner');
+        if (!banner) return;
+
+        const items = this.announcements.getBannerItems().map(announcement => localizeAnnouncement(announcement, i18n.locale));
+        const icons = { maintenance: 'fa-tools', incident: 'fa-exclamation-triangle', notice: 'fa-bullhorn' };
+        banner.hidden = items.length === 0;
+        setHTML(banner, items.map(announcement => {
+            const server = announcement.serverId ? this.statusManager.getServer(announcement.serverId) : null;
+            return html`
+                <div class="announcement ${announcement.severity}" role="status">
+                    <i class="fas ${icons[announcement.type]}"></i>
+                    <div class="announcement-body">
+                        <strong>${server ? i18n.t('announcement.serverTitle', { server: server.shortName, title: announcement.title }) : announcement.title}</strong>
+                        ${announcement.message ? html`<span>${announcement.message}</span>` : ''}
+                        <span class="announcement-time">${describeAnnouncementTime(announcement)}</span>
+                        <a href="status-history.html">${i18n.t('announcement.history')}</a>
+                    </div>
+                    <button class="copy-btn" data-dismiss-announcement="${announcement.id}" aria-label="${i18n.t('announcement.dismiss')}" title="${i18n.t('announcement.dismiss')}">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            `;
+        }));
+    }
+
+    formatMaintenanceCountdown(end, now = Date.now()) {
+        if (end === null) return i18n.t('maintenance.noEnd');
+        return i18n.t('maintenance.countdown', { duration: i18n.formatDuration(end - now) });
+    }
+
+    // 每秒更新维护倒计时；有公告开始或结束时重画卡片和横幅
+    updateMaintenanceCountdowns() {
+        const now = Date.now();
+        document.querySelectorAll('[data-maintenance-end]').forEach(element => {
+            const end = element.dataset.maintenanceEnd ? Number(element.dataset.maintenanceEnd) : null;
+            element.textContent = this.formatMaintenanceCountdown(end, now);
+        });
+
+        const active = this.announcements.list
+            .filter(announcement => getAnnouncementState(announcement, now) === 'active')
+            .map(announcement => announcement.id)
+            .join(',');
+        if (active !== this.activeAnnouncements) {
+            this.activeAnnouncements = active;
+            this.rerenderServerCards();
+            this.renderAnnouncements();
+        }
+    }
+
+    // 比较服务器返回的模组列表和发布的整合包，不一致时提醒
+    renderModpackDrift() {
+        this.modpackManager.modpacks.forEach(pack => {
+            const container = document.querySelector(`[data-modpack-drift="${pack.id}"]`);
+            if (!container) return;
+            const status = this.cardStatuses.get(pack.serverId);
+            const result = compareModLists(pack, status);
+
+            container.className = `modpack-drift ${result.state}`;
+            if (result.state !== 'drift') {
+                setHTML(container, html`
+                    <i class="fas ${result.state === 'match' ? 'fa-check-circle' : 'fa-question-circle'}"></i>
+                    <span>${i18n.t(result.state === 'match' ? 'modpack.driftMatch' : 'modpack.driftUnknown', { version: pack.version })}</span>
+                `);
+                return;
+            }
+
+            const details = [];
+            if (result.minecraft) details.push(i18n.t('modpack.driftMinecraft', result.minecraft));
+            if (result.loader) details.push(i18n.t('modpack.driftLoader', result.loader));
+            if (result.missing.length) details.push(i18n.t('modpack.driftMissing', { mods: i18n.formatList(result.missing) }));
+            if (result.extra.length) details.push(i18n.t('modpack.driftExtra', { mods: i18n.formatList(result.extra) }));
+            if (result.mismatched.length) {
+                details.push(i18n.t('modpack.driftVersion', {
+                    mods: i18n.formatList(result.mismatched.map(mod => i18n.t('modpack.driftVersionItem', mod)))
+                }));
+            }
+            setHTML(container, html`
+                <i class="fas fa-exclamation-triangle"></i>
+                <div>
+                    <strong>${i18n.t('modpack.drift', { version: pack.version })}</strong>
+                    <ul>${details.map(detail => html`<li>${detail}</li>`)}</ul>
+                    ${status.mods.truncated ? html`<p>${i18n.t('modpack.driftPartial')}</p>` : ''}
+                </div>
+            `);
+        });
+    }
+
+    // 计算玩家下载的文件的 SHA-256，与清单中的校验值比较
+    async verifyModpackFile(packId, file) {
+        const pack = this.modpackManager.modpacks.find(item => item.id === packId);
+        if (!pack || !file) return;
+        const result = document.querySelector(`[data-modpack-result="${packId}"]`);
+
+        if (!window.crypto || !crypto.subtle) {
+            this.toastManager.show(i18n.t('modpack.verifyUnsupported'), 'error');
+            return;
+        }
+
+        // 先比较文件大小，大小不同时不需要读取文件；清单没有写大小时无法排除
+        const published = pack.downloads.filter(download => download.sha256);
+        if (published.length && published.every(download => download.size && download.size !== file.size)) {
+            this.showModpackCheck(packId, result, { state: 'failed', reason: 'size', file: file.name });
+            return;
+        }
+        if (file.size > MODPACK_VERIFY_LIMIT) {
+            this.showModpackCheck(packId, result, { state: 'failed', reason: 'tooLarge', file: file.name });
+            return;
+        }
+
+        result.className = 'modpack-verify-result';
+        result.textContent = i18n.t('modpack.verifying', { file: file.name });
+        let check;
+        try {
+            const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+            const hash = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+            const matched = pack.downloads.some(download => download.sha256 === hash);
+            check = { state: matched ? 'ok' : 'failed', reason: null, file: file.name };
+        } catch (error) {
+            console.error('计算校验值失败:', error);
+            check = { state: 'failed', reason: null, file: file.name };
+        }
+        this.showModpackCheck(packId, result, check);
+    }
+
+    showModpackCheck(packId, result, check) {
+        this.modpackChecks[packId] = check;
+        result.className = `modpack-verify-result ${check.state}`;
+        result.textContent = this.formatModpackCheck(check);
+    }
+
+    formatModpackCheck(check) {
+        if (check.reason === 'size') return i18n.t('modpack.verifySize', { file: check.file });
+        if (check.reason === 'tooLarge') {
+            return i18n.t('modpack.verifyTooLarge', { file: check.file, limit: this.formatFileSize(MODPACK_VERIFY_LIMIT) });
+        }
+        return i18n.t(check.state === 'ok' ? 'modpack.verifyOk' : 'modpack.verifyFailed', { file: check.file });
+    }
+
+    formatFileSize(bytes) {
+        const units = ['byte', 'kilobyte', 'megabyte', 'gigabyte'];
+        const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+        return i18n.formatNumber(bytes / 1024 ** exponent, { style: 'unit', unit: units[exponent], maximumFractionDigits: 1 });
+    }
+
+    // 收集各服务器的在线玩家；最近一次检测失败的服务器卡片显示检测失败，不再列出上次成功时的玩家
+    collectPlayers() {
+        return this.statusManager.servers.map(server => {
+            const latest = this.cardStatuses.get(server.id);
+            const cached = latest && latest.error ? null : this.statusManager.getCachedStatus(server);
+            const names = cached && cached.online ? cached.players.list || [] : [];
+            return {
+                server,
+                players: names.map(name => ({
+                    name,
+                    server,
+                    session: this.sessionTracker.getSession(server.id, name)
+                }))
+            };
+        });
+    }
+
+    // 按名称或在线时长（最早加入的在前）排序
+    sortPlayers(players) {
+        const byName = (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+        if (this.playerSort === 'playtime') {
+            const joinedAt = player => (player.session ? player.session.joinedAt : Infinity);
+            return [...players].sort((a, b) => joinedAt(a) - joinedAt(b) || byName(a, b));
+        }
+        return [...players].sort(byName);
+    }
+
+    // 更新玩家列表：按服务器分组，可切换只看某个服务器
+    updatePlayersList() {
+        const playersGrid = document.getElementById('playersGrid');
+        const playerTabs = document.getElementById('playerTabs');
+        const noPlayers = document.getElementById('noPlayers');
+
+        if (!playersGrid || !noPlayers) return;
+
+        const groups = this.collectPlayers();
+        const total = groups.reduce((sum, group) => sum + group.players.length, 0);
+        if (this.playerTab !== 'all' && !groups.some(group => group.server.id === this.playerTab)) {
+            this.playerTab = 'all';
+        }
+
+        if (playerTabs) {
+            setHTML(playerTabs, [
+                html`<button class="player-tab${this.playerTab === 'all' ? ' active' : ''}" data-tab="all">${i18n.t('players.all')} <span class="tab-count">${total}</span></button>`,
+                ...groups.map(group => html`
+                    <button class="player-tab${this.playerTab === group.server.id ? ' active' : ''}" data-tab="${group.server.id}">${group.server.shortName} <span class="tab-count">${group.players.length}</span></button>
+                `)
+            ]);
+        }
+
+        const visibleGroups = groups.filter(group => group.players.length > 0
+            && (this.playerTab === 'all' || group.server.id === this.playerTab));
+
+        // 分组和玩家卡片按服务器和玩家名复用，只增删有变化的卡片，头像不会重新加载
+        const groupElements = new Map(Array.from(playersGrid.querySelectorAll('.player-group'), element => [element.dataset.serverId, element]));
+        visibleGroups.forEach((group, index) => {
+            let element = groupElements.get(group.server.id);
+            const existed = Boolean(element);
+            if (!element) {
+                element = createElementFromHTML(html`
+                    <div class="player-group" data-server-id="${group.server.id}">
+                        <h3 class="player-group-header"></h3>
+                        <div class="players-grid"></div>
+                    </div>
+                `);
+            }
+            groupElements.delete(group.server.id);
+            setHTML(element.querySelector('.player-group-header'), html`
+                ${group.server.name}
+                <span class="tab-count" data-group-count>${group.players.length}</span>
+            `);
+            this.updatePlayerCards(element.querySelector('.players-grid'), this.sortPlayers(group.players), existed);
+            if (playersGrid.children[index] !== element) {
+                playersGrid.insertBefore(element, playersGrid.children[index] || null);
+            }
+        });
+        groupElements.forEach(element => element.remove());
+
+        this.filterPlayers(this.playerSearch);
+    }
+
+    // 按顺序更新一个分组中的玩家卡片：新加入的淡入（新建分组时不加动画），离开的淡出后移除
+    updatePlayerCards(container, players, animate) {
+        const cards = new Map();
+        container.querySelectorAll('.player-card').forEach(card => {
+            if (!card.classList.contains('player-leave')) cards.set(card.dataset.player, card);
+        });
+
+        let previous = null;
+        players.forEach(player => {
+            let card = cards.get(player.name);
+            if (card) {
+                this.updatePlayerCard(card, player);
+                cards.delete(player.name);
+            } else {
+                card = createElementFromHTML(this.generatePlayerCardHTML(player));
+                if (animate) this.flash(card, 'player-enter');
+            }
+
+            // 正在淡出的卡片不占位置，跳过它们比较顺序
+            let expected = previous ? previous.nextElementSibling : container.firstElementChild;
+            while (expected && expected.classList.contains('player-leave')) {
+                expected = expected.nextElementSibling;
+            }
+            if (expected !== card) {
+                container.insertBefore(card, expected);
+            }
+            previous = card;
+        });
+
+        cards.forEach(card => {
+            card.classList.add('player-leave');
+            setTimeout(() => card.remove(), PLAYER_LEAVE_DURATION);
+        });
+    }
+
+    // 更新已有玩家卡片的服务器名和在线时长
+    updatePlayerCard(card, player) {
+        const { session } = player;
+        card.querySelector('.player-server').textContent = player.server.shortName;
+        const playtime = card.querySelector('.player-playtime');
+        if (session) {
+            playtime.dataset.joined = session.joinedAt;
+            playtime.dataset.estimated = session.estimated;
+        } else {
+            delete playtime.dataset.joined;
+            delete playtime.dataset.estimated;
+        }
+        playtime.textContent = this.formatPlaytime(session);
+    }
+
+    // 生成玩家卡片HTML，头像加载失败时按顺序换用备选头像
+    generatePlayerCardHTML(player) {
+        const { session } = player;
+        return html`
+            <div class="player-card" data-player="${player.name}">
+                <img class="player-avatar" src="${this.statusManager.getPlayerAvatarUrls(player.name)[0]}" data-name="${player.name}" data-avatar-index="0" alt="${player.name}" loading="lazy">
+                <span class="player-name">${player.name}</span>
+                <span class="player-server">${player.server.shortName}</span>
+                <span class="player-playtime"${session ? html` data-joined="${session.joinedAt}" data-estimated="${session.estimated}"` : ''}>${this.formatPlaytime(session)}</span>
+            </div>
+        `;
+    }
+
+    // 头像加载失败：Cravatar → Minotar → 本地生成的头像
+    handleAvatarError(image) {
+        const urls = this.statusManager.getPlayerAvatarUrls(image.dataset.name);
+        const next = Number(image.dataset.avatarIndex || 0) + 1;
+        image.dataset.avatarIndex = next;
+        image.src = next < urls.length ? urls[next] : generateIdenticon(image.dataset.name);
+    }
+
+    // 在线时长文字；页面打开前就已在线的玩家只能给出下限
+    formatPlaytime(session) {
+        if (!session) return i18n.t('players.online');
+        const duration = Date.now() - session.joinedAt;
+        if (session.estimated) {
+            return duration < 60000 ? i18n.t('players.online') : i18n.t('players.onlineAtLeast', { duration: i18n.formatDuration(duration) });
+        }
+        return i18n.t('players.onlineFor', { duration: i18n.formatDuration(duration) });
+    }
+
+    // 刷新在线时长和动态中的相对时间
+    refreshPlaytimes() {
+        document.querySelectorAll('.player-playtime[data-joined]').forEach(element => {
+            element.textContent = this.formatPlaytime({
+                joinedAt: Number(element.dataset.joined),
+                estimated: element.dataset.estimated === 'true'
+            });
+        });
+        this.renderActivityFeed();
+    }
+
+    // 渲染玩家动态和最近离开的玩家
+    renderActivityFeed() {
+        const activityList = document.getElementById('activityList');
+        const recentlySeen = document.getElementById('recentlySeen');
+        if (!activityList || !recentlySeen) return;
+
+        const serverName = serverId => {
+            const server = this.statusManager.getServer(serverId);
+            return server ? server.shortName : serverId;
+        };
+
+        const events = this.sessionTracker.getRecentEvents(15);
+        setHTML(activityList, events.length ? events.map(event => html`
+            <li class="activity-item ${event.type}">
+                <i class="fas ${event.type === 'join' ? 'fa-sign-in-alt' : 'fa-sign-out-alt'}"></i>
+                <span>${this.formatActivity(event.type === 'join' ? 'activity.join' : 'activity.leave', event.player, serverName(event.serverId))}</span>
+                <time>${i18n.formatRelativeTime(event.time)}</time>
+            </li>
+        `) : html`<li class="activity-empty">${i18n.t('activity.empty')}</li>`);
+
+        const seen = this.sessionTracker.getRecentlySeen(10);
+        setHTML(recentlySeen, seen.length ? seen.map(record => html`
+            <li class="activity-item">
+                <i class="fas fa-history"></i>
+                <span><strong>${record.name}</strong> ${i18n.t('activity.recentEntry', { server: serverName(record.serverId), duration: i18n.formatDuration(record.leftAt - record.joinedAt) })}</span>
+                <time>${i18n.formatRelativeTime(record.leftAt)}</time>
+            </li>
+        `) : html`<li class="activity-empty">${i18n.t('activity.recentEmpty')}</li>`);
+    }
+
+    // 把动态文案中的玩家名加粗；玩家名通过占位符插入，避免被当作HTML
+    formatActivity(key, player, server) {
+        const [before, after] = i18n.t(key, { player: '\u0000', server }).split('\u0000');
+        return html`${before}<strong>${player}</strong>${after}`;
+    }
+
+    // 切换语言后重新渲染动态内容（静态文案由 i18n.apply 处理）
+    handleLocaleChange() {
+        const toggleText = document.querySelector('#togglePlayers span');
+        if (toggleText) {
+            toggleText.textContent = i18n.t(this.isPlayersExpanded ? 'players.collapse' : 'players.expand');
+        }
+        this.renderJoinGuide();
+        this.renderWatchlist();
+        this.renderCheckHistory();
+        this.renderCompare();
+        this.renderRefreshStatus();
+        this.renderClientVersionSelect();
+        this.renderModpacks();
+        this.renderAnnouncements();
+        this.loadServerStatus();
+        // 历史图表的文字也需要重画
+        document.querySelectorAll('#serversGrid .server-card').forEach(card => {
+            this.renderServerHistory(card.dataset.serverId, card.querySelector('.server-history'));
+        });
+    }
+
+    // 切换玩家列表显示
+    togglePlayersList() {
+        const playersContainer = document.getElementById('playersContainer');
+        const toggleBtn = document.getElementById('togglePlayers');
+        const toggleText = toggleBtn.querySelector('span');
+        const toggleIcon = toggleBtn.querySelector('i');
+        
+        this.isPlayersExpanded = !this.isPlayersExpanded;
+        
+        if (this.isPlayersExpanded) {
+            playersContainer.classList.remove('collapsed');
+            toggleText.textContent = i18n.t('players.collapse');
+            toggleIcon.className = 'fas fa-chevron-up';
+        } else {
+            playersContainer.classList.add('collapsed');
+            toggleText.textContent = i18n.t('players.expand');
+            toggleIcon.className = 'fas fa-chevron-down';
+        }
+    }
+
+    // 过滤玩家：按名称匹配，没有匹配玩家的分组会被隐藏
+    filterPlayers(searchTerm = '') {
+        const playersGrid = document.getElementById('playersGrid');
+        const noPlayers = document.getElementById('noPlayers');
+        const keyword = searchTerm.trim().toLowerCase();
+        this.playerSearch = searchTerm;
+
+        let totalCount = 0;
+        let visibleCount = 0;
+
+        document.querySelectorAll('.player-group').forEach(group => {
+            let groupVisible = 0;
+            group.querySelectorAll('.player-card:not(.player-leave)').forEach(card => {
+                const playerName = card.querySelector('.player-name').textContent.toLowerCase();
+                const visible = playerName.includes(keyword);
+                card.style.display = visible ? 'block' : 'none';
+                totalCount++;
+                if (visible) groupVisible++;
+            });
+            group.style.display = groupVisible ? 'block' : 'none';
+            group.querySelector('[data-group-count]').textContent = groupVisible;
+            visibleCount += groupVisible;
+        });
+
+        if (visibleCount === 0 && totalCount > 0) {
+            noPlayers.style.display = 'block';
+            setHTML(noPlayers, html`<i class="fas fa-search"></i><p>${i18n.t('players.noMatch')}</p>`);
+        } else if (visibleCount === 0) {
+            noPlayers.style.display = 'block';
+            setHTML(noPlayers, html`<i class="fas fa-users-slash"></i><p>${i18n.t('players.none')}</p>`);
+        } else {
+            noPlayers.style.display = 'none';
+        }
+        playersGrid.style.display = visibleCount ? 'block' : 'none';
+    }
+
+    // 检测自定义服务器
+    async checkCustomServer() {
+        const customServerInput = document.getElementById('customServer');
+        const checkResult = document.getElementById('customResult');
+        const checkBtn = document.getElementById('checkCustom');
+        
+        if (!customServerInput || !checkResult || !checkBtn) return;
+        
+        const input = customServerInput.value.trim();
+        if (!input) {
+            this.toastManager.show(i18n.t('custom.empty'), 'warning');
+            return;
+        }
+
+        const parsed = parseServerAddress(input);
+        if (!parsed) {
+            this.showCheckError(checkResult, 'EINVAL');
+            return;
+        }
+        customServerInput.value = parsed.address;
+        this.updateShareUrl(parsed.address);
+        
+        // 禁用按钮并显示加载状态
+        const originalContent = [...checkBtn.childNodes];
+        setHTML(checkBtn, html`<i class="fas fa-spinner fa-spin"></i> ${i18n.t('custom.checking')}`);
+        checkBtn.disabled = true;
+        
+        // 之前检测过这个地址时先显示缓存的结果，再在后台重新检测
+        const cached = this.getCachedCheck(parsed);
+        if (cached) {
+            this.renderCheckResult(checkResult, parsed, cached);
+        }
+
+        try {
+            const status = await this.statusManager.detectServer(parsed);
+            this.checkHistory.add({ address: parsed.address, edition: status.edition, online: status.online });
+            this.renderCheckResult(checkResult, parsed, status);
+        } catch (error) {
+            console.error('检测自定义服务器失败:', error);
+            this.showCheckError(checkResult, error.code);
+        } finally {
+            // 恢复按钮状态
+            checkBtn.replaceChildren(...originalContent);
+            checkBtn.disabled = false;
+            this.renderCheckHistory();
+        }
+    }
+
+    // 缓存中该地址最近一次检测到的状态，按端口猜测的版本优先
+    getCachedCheck(parsed) {
+        const editions = parsed.edition === 'bedrock' ? ['bedrock', 'java'] : ['java', 'bedrock'];
+        for (const edition of editions) {
+            const cached = this.statusManager.cache.peek(this.statusManager.getCacheKey(parsed.address, edition));
+            if (cached && cached.data) {
+                return { ...cached.data, fromCache: true, updatedAt: cached.timestamp };
+            }
+        }
+        return null;
+    }
+
+    // 显示自定义检测的结果
+    renderCheckResult(checkResult, parsed, status) {
+        if (status.online) {
+            const hasMotd = this.motdRenderer.hasContent(status.motd);
+            setHTML(checkResult, html`
+                <div class="custom-result success">
+                    <div class="result-header">
+                        <i class="fas fa-check-circle"></i>
+                        <h4>${i18n.t('custom.online')}</h4>
+                        <span class="edition-badge">${i18n.t(`edition.${status.edition}`)}</span>
+                    </div>
+                    <div class="result-details">
+                        <div class="detail">
+                            <span class="label">${i18n.t('custom.address')}</span>
+                            <span class="value">${this.formatResolvedAddress(parsed, status)}</span>
+                        </div>
+                        ${status.srv ? html`
+                        <div class="detail">
+                            <span class="label">SRV:</span>
+                            <span class="value">_minecraft._tcp.${parsed.host} → ${status.srv.host}:${status.srv.port}</span>
+                        </div>
+                        ` : ''}
+                        <div class="detail">
+                            <span class="label">${i18n.t('custom.version')}</span>
+                            <span class="value">${status.version || i18n.t('common.unknown')}</span>
+                        </div>
+                        <div class="detail">
+                            <span class="label">${i18n.t('custom.players')}</span>
+                            <span class="value">${status.players.online}/${status.players.max}</span>
+                        </div>
+                        <div class="detail">
+                            <span class="label">${i18n.t('custom.latency')}</span>
+                            <span class="value">${status.debug.ping !== null ? status.debug.ping + 'ms' : '--'}</span>
+                        </div>
+                        ${hasMotd ? html`
+                        <div class="detail motd">
+                            <span class="label">MOTD:</span>
+                            <div class="value motd-content mc-motd" data-motd></div>
+                        </div>
+                        ` : ''}
+                    </div>
+                    ${status.fromCache ? html`<div class="cache-note">${i18n.t('custom.cached')}</div>` : ''}
+                </div>
+            `);
+            this.fillMotd(checkResult, status);
+        } else {
+            // 中继能给出具体原因（DNS、拒绝连接、超时），第三方API只知道离线
+            const reason = status.offlineReason;
+            setHTML(checkResult, html`
+                <div class="custom-result error">
+                    <div class="result-header">
+                        <i class="fas fa-times-circle"></i>
+                        <h4>${i18n.t('custom.offline')}</h4>
+                    </div>
+                    <div class="result-details">
+                        <p>${reason && CHECK_ERROR_CODES.includes(reason) ? i18n.t(`check.error.${reason}`) : i18n.t('custom.offlineDesc')}</p>
+                    </div>
+                </div>
+            `);
+        }
+        checkResult.style.display = 'block';
+    }
+
+    // 把输入框中的地址加入对比
+    addToCompare() {
+        const customServerInput = document.getElementById('customServer');
+        const input = customServerInput.value.trim();
+        if (!input) {
+            this.toastManager.show(i18n.t('custom.empty'), 'warning');
+            return;
+        }
+
+        const parsed = parseServerAddress(input);
+        if (!parsed) {
+            this.toastManager.show(i18n.t('check.error.EINVAL'), 'error');
+            return;
+        }
+        if (!this.compareList.add(parsed.address)) {
+            this.toastManager.show(i18n.t(this.compareList.addresses.includes(parsed.address) ? 'compare.exists' : 'compare.full', { count: this.compareList.limit }), 'warning');
+            return;
+        }
+
+        customServerInput.value = '';
+        this.refreshCompare();
+    }
+
+    // 重新检测对比列表中的所有服务器；定时刷新比自定义地址的缓存更频繁，跳过缓存才是实时结果
+    async refreshCompare() {
+        const addresses = [...this.compareList.addresses];
+        this.renderCompare();
+        if (addresses.length === 0) return;
+
+        const results = await Promise.allSettled(
+            addresses.map(address => this.statusManager.detectServer(parseServerAddress(address), { force: true }))
+        );
+        results.forEach((result, index) => {
+            this.compareResults.set(addresses[index], result.status === 'fulfilled'
+                ? { status: result.value }
+                : { error: result.reason });
+        });
+        this.renderCompare();
+    }
+
+    // 渲染对比表：每个服务器一列，与第一列不同的值高亮，延迟最低的标为最佳
+    renderCompare() {
+        const comparePanel = document.getElementById('comparePanel');
+        const compareTable = document.getElementById('compareTable');
+        if (!comparePanel || !compareTable) return;
+
+        const addresses = this.compareList.addresses;
+        comparePanel.hidden = addresses.length === 0;
+        this.updateCompareUrl(addresses);
+        if (addresses.length === 0) return;
+
+        const columns = addresses.map(address => ({ address, result: this.compareResults.get(address) }));
+        const cellValue = (column, row) => (column.result && column.result.status ? row.value(column.result.status) : undefined);
+        const latencies = columns.map(column => cellValue(column, COMPARE_ROWS.find(row => row.key === 'latency')))
+            .filter(value => typeof value === 'number');
+        const bestLatency = latencies.length > 1 ? Math.min(...latencies) : null;
+
+        const header = html`
+            <tr>
+                <th></th>
+                ${columns.map((column, index) => html`
+                <th>
+                    <div class="compare-heading">
+                        <code>${column.address}</code>
+                        <button class="copy-btn" data-remove-compare="${column.address}" title="${i18n.t('compare.remove')}">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    ${index === 0 ? html`<span class="compare-baseline">${i18n.t('compare.baseline')}</span>` : ''}
+                </th>
+                `)}
+            </tr>
+        `;
+
+        const rows = COMPARE_ROWS.map(row => {
+            const baseline = cellValue(columns[0], row);
+            return html`
+                <tr>
+                    <th scope="row">${i18n.t(`compare.row.${row.key}`)}</th>
+                    ${columns.map((column, index) => {
+                        if (!column.result) return html`<td class="compare-pending"><i class="fas fa-spinner fa-spin"></i></td>`;
+                        if (column.result.error) return html`<td class="compare-failed">${i18n.t('custom.failed')}</td>`;
+
+                        const value = cellValue(column, row);
+                        const classes = [];
+                        if (row.compare && index > 0 && columns[0].result && columns[0].result.status && value !== baseline) classes.push('diff');
+                        if (row.key === 'latency' && bestLatency !== null && value === bestLatency) classes.push('best');
+                        return html`<td class="${classes.join(' ')}">${this.formatCompareValue(row.key, value)}</td>`;
+                    })}
+                </tr>
+            `;
+        });
+
+        setHTML(compareTable, [html`<thead>${header}</thead>`, html`<tbody>${rows}</tbody>`]);
+    }
+
+    formatCompareValue(key, value) {
+        if (value === null || value === undefined) return '--';
+        switch (key) {
+            case 'status':
+                return html`<span class="compare-status ${value}">${i18n.t(`servers.${value}`)}</span>`;
+            case 'edition':
+                return i18n.t(`edition.${value}`);
+            case 'latency':
+                return `${value}ms`;
+            case 'plugins':
+                return i18n.formatNumber(value);
+            default:
+                return String(value);
+        }
+    }
+
+    // 对比列表写入URL，方便分享
+    updateCompareUrl(addresses) {
+        const url = new URL(location.href);
+        if (addresses.length) {
+            url.searchParams.set('compare', addresses.join(','));
+        } else {
+            url.searchParams.delete('compare');
+        }
+        history.replaceState(null, '', url);
+    }
+
+    // 显示检测失败的原因
+    showCheckError(checkResult, code) {
+        const known = CHECK_ERROR_CODES.includes(code);
+        setHTML(checkResult, html`
+            <div class="custom-result error">
+                <div class="result-header">
+                    <i class="fas fa-exclamation-triangle"></i>
+                    <h4>${i18n.t(code === 'EINVAL' ? 'check.invalidTitle' : 'custom.failed')}</h4>
+                </div>
+                <div class="result-details">
+                    <p>${known ? i18n.t(`check.error.${code}`) : i18n.t('custom.failedDesc')}</p>
+                </div>
+            </div>
+        `);
+        checkResult.style.display = 'block';
+    }
+
+    // 显示实际连接的地址；数据源没有返回端口时使用默认端口
+    formatResolvedAddress(parsed, status) {
+        const host = status.hostname || status.ip || parsed.host;
+        const port = status.port || (parsed.explicitPort ? parsed.port : DEFAULT_PORTS[status.edition]);
+        return host.includes(':') ? `[${host}]:${port}` : `${host}:${port}`;
+    }
+
+    // 把检测的地址写入URL，方便分享
+    updateShareUrl(address) {
+        const url = new URL(location.href);
+        url.searchParams.set('server', address);
+        history.replaceState(null, '', url);
+    }
+
+    // 渲染最近检测过的服务器
+    renderCheckHistory() {
+        const checkHistory = document.getElementById('checkHistory');
+        if (!checkHistory) return;
+
+        const entries = this.checkHistory.entries;
+        checkHistory.hidden = entries.length === 0;
+        setHTML(checkHistory, entries.length ? [
+            html`<span class="check-history-title">${i18n.t('check.recent')}</span>`,
+            ...entries.map(entry => html`
+                <button class="check-history-item" data-check-address="${entry.address}" title="${i18n.formatRelativeTime(entry.time)}">
+                    <span class="status-dot ${entry.online ? 'online' : 'offline'}"></span>
+                    ${entry.address}${entry.edition === 'bedrock' ? html` <small>${i18n.t('edition.bedrock')}</small>` : ''}
+                </button>
+            `),
+            html`<button class="check-history-clear" data-clear-checks title="${i18n.t('check.clear')}"><i class="fas fa-times"></i></button>`
+        ] : '');
+    }
+
+    // 打开或关闭提醒设置面板
+    toggleWatchlistPanel(open) {
+        const watchlistPanel = document.getElementById('watchlistPanel');
+        watchlistPanel.hidden = !open;
+        if (open) {
+            this.renderWatchlist();
+            watchlistPanel.querySelector('select, input, button').focus();
+        }
+    }
+
+    // 根据订阅类型显示对应的输入框
+    updateWatchFormFields() {
+        const watchForm = document.getElementById('watchForm');
+        const type = watchForm.elements.type.value;
+        watchForm.elements.threshold.hidden = type !== 'players';
+        watchForm.elements.player.hidden = type !== 'player';
+        watchForm.querySelector('option[value="*"]').hidden = type !== 'player';
+        if (type !== 'player' && watchForm.elements.serverId.value === '*') {
+            watchForm.elements.serverId.selectedIndex = 1;
+        }
+    }
+
+    // 从表单添加订阅
+    addWatchSubscription(form) {
+        const type = form.elements.type.value;
+        const player = form.elements.player.value.trim();
+        if (type === 'player' && !/^[A-Za-z0-9_]{1,16}$/.test(player)) {
+            this.toastManager.show(i18n.t('watch.invalidPlayer'), 'warning');
+            return;
+        }
+
+        this.watchlistManager.add({
+            type,
+            serverId: form.elements.serverId.value,
+            threshold: form.elements.threshold.value,
+            player
+        });
+        form.elements.player.value = '';
+        this.renderWatchlist();
+        this.toastManager.show(i18n.t('watch.added'), 'success');
+    }
+
+    // 渲染提醒设置面板
+    renderWatchlist() {
+        const watchList = document.getElementById('watchList');
+        const watchServer = document.getElementById('watchServer');
+        const notificationPermission = document.getElementById('notificationPermission');
+        if (!watchList || !watchServer || !notificationPermission) return;
+
+        const servers = this.statusManager.servers;
+        const selected = watchServer.value;
+        setHTML(watchServer, [
+            html`<option value="*">${i18n.t('watch.anyServer')}</option>`,
+            ...servers.map(server => html`<option value="${server.id}">${server.shortName}</option>`)
+        ]);
+        watchServer.value = selected || servers[0].id;
+        this.updateWatchFormFields();
+
+        const permission = this.watchlistManager.permission;
+        setHTML(notificationPermission, permission === 'granted'
+            ? html`<i class="fas fa-check-circle"></i> ${i18n.t('watch.permissionGranted')}`
+            : permission === 'unsupported'
+                ? html`<i class="fas fa-info-circle"></i> ${i18n.t('watch.permissionUnsupported')}`
+                : html`<i class="fas fa-bell-slash"></i> ${i18n.t('watch.permissionDefault')} <button class="toggle-btn" data-request-permission>${i18n.t('watch.enableNotifications')}</button>`);
+
+        const subscriptions = this.watchlistManager.subscriptions;
+        setHTML(watchList, subscriptions.length ? subscriptions.map(entry => html`
+            <li class="watch-item">
+                <label>
+                    <input type="checkbox" data-toggle-watch="${entry.id}"${entry.enabled ? html` checked` : ''}>
+                    <span>${this.watchlistManager.describe(entry, servers)}</span>
+                </label>
+                <button class="copy-btn" data-remove-watch="${entry.id}" title="${i18n.t('watch.remove')}">
+                    <i class="fas fa-trash-alt"></i>
+                </button>
+            </li>
+        `) : html`<li class="activity-empty">${i18n.t('watch.empty')}</li>`);
+    }
+
+    // 打开嵌入代码面板，默认选中点击的服务器
+    toggleEmbedPanel(open, serverId) {
+        const embedPanel = document.getElementById('embedPanel');
+        embedPanel.hidden = !open;
+        if (!open) return;
+
+        const embedServer = document.getElementById('embedServer');
+        setHTML(embedServer, this.statusManager.servers.map(server => html`<option value="${server.id}">${server.shortName}</option>`));
+        if (serverId) {
+            embedServer.value = serverId;
+        }
+        this.renderEmbedBuilder();
+        embedServer.focus();
+    }
+
+    // 读取嵌入面板的选项；徽章是静态图片，没有跟随系统的主题
+    getEmbedOptions() {
+        const { elements } = document.getElementById('embedForm');
+        const server = this.statusManager.getServer(elements.serverId.value);
+        return {
+            server,
+            type: elements.type.value,
+            theme: elements.theme.value,
+            lang: elements.lang.value,
+            refresh: Math.max(EMBED_MIN_REFRESH, Number(elements.refresh.value) || EMBED_DEFAULT_REFRESH),
+            label: elements.label.value.trim() || `${i18n.t('nav.brand')} ${server.shortName}`
+        };
+    }
+
+    // 小组件地址：当前页面加上 embed 和非默认的 theme、refresh、lang 参数
+    getEmbedUrl(options) {
+        const url = new URL(location.pathname, location.origin);
+        url.searchParams.set('embed', `server-${options.server.id}`);
+        if (options.theme !== 'auto') url.searchParams.set('theme', options.theme);
+        if (options.refresh !== EMBED_DEFAULT_REFRESH) url.searchParams.set('refresh', options.refresh);
+        if (options.lang !== 'auto') url.searchParams.set('lang', options.lang);
+        return url.href;
+    }
+
+    // 中继实时生成的徽章地址；没有配置中继时返回 null
+    getBadgeUrl(options) {
+        const relayUrl = getRelayUrl();
+        if (!relayUrl) return null;
+
+        const params = new URLSearchParams({ address: options.server.address, label: options.label, theme: options.theme });
+        if (options.server.edition === 'bedrock') params.set('edition', 'bedrock');
+        if (options.lang !== 'auto') params.set('lang', options.lang);
+        // 中继地址可以写成相对路径，嵌入到其他网站的代码需要完整地址
+        const base = new URL(relayUrl, location.href).href.replace(/\/+$/, '');
+        return `${base}/badge.svg?${params}`;
+    }
+
+    // 用已获取到的状态生成徽章，供预览和下载
+    renderBadgeSVG(options) {
+        const status = this.statusManager.getCachedStatus(options.server);
+        const state = getBadgeState(status);
+        const message = state === 'online'
+            ? `${i18n.t('badge.online')} ${status.players.online}/${status.players.max}`
+            : i18n.t(`badge.${state}`);
+        return renderStatusBadge({ label: options.label, message, state, theme: options.theme });
+    }
+
+    // 根据面板选项更新预览和可复制的代码
+    renderEmbedBuilder() {
+        const embedForm = document.getElementById('embedForm');
+        const embedPreview = document.getElementById('embedPreview');
+        const embedSnippets = document.getElementById('embedSnippets');
+        if (!embedForm || !embedPreview || !embedSnippets) return;
+
+        const { elements } = embedForm;
+        const badge = elements.type.value === 'badge';
+        elements.refresh.hidden = badge;
+        elements.label.hidden = !badge;
+        elements.theme.querySelector('option[value="auto"]').hidden = badge;
+        if (badge && elements.theme.value === 'auto') {
+            elements.theme.value = 'light';
+        }
+
+        const options = this.getEmbedOptions();
+        const pageUrl = `${location.origin}${location.pathname}#server-${options.server.id}`;
+        let snippets;
+        if (badge) {
+            const badgeUrl = this.getBadgeUrl(options);
+            setHTML(embedPreview, html`<img src="data:image/svg+xml;charset=utf-8,${encodeURIComponent(this.renderBadgeSVG(options))}" alt="${options.label}">`);
+            snippets = badgeUrl ? [
+                { label: 'HTML', code: String(html`<a href="${pageUrl}"><img src="${badgeUrl}" alt="${options.label}"></a>`) },
+                { label: 'Markdown', code: `[![${options.label}](${badgeUrl})](${pageUrl})` },
+                { label: 'BBCode', code: `[url=${pageUrl}][img]${badgeUrl}[/img][/url]` }
+            ] : [];
+        } else {
+            const embedUrl = this.getEmbedUrl(options);
+            const title = i18n.t('embed.frameTitle', { name: options.server.name });
+            setHTML(embedPreview, html`<iframe class="embed-frame" src="${embedUrl}" title="${title}" loading="lazy"></iframe>`);
+            snippets = [{
+                label: 'HTML',
+                code: String(html`<iframe src="${embedUrl}" title="${title}" width="${EMBED_FRAME_SIZE.width}" height="${EMBED_FRAME_SIZE.height}" style="border:0;border-radius:16px" loading="lazy"></iframe>`)
+            }];
+        }
+
+        setHTML(embedSnippets, [
+            ...snippets.map(snippet => html`
+                <div class="embed-snippet">
+                    <div class="embed-snippet-header">
+                        <span>${snippet.label}</span>
+                        <button class="copy-btn" data-copy="${snippet.code}" title="${i18n.t('embed.copy')}">
+                            <i class="fas fa-copy"></i>
+                        </button>
+                    </div>
+                    <textarea class="embed-code" rows="3" readonly>${snippet.code}</textarea>
+                </div>
+            `),
+            badge && !snippets.length ? html`<p class="embed-hint">${i18n.t('embed.noRelay')}</p>` : '',
+            badge ? html`<button class="toggle-btn" data-download-badge><i class="fas fa-download"></i> ${i18n.t('embed.download')}</button>` : ''
+        ]);
+    }
+
+    // 下载当前状态的徽章图片
+    downloadBadge() {
+        const options = this.getEmbedOptions();
+        const blob = new Blob([this.renderBadgeSVG(options)], { type: 'image/svg+xml' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `mxdl-${options.server.id}-badge.svg`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    toggleSharePanel(open, serverId) {
+        const sharePanel = document.getElementById('sharePanel');
+        sharePanel.hidden = !open;
+        if (!open) return;
+        this.renderSharePanel(serverId);
+        sharePanel.querySelector('[data-close-panel]').focus();
+    }
+
+    // 地址二维码在本地生成，手机扫码后可以把地址发到电脑或启动器
+    renderSharePanel(serverId) {
+        const server = this.statusManager.getServer(serverId);
+        const shareContent = document.getElementById('shareContent');
+        if (!server || !shareContent) return;
+
+        const shareUrl = `${location.origin}${location.pathname}#server-${server.id}`;
+        const qrSvg = renderQrSvg(encodeQr(server.address));
+        document.getElementById('shareTitleName').textContent = server.shortName;
+        setHTML(shareContent, html`
+            <img class="share-qr" src="data:image/svg+xml;charset=utf-8,${encodeURIComponent(qrSvg)}" alt="${i18n.t('share.qrAlt', { address: server.address })}">
+            <p class="share-hint">${i18n.t('share.qrHint')}</p>
+            <div class="embed-snippet">
+                <div class="embed-snippet-header">
+                    <span>${i18n.t('share.address')}</span>
+                    <button class="copy-btn" data-copy="${server.address}" title="${i18n.t('servers.copyAddress')}">
+                        <i class="fas fa-copy"></i>
+                    </button>
+                </div>
+                <code class="embed-code">${server.address}</code>
+            </div>
+            <div class="embed-snippet">
+                <div class="embed-snippet-header">
+                    <span>${i18n.t('share.link')}</span>
+                    <button class="copy-btn" data-copy="${shareUrl}" title="${i18n.t('share.copyLink')}">
+                        <i class="fas fa-copy"></i>
+                    </button>
+                </div>
+                <code class="embed-code">${shareUrl}</code>
+            </div>
+        `);
+    }
+
+    // 分享链接 #server-ID 打开时滚动到对应卡片；卡片是异步渲染的，浏览器自带的锚点跳转找不到它
+    scrollToSharedServer() {
+        const match = /^#server-([\w-]+)$/.exec(location.hash);
+        if (!match || this.scrolledToServer === location.hash) return;
+        const card = document.getElementById(`server-${match[1]}`);
+        if (!card) return;
+        this.scrolledToServer = location.hash;
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        this.flash(card, 'card-highlight');
+    }
+
+    // 生成可以放进 .minecraft 文件夹的 servers.dat，图标使用最近一次检测到的服务器图标
+    downloadServersDat() {
+        const servers = this.statusManager.servers
+            .filter(server => server.edition === 'java')
+            .map(server => {
+                const status = this.cardStatuses.get(server.id);
+                return { name: server.name, ip: server.address, icon: status ? safeImageUrl(status.icon) : null };
+            });
+        try {
+            const blob = new Blob([createServersDat(servers)], { type: 'application/octet-stream' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'servers.dat';
+            link.click();
+            URL.revokeObjectURL(link.href);
+        } catch (error) {
+            console.error('生成 servers.dat 失败:', error);
+            this.toastManager.show(i18n.t('share.serversDatFailed'), 'error');
+        }
+    }
+
+    toggleCachePanel(open) {
+        const cachePanel = document.getElementById('cachePanel');
+        cachePanel.hidden = !open;
+        if (open) {
+            this.renderCacheInspector();
+            cachePanel.querySelector('[data-close-panel]').focus();
+        }
+    }
+
+    // 缓存检查器：列出每个条目的状态、来源、获取时间、剩余有效期和大小
+    renderCacheInspector() {
+        const cacheTable = document.getElementById('cacheTable');
+        const cacheSummary = document.getElementById('cacheSummary');
+        if (!cacheTable || !cacheSummary) return;
+
+        const cache = this.statusManager.cache;
+        const now = Date.now();
+        const entries = cache.list().map(entry => ({ ...entry, size: new Blob([JSON.stringify(entry)]).size }));
+        const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+        const kilobytes = size => i18n.formatNumber(size / 1024, { maximumFractionDigits: 1 });
+
+        cacheSummary.textContent = i18n.t('cache.summary', { count: entries.length, max: cache.maxEntries, size: kilobytes(totalSize) });
+        if (entries.length === 0) {
+            setHTML(cacheTable, html`<tbody><tr><td class="history-empty">${i18n.t('cache.empty')}</td></tr></tbody>`);
+            return;
+        }
+
+        const state = entry => {
+            if (entry.error) return 'error';
+            return cache.isFresh(entry, now) ? 'fresh' : 'stale';
+        };
+        setHTML(cacheTable, html`
+            <thead>
+                <tr>
+                    <th>${i18n.t('cache.key')}</th>
+                    <th>${i18n.t('cache.state')}</th>
+                    <th>${i18n.t('cache.provider')}</th>
+                    <th>${i18n.t('cache.fetched')}</th>
+                    <th>${i18n.t('cache.expires')}</th>
+                    <th>${i18n.t('cache.size')}</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>
+                ${entries.map(entry => html`
+                    <tr>
+                        <td><code>${entry.key}</code></td>
+                        <td class="cache-state ${state(entry)}" title="${entry.error ? entry.error.message : ''}">${i18n.t(`cache.state.${state(entry)}`)}</td>
+                        <td>${entry.provider || '--'}</td>
+                        <td title="${i18n.formatDateTime(entry.timestamp)}">${i18n.formatRelativeTime(entry.timestamp, now)}</td>
+                        <td>${entry.expires > now ? i18n.t('cache.expiresIn', { seconds: Math.ceil((entry.expires - now) / 1000) }) : i18n.t('cache.expired')}</td>
+                        <td>${kilobytes(entry.size)} KB</td>
+                        <td>
+                            <button class="copy-btn" data-cache-delete="${entry.key}" title="${i18n.t('cache.delete')}">
+                                <i class="fas fa-trash-alt"></i>
+                            </button>
+                        </td>
+                    </tr>
+                `)}
+            </tbody>
+        `);
+    }
+
+    // 设置自动刷新
+    setupAutoRefresh() {
+        // 每30秒刷新状态和对比表；聚合服务在线时状态由它推送，只刷新对比表
+        this.refreshScheduler = new RefreshScheduler(async () => {
+            const succeeded = this.aggregator.connected ? true : await this.loadServerStatus();
+            this.refreshCompare();
+            return succeeded;
+        }, {
+            interval: 30000,
+            // 开启了提醒时隐藏的标签页也要继续检测，否则收不到通知
+            shouldRunHidden: () => this.watchlistManager.subscriptions.some(entry => entry.enabled)
+        });
+        this.refreshScheduler.onChange(() => this.renderRefreshStatus());
+        this.refreshScheduler.start();
+
+        const refreshNow = document.getElementById('refreshNow');
+        if (refreshNow) {
+            refreshNow.addEventListener('click', () => this.refreshScheduler.runNow());
+        }
+        // 每秒更新倒计时
+        setInterval(() => {
+            if (document.hidden) return;
+            this.renderRefreshStatus();
+            this.updateMaintenanceCountdowns();
+        }, 1000);
+
+        // 每分钟更新在线时长和离线数据的更新时间
+        setInterval(() => {
+            this.refreshPlaytimes();
+            this.refreshOfflineBanner();
+        }, 60000);
+
+        // 网络恢复后立即刷新；断网时切换到离线数据
+        window.addEventListener('online', () => {
+            this.toastManager.show(i18n.t('offline.reconnected'), 'success');
+            this.refreshScheduler.runNow();
+        });
+        window.addEventListener('offline', () => this.loadServerStatus());
+    }
+
+    // 显示下次刷新的倒计时；聚合服务在线时显示实时推送
+    renderRefreshStatus() {
+        const control = document.getElementById('refreshControl');
+        const text = document.getElementById('refreshStatus');
+        const scheduler = this.refreshScheduler;
+        if (!control || !text || !scheduler) return;
+
+        const running = Boolean(scheduler.running);
+        control.classList.toggle('running', running);
+        if (running) {
+            text.textContent = i18n.t('refresh.running');
+        } else if (this.aggregator.connected) {
+            text.textContent = i18n.t('refresh.live');
+        } else {
+            const seconds = Math.max(0, Math.ceil((scheduler.nextRunAt - Date.now()) / 1000));
+            text.textContent = i18n.t(scheduler.failures ? 'refresh.retry' : 'refresh.countdown', { seconds });
+        }
+    }
+}
+
+// 嵌入小组件：?embed=server-1 只渲染一张精简的服务器卡片，供其他网站用 iframe 嵌入
+//   theme=auto|light|dark  主题，默认跟随系统（不读写本站保存的主题）
+//   refresh=秒             自动刷新间隔，默认60秒，最少15秒
+//   lang=zh-CN|en          界面语言，默认跟随访客浏览器
+class StatusWidget {
+    constructor(serverId, params) {
+        this.serverId = serverId.replace(/^server-/, '');
+        this.theme = params.get('theme');
+        this.locale = params.get('lang');
+        this.refreshInterval = Math.max(EMBED_MIN_REFRESH, Number(params.get('refresh')) || EMBED_DEFAULT_REFRESH) * 1000;
+        this.statusManager = new ServerStatusManager({ relayUrl: getRelayUrl(), getLocale: () => i18n.locale });
+        this.aggregator = new AggregatorClient(getAggregatorUrl());
+        this.motdRenderer = new MotdRenderer();
+        this.root = document.getElementById('embedRoot');
+
+        this.init();
+    }
+
+    async init() {
+        document.body.classList.add('embed-mode');
+        this.root.hidden = false;
+        // 语言只对本次嵌入生效，不写入本站的语言设置
+        if (MESSAGES[this.locale]) {
+            i18n.setFormatters(this.locale);
+        }
+        i18n.apply();
+        this.applyTheme();
+
+        this.renderCached();
+        // 和主页面一样优先使用聚合服务推送的结果，连接不上时才由访客浏览器直接查询
+        await Promise.all([this.statusManager.loadServers(), this.aggregator.connect()]);
+        this.aggregator.onUpdate(() => this.refresh());
+        await this.refresh();
+
+        // 聚合服务在线时由推送更新，不再轮询
+        setInterval(() => {
+            if (!this.aggregator.connected) {
+                this.refresh();
+            }
+        }, this.refreshInterval);
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) {
+                this.refresh();
+            }
+        });
+    }
+
+    // 指定了 light/dark 时固定使用，否则跟随系统主题
+    applyTheme() {
+        const fixed = ['light', 'dark'].includes(this.theme) ? this.theme : null;
+        const media = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+        const update = () => {
+            document.documentElement.setAttribute('data-theme', fixed || (media && media.matches ? 'dark' : 'light'));
+        };
+
+        update();
+        if (!fixed && media) {
+            media.addEventListener('change', update);
+        }
+    }
+
+    async refresh() {
+        const server = this.statusManager.getServer(this.serverId);
+        if (!server) {
+            setHTML(this.root, html`<div class="embed-card embed-error"><i class="fas fa-exclamation-circle"></i> ${i18n.t('embed.notFound', { id: this.serverId })}</div>`);
+            return;
+        }
+
+        let status;
+        try {
+            status = await this.getStatus(server);
+        } catch (error) {
+            console.warn(`小组件获取${server.id}状态失败:`, error);
+            status = { online: false, error: true, players: { online: 0, max: 0 }, debug: { ping: null }, updatedAt: Date.now() };
+        }
+        this.render(server, status);
+    }
+
+    async getStatus(server) {
+        const entry = this.aggregator.getEntry(server);
+        if (!entry) {
+            return this.statusManager.getServerStatus(server.address, { edition: server.edition });
+        }
+        if (entry.error) {
+            throw new Error(entry.error.message);
+        }
+        this.statusManager.setStatus(server.address, server.edition, entry.status, entry.updatedAt);
+        return { ...entry.status, updatedAt: entry.updatedAt };
+    }
+
+    // 先显示缓存中上次的状态，等待请求期间不显示空白
+    renderCached() {
+        const server = this.statusManager.getServer(this.serverId);
+        const cached = server && this.statusManager.getCacheEntry(server);
+        if (cached && cached.data) {
+            this.render(server, { ...cached.data, fromCache: true, updatedAt: cached.timestamp });
+        }
+    }
+
+    render(server, status) {
+        setHTML(this.root, this.generateWidgetHTML(server, status));
+        const target = this.root.querySelector('[data-motd]');
+        if (target) {
+            target.appendChild(this.motdRenderer.render(status.motd));
+        }
+    }
+
+    // 精简卡片：图标、名称、状态、版本、延迟和MOTD，点击打开完整状态页
+    generateWidgetHTML(server, status) {
+        const state = getBadgeState(status);
+        const icon = safeImageUrl(status.icon);
+        const pageUrl = `${location.origin}${location.pathname}#server-${server.id}`;
+
+        return html`
+            <a class="embed-card" href="${pageUrl}" target="_blank" rel="noopener" title="${i18n.t('embed.viewFull')}">
+                <div class="server-header">
+                    ${icon ? html`<img class="server-icon" src="${icon}" alt="${i18n.t('servers.icon')}">` : html`<div class="server-icon embed-icon"><i class="fas fa-cube"></i></div>`}
+                    <div class="server-info">
+                        <h3>${server.name}${server.edition === 'bedrock' ? html` <span class="edition-badge">${i18n.t('edition.bedrock')}</span>` : ''}</h3>
+                        <code class="embed-address">${server.address}</code>
+                    </div>
+                </div>
+                <div class="status-indicator ${state === 'online' ? 'online' : 'offline'}">
+                    <div class="status-dot"></div>
+                    <span>${i18n.t(state === 'online' ? 'servers.online' : state === 'offline' ? 'servers.offline' : 'servers.checkFailed')}</span>
+                    <span class="player-count">${state === 'online' ? `${status.players.online}/${status.players.max}` : '--/--'}</span>
+                </div>
+                ${state === 'online' ? html`
+                <div class="embed-meta">
+                    <span><i class="fas fa-code-branch"></i> ${status.version || i18n.t('common.unknown')}</span>
+                    ${status.debug.ping !== null ? html`<span><i class="fas fa-signal"></i> ${status.debug.ping}ms</span>` : ''}
+                </div>
+                ` : ''}
+                ${state === 'online' && this.motdRenderer.hasContent(status.motd) ? html`<div class="motd-display mc-motd" data-motd></div>` : ''}
+                <div class="embed-footer">
+                    <span>${i18n.t('embed.updated', { time: i18n.formatDateTime(status.updatedAt, { timeStyle: 'short' }) })}</span>
+                    <span><i class="fas fa-cube"></i> ${i18n.t('nav.brand')}</span>
+                </div>
+            </a>
+        `;
+    }
+}
+
+// 状态历史页（status-history.html）：列出进行中和计划中的维护，以及过去的故障和维护记录
+class IncidentHistoryPage {
+    constructor() {
+        // 只用来读取服务器名称，不检测状态
+        this.statusManager = new ServerStatusManager({ getLocale: () => i18n.locale });
+        this.announcements = new AnnouncementManager();
+        this.themeManager = new ThemeManager();
+        this.init();
+    }
+
+    async init() {
+        i18n.apply();
+        i18n.onChange(() => this.render());
+        const localeToggle = document.getElementById('localeToggle');
+        if (localeToggle) {
+            localeToggle.addEventListener('click', () => i18n.toggleLocale());
+        }
+        await Promise.all([this.statusManager.loadServers(), this.announcements.load()]);
+        this.render();
+    }
+
+    render() {
+        const now = Date.now();
+        const current = this.announcements.list.filter(announcement => getAnnouncementState(announcement, now) !== 'ended');
+        const past = this.announcements.list.filter(announcement => getAnnouncementState(announcement, now) === 'ended');
+        this.renderList(document.getElementById('incidentsCurrent'), current, 'incidents.noCurrent');
+        this.renderList(document.getElementById('incidentsPast'), past, 'incidents.noPast');
+    }
+
+    renderList(container, announcements, emptyKey) {
+        if (!container) return;
+        if (!announcements.length) {
+            setHTML(container, html`<li class="incident-empty">${i18n.t(emptyKey)}</li>`);
+            return;
+        }
+        setHTML(container, announcements.map(item => {
+            const announcement = localizeAnnouncement(item, i18n.locale);
+            const server = announcement.serverId ? this.statusManager.getServer(announcement.serverId) : null;
+            const ended = getAnnouncementState(announcement) === 'ended';
+            return html`
+                <li class="incident ${announcement.severity}">
+                    <div class="incident-header">
+                        <span class="incident-type ${announcement.type}">${i18n.t(`incidents.type.${announcement.type}`)}</span>
+                        <strong>${announcement.title}</strong>
+                    </div>
+                    <p class="incident-meta">
+                        <span><i class="fas fa-server"></i> ${server ? server.shortName : i18n.t('incidents.allServers')}</span>
+                        <span><i class="fas fa-clock"></i> ${ended
+                            ? i18n.t('announcement.period', { start: i18n.formatDateTime(announcement.start), end: i18n.formatDateTime(announcement.end) })
+                            : describeAnnouncementTime(announcement)}</span>
+                        ${ended ? html`<span><i class="fas fa-hourglass-end"></i> ${i18n.t('incidents.duration', { duration: i18n.formatDuration(announcement.end - announcement.start) })}</span>` : ''}
+                    </p>
+                    ${announcement.message ? html`<p class="incident-message">${announcement.message}</p>` : ''}
+                </li>
+            `;
+        }));
+    }
+}
+
+// 页面加载完成后初始化应用；带 ?embed= 参数时只显示嵌入小组件，状态历史页只显示公告记录
+document.addEventListener('DOMContentLoaded', () => {
+    const params = new URLSearchParams(location.search);
+    if (params.get('embed')) {
+        new StatusWidget(params.get('embed'), params);
+    } else if (document.body.dataset.page === 'status-history') {
+        new IncidentHistoryPage();
+    } else {
+        new MinecraftStatusApp();
+    }
 });
 
 // 导出类供测试使用（如果需要在控制台调试）
 window.MinecraftStatusApp = MinecraftStatusApp;
 window.ServerStatusManager = ServerStatusManager;
+window.ProviderRegistry = ProviderRegistry;
+window.StatusProvider = StatusProvider;
+window.MotdRenderer = MotdRenderer;
+window.PlayerSessionTracker = PlayerSessionTracker;
+window.WatchlistManager = WatchlistManager;
+window.parseServerAddress = parseServerAddress;
+window.i18n = i18n;
+window.StatusWidget = StatusWidget;
+window.IncidentHistoryPage = IncidentHistoryPage;
+window.AggregatorClient = AggregatorClient;
+window.renderStatusBadge = renderStatusBadge;
@@ -0,0 +1,120 @@
+// 梦想大陆 Service Worker：缓存页面外壳供离线使用，显示提醒通知
+
+const CACHE_VERSION = 'mxdl-v6';
+const SHELL_CACHE = `${CACHE_VERSION}-shell`;
+const RUNTIME_CACHE = `${CACHE_VERSION}-runtime`;
+
+// 安装时预缓存的页面外壳
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'status-history.html',
+    'script.js',
+    'core/status.mjs',
+    'core/compat.mjs',
+    'core/modpack.mjs',
+    'core/announcements.mjs',
+    'core/nbt.mjs',
+    'core/qrcode.mjs',
+    'core/badge.mjs',
+    'core/safe-html.mjs',
+    'style.css',
+    'servers.json',
+    'modpacks.json',
+    'announcements.json',
+    'manifest.webmanifest',
+    'qqqrcode.jpg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+// 字体和图标样式来自CDN，跨域资源单独缓存
+const CDN_FILES = [
+    'https://fonts.googleapis.com/css2?family=Inter:wght@300;400;500;600;700&display=swap',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css'
+];
+const CDN_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdnjs.cloudflare.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_FILES);
+        // CDN资源缓存失败不影响安装
+        await Promise.allSettled(CDN_FILES.map(url => cache.add(new Request(url, { mode: 'no-cors' }))));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('mxdl-') && !key.startsWith(CACHE_VERSION))
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        // 同域部署的聚合服务接口不经过缓存，SSE 长连接也不能被缓存
+        if (url.pathname.includes('/api/')) return;
+        // 整合包等大文件直接下载，不写入缓存
+        if (url.pathname.includes('/downloads/')) return;
+        // 本站文件优先走网络，保证更新及时；离线时回退到缓存
+        event.respondWith(networkFirst(request));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        // 字体和图标文件不常变化，优先使用缓存
+        event.respondWith(cacheFirst(request));
+    }
+    // 状态API等其他请求不拦截，离线时由页面使用上次的状态
+});
+
+async function networkFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        if (request.mode === 'navigate') {
+            return cache.match('index.html');
+        }
+        throw error;
+    }
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(RUNTIME_CACHE);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// 点击通知：已有打开的页面就切换过去，否则打开新页面
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const targetUrl = (event.notification.data && event.notification.data.url) || self.registration.scope;
+
+    event.waitUntil((async () => {
+        const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+        const existing = windows.find(client => client.url.startsWith(self.registration.scope));
+        if (existing) {
+            return existing.focus();
+        }
+        return self.clients.openWindow(targetUrl);
+    })());
+});
@@ -0,0 +1,98 @@
+// 状态聚合服务：用假 Minecraft 服务器检查 /api/status 和 SSE 推送
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import net from 'node:net';
+import { ServerStatusManager } from '../core/status.mjs';
+import { createAggregatorServer, LocalPingProvider, StatusAggregator } from '../aggregator/server.mjs';
+import { createStubServer } from '../aggregator/stub-minecraft.mjs';
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+const close = server => new Promise(resolve => server.close(resolve));
+
+// 只使用本地探测，不请求第三方API
+async function createAggregator(minecraftPort) {
+    const statusManager = new ServerStatusManager({
+        storage: null,
+        cacheTimeout: 0,
+        logger: { log() {}, warn() {} },
+        loadManifest: async () => ({
+            servers: [{ id: 'stub', name: '测试服', shortName: '测试服', address: `127.0.0.1:${minecraftPort}`, edition: 'java' }]
+        })
+    });
+    statusManager.providers.unregister('uapis').unregister('mcsrvstat');
+    statusManager.providers.register(new LocalPingProvider({ timeout: 3000, pingTimeout: 2000 }), 0);
+    await statusManager.loadServers();
+    return new StatusAggregator(statusManager, { interval: 60 });
+}
+
+// 读取 SSE 流中的第一个 status 事件
+function readFirstEvent(port) {
+    return new Promise((resolve, reject) => {
+        const request = http.get({ host: '127.0.0.1', port, path: '/api/stream' }, response => {
+            let buffer = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => {
+                buffer += chunk;
+                const match = /event: status\ndata: (.*)\n\n/.exec(buffer);
+                if (match) {
+                    request.destroy();
+                    resolve({ headers: response.headers, snapshot: JSON.parse(match[1]) });
+                }
+            });
+        });
+        request.on('error', reject);
+    });
+}
+
+// 畸形的请求地址无法通过 http.get 发送，直接写请求行
+function rawStatusCode(port, requestLine) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host: '127.0.0.1', port });
+        let received = '';
+        socket.on('connect', () => socket.write(`${requestLine}\r\nHost: localhost\r\nConnection: close\r\n\r\n`));
+        socket.on('data', chunk => {
+            received += chunk;
+        });
+        socket.on('end', () => resolve(Number(/^HTTP\/1\.1 (\d+)/.exec(received)[1])));
+        socket.on('error', reject);
+    });
+}
+
+test('检测假服务器，通过 /api/status 和 SSE 提供结果', async () => {
+    const minecraft = createStubServer('测试服');
+    const minecraftPort = await listen(minecraft);
+    const aggregator = await createAggregator(minecraftPort);
+    const server = createAggregatorServer(aggregator);
+    const port = await listen(server);
+
+    try {
+        // 首次检测完成前返回 503
+        const pending = await fetch(`http://127.0.0.1:${port}/api/status`);
+        assert.equal(pending.status, 503);
+
+        await aggregator.poll();
+        const response = await fetch(`http://127.0.0.1:${port}/api/status`);
+        assert.equal(response.status, 200);
+        const snapshot = await response.json();
+        assert.equal(snapshot.servers.length, 1);
+        const [entry] = snapshot.servers;
+        assert.equal(entry.id, 'stub');
+        assert.equal(entry.error, null);
+        assert.equal(entry.status.online, true);
+        assert.equal(entry.status.version, 'Paper 1.21.1');
+
+        const event = await readFirstEvent(port);
+        assert.match(event.headers['content-type'], /^text\/event-stream/);
+        assert.equal(event.snapshot.updatedAt, snapshot.updatedAt);
+        assert.equal(event.snapshot.servers[0].status.online, true);
+
+        assert.equal(await rawStatusCode(port, 'GET //x:y HTTP/1.1'), 400);
+        assert.equal(await rawStatusCode(port, 'GET /api/unknown HTTP/1.1'), 404);
+    } finally {
+        aggregator.stop();
+        server.closeAllConnections();
+        await close(server);
+        await close(minecraft);
+    }
+});
@@ -0,0 +1,41 @@
+// mxdl-status 命令行：参数和清单错误时的退出码
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+const CLI = new URL('../bin/mxdl-status.mjs', import.meta.url).pathname;
+
+// 运行命令行，返回退出码和输出
+function runCli(args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], { timeout: 10000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+test('--manifest 指定的文件不存在或不是 JSON 时报错退出，不检测内置服务器', async () => {
+    const directory = await mkdtemp(path.join(tmpdir(), 'mxdl-cli-'));
+    try {
+        const broken = path.join(directory, 'servers.json');
+        await writeFile(broken, '{"servers": [');
+
+        for (const manifest of [path.join(directory, 'missing.json'), broken]) {
+            const result = await runCli(['--manifest', manifest, '--json']);
+            assert.equal(result.code, 1, manifest);
+            assert.match(result.stderr, /无法读取服务器清单/);
+            assert.equal(result.stdout, '');
+        }
+    } finally {
+        await rm(directory, { recursive: true, force: true });
+    }
+});
+
+test('刷新间隔过短时报错退出', async () => {
+    const result = await runCli(['--watch', '--interval', '1']);
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /刷新间隔至少为 5 秒/);
+});
@@ -0,0 +1,88 @@
+// 客户端版本兼容性：版本范围识别和各种服务器的判断结果
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    checkCompatibility, describeProtocolRange, parseVersionRange, protocolOfRelease, supportedProtocolRange
+} from '../core/compat.mjs';
+
+const JAVA = { edition: 'java' };
+
+// 在线的 Java 版状态，按需覆盖字段
+const online = fields => ({ online: true, error: null, protocol: 767, version: '1.21.1', software: 'Paper', plugins: [], mods: null, ...fields });
+
+test('从版本文字中识别版本范围', () => {
+    const cases = [
+        ['1.8.x-1.21.x', { min: 47, max: 772 }],
+        ['Velocity 1.8 - 1.21.4', { min: 47, max: 769 }],
+        ['1.20~1.20.4', { min: 763, max: 765 }],
+        ['BungeeCord 1.7.2–1.12.2', { min: 4, max: 340 }],
+        ['1.21.1', null],
+        ['Paper 1.21.1', null],
+        ['1.99-1.100', null],
+        ['', null],
+        [null, null]
+    ];
+    for (const [version, expected] of cases) {
+        assert.deepEqual(parseVersionRange(version), expected, String(version));
+    }
+});
+
+test('Via 插件扩大支持的协议号范围', () => {
+    const cases = [
+        [[], { min: 767, max: 767, source: 'protocol' }],
+        [[{ name: 'ViaVersion' }], { min: 767, max: Infinity, source: 'plugins' }],
+        [[{ name: 'ViaVersion' }, { name: 'ViaBackwards' }], { min: 210, max: Infinity, source: 'plugins' }],
+        [[{ name: 'viaversion' }, { name: 'ViaBackwards' }, { name: 'ViaRewind' }], { min: 4, max: Infinity, source: 'plugins' }],
+        [[{ name: 'EssentialsX' }], { min: 767, max: 767, source: 'protocol' }]
+    ];
+    for (const [plugins, expected] of cases) {
+        assert.deepEqual(supportedProtocolRange(online({ plugins })), expected, plugins.map(plugin => plugin.name).join(','));
+    }
+
+    // 版本文字中写明的范围优先
+    assert.deepEqual(supportedProtocolRange(online({ version: '1.8-1.21.1', plugins: [{ name: 'ViaVersion' }] })),
+        { min: 47, max: 767, source: 'version' });
+});
+
+test('判断客户端能否加入', () => {
+    const cases = [
+        ['同一协议号', JAVA, online(), '1.21', 'ok'],
+        ['协议号不同', JAVA, online(), '1.20.4', 'switch'],
+        ['没有选择客户端版本', JAVA, online(), '', 'unknown'],
+        ['未知的客户端版本', JAVA, online(), '1.99', 'unknown'],
+        ['服务器离线', JAVA, { online: false }, '1.21', 'unknown'],
+        ['检测失败', JAVA, online({ error: { message: 'timeout' } }), '1.21', 'unknown'],
+        ['没有状态', JAVA, null, '1.21', 'unknown'],
+        ['基岩版', { edition: 'bedrock' }, online(), '1.21', 'unknown'],
+        ['没有协议号', JAVA, online({ protocol: null }), '1.21', 'unknown'],
+        ['代理服务端', JAVA, online({ software: 'Velocity', version: 'Velocity 3.3.0' }), '1.20.4', 'proxy'],
+        ['代理写明版本范围', JAVA, online({ software: 'BungeeCord', version: 'BungeeCord 1.8-1.21.1' }), '1.12.2', 'ok'],
+        ['代理写明范围但客户端更旧', JAVA, online({ software: 'BungeeCord', version: 'BungeeCord 1.8-1.21.1' }), '1.7.10', 'switch'],
+        ['ViaVersion 允许更新的客户端', JAVA, online({ plugins: [{ name: 'ViaVersion' }] }), '1.21.8', 'ok'],
+        ['ViaVersion 不允许更旧的客户端', JAVA, online({ plugins: [{ name: 'ViaVersion' }] }), '1.20.4', 'switch'],
+        ['ViaBackwards 最低到 1.10', JAVA, online({ plugins: [{ name: 'ViaVersion' }, { name: 'ViaBackwards' }] }), '1.10.2', 'ok'],
+        ['ViaBackwards 不支持 1.9', JAVA, online({ plugins: [{ name: 'ViaVersion' }, { name: 'ViaBackwards' }] }), '1.9.4', 'switch'],
+        ['服务器比对照表新', JAVA, online({ protocol: 999, version: '1.22' }), '1.21.8', 'newer'],
+        ['整合包服务器', { ...JAVA, type: 'modpack' }, online(), '1.21', 'modpack'],
+        ['返回模组列表', JAVA, online({ mods: { loader: 'Forge', list: [{ id: 'create' }] } }), '1.21', 'modpack'],
+        ['模组列表为空', JAVA, online({ mods: { loader: 'Forge', list: [] } }), '1.21', 'ok']
+    ];
+    for (const [name, server, status, release, expected] of cases) {
+        assert.equal(checkCompatibility(server, status, release).state, expected, name);
+    }
+});
+
+test('整合包服务器的加载器优先使用模组信息，其次是服务端软件名', () => {
+    const modpack = { ...JAVA, type: 'modpack' };
+    assert.equal(checkCompatibility(modpack, online({ mods: { loader: 'NeoForge', list: [] }, software: 'Forge' }), '1.21').loader, 'NeoForge');
+    assert.equal(checkCompatibility(modpack, online({ software: 'Forge' }), '1.21').loader, 'Forge');
+    assert.equal(checkCompatibility(modpack, online({ software: null }), '1.21').loader, null);
+});
+
+test('协议号和正式版互相对应', () => {
+    assert.equal(protocolOfRelease('1.21.1'), 767);
+    assert.equal(protocolOfRelease('1.8.9'), 47);
+    assert.equal(protocolOfRelease('1.99'), null);
+    assert.deepEqual(describeProtocolRange({ min: 47, max: 767 }), { from: '1.8', to: '1.21.1' });
+    assert.deepEqual(describeProtocolRange({ min: 210, max: Infinity }), { from: '1.10', to: null });
+});
@@ -0,0 +1,127 @@
+// 整合包清单：条目校验和服务器模组列表比较
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareModLists, normalizeModpackList } from '../core/modpack.mjs';
+
+const [PACK] = normalizeModpackList([{
+    id: 'mxdl-2',
+    serverId: '2',
+    version: '2.3.0',
+    minecraft: '1.20.1',
+    loader: { name: 'Forge', version: '47.2.0' },
+    mods: [
+        { id: 'create', version: '0.5.1.f', side: 'both' },
+        { id: 'jei', version: '15.2.0', side: 'both' },
+        { id: 'journeymap', version: '5.9.7', side: 'client' },
+        { id: 'spark', version: '1.10.53', side: 'server' }
+    ]
+}], { warn() {} });
+
+// 服务器返回的模组列表与整合包一致，包括游戏本体和加载器
+const SERVER_MODS = [
+    { id: 'minecraft', version: '1.20.1' },
+    { id: 'forge', version: '47.2.0' },
+    { id: 'create', version: '0.5.1.f' },
+    { id: 'jei', version: '15.2.0' },
+    { id: 'spark', version: '1.10.53' }
+];
+
+// 1.20.1 的在线服务器，mods 为服务器返回的模组信息
+function serverStatus(mods = {}, fields = {}) {
+    return {
+        online: true,
+        error: null,
+        protocol: 763,
+        version: '1.20.1',
+        mods: { loader: 'Forge', truncated: false, list: SERVER_MODS, ...mods },
+        ...fields
+    };
+}
+
+test('一致时忽略游戏本体、加载器和只装在客户端的模组', () => {
+    assert.deepEqual(compareModLists(PACK, serverStatus()), {
+        state: 'match', missing: [], extra: [], mismatched: [], minecraft: null, loader: null
+    });
+});
+
+test('服务器离线、检测失败或没有模组列表时无法比较', () => {
+    assert.equal(compareModLists(PACK, null).state, 'unknown');
+    assert.equal(compareModLists(PACK, { online: false }).state, 'unknown');
+    assert.equal(compareModLists(PACK, serverStatus({}, { error: { message: 'timeout' } })).state, 'unknown');
+    assert.equal(compareModLists(PACK, serverStatus({}, { mods: null })).state, 'unknown');
+});
+
+test('服务器上有、整合包里没有的模组记为缺少', () => {
+    const result = compareModLists(PACK, serverStatus({ list: [...SERVER_MODS, { id: 'Botania', version: '1.0' }] }));
+    assert.equal(result.state, 'drift');
+    assert.deepEqual(result.missing, ['Botania']);
+});
+
+test('服务器没有安装整合包中的模组，列表被截断时不统计', () => {
+    const list = SERVER_MODS.filter(mod => mod.id !== 'jei');
+
+    const complete = compareModLists(PACK, serverStatus({ list }));
+    assert.equal(complete.state, 'drift');
+    assert.deepEqual(complete.extra, ['jei']);
+
+    const truncated = compareModLists(PACK, serverStatus({ list, truncated: true }));
+    assert.equal(truncated.state, 'match');
+    assert.deepEqual(truncated.extra, []);
+});
+
+test('双方版本不同的模组，服务器没有返回版本时不比较', () => {
+    const changed = SERVER_MODS.map(mod => (mod.id === 'create' ? { id: 'create', version: '0.5.2' } : mod));
+    const result = compareModLists(PACK, serverStatus({ list: changed }));
+    assert.equal(result.state, 'drift');
+    assert.deepEqual(result.mismatched, [{ id: 'create', server: '0.5.2', pack: '0.5.1.f' }]);
+
+    const unversioned = SERVER_MODS.map(mod => ({ id: mod.id }));
+    assert.equal(compareModLists(PACK, serverStatus({ list: unversioned })).state, 'match');
+});
+
+test('模组 ID 不区分大小写，没有 ID 的条目不参与比较', () => {
+    const upper = SERVER_MODS.map(mod => ({ ...mod, id: mod.id.toUpperCase() }));
+    assert.equal(compareModLists(PACK, serverStatus({ list: upper })).state, 'match');
+
+    const withBroken = [...SERVER_MODS, { version: '1.0' }, null, { id: '' }];
+    assert.equal(compareModLists(PACK, serverStatus({ list: withBroken })).state, 'match');
+});
+
+test('加载器不同，服务器没有识别出加载器时不比较', () => {
+    const result = compareModLists(PACK, serverStatus({ loader: 'NeoForge' }));
+    assert.equal(result.state, 'drift');
+    assert.deepEqual(result.loader, { server: 'NeoForge', pack: 'Forge' });
+
+    assert.equal(compareModLists(PACK, serverStatus({ loader: null })).state, 'match');
+});
+
+test('游戏版本不同时优先显示服务器的版本名称', () => {
+    const named = compareModLists(PACK, serverStatus({}, { protocol: 765, protocolName: '1.20.4' }));
+    assert.equal(named.state, 'drift');
+    assert.deepEqual(named.minecraft, { server: '1.20.4', pack: '1.20.1' });
+
+    const unnamed = compareModLists(PACK, serverStatus({}, { protocol: 765, version: null }));
+    assert.deepEqual(unnamed.minecraft, { server: '765', pack: '1.20.1' });
+});
+
+test('忽略缺少必填字段的条目，下载地址只接受 https 和相对路径', () => {
+    const warnings = [];
+    const packs = normalizeModpackList([
+        { id: 'a', serverId: '2', version: '1', minecraft: '1.20.1', downloads: [
+            { url: 'https://example.com/a.zip', size: 1024, sha256: 'A'.repeat(64) },
+            { url: 'downloads/a.zip', size: -1, sha256: 'abc' },
+            { url: 'http://example.com/a.zip' },
+            { url: '//example.com/a.zip' },
+            { url: 'javascript:alert(1)' }
+        ] },
+        { id: 'b', serverId: '2', version: '1' },
+        null
+    ], { warn: (...args) => warnings.push(args) });
+
+    assert.equal(packs.length, 1);
+    assert.equal(warnings.length, 2);
+    assert.deepEqual(packs[0].downloads.map(download => [download.url, download.size, download.sha256]), [
+        ['https://example.com/a.zip', 1024, 'a'.repeat(64)],
+        ['downloads/a.zip', null, null]
+    ]);
+});
@@ -0,0 +1,47 @@
+// servers.dat：逐字节对照客户端写出的文件格式
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServersDat, nbt, TAG, writeNbt } from '../core/nbt.mjs';
+
+const hex = bytes => Buffer.from(bytes).toString('hex');
+
+// 名称中带 U+0000 和 U+1F600，Java 的 writeUTF 分别写成 C0 80 和两个3字节的代理项
+test('servers.dat 与客户端的格式逐字节一致', () => {
+    const bytes = createServersDat([
+        { name: '梦\u0000😀', ip: 'a.cn:1', icon: 'data:image/png;base64,iVBO\nRw==' },
+        { name: 'B', ip: 'b' }
+    ]);
+
+    const expected = [
+        '0a 0000',                                  // 根 compound，名称为空
+        '09 0007 73657276657273 0a 00000002',       // servers: list<compound>，2项
+        '08 0004 6e616d65 000b e6a2a6 c080 eda0bd edb880', // name: 梦 \0 😀
+        '08 0002 6970 0006 612e636e3a31',           // ip: a.cn:1
+        '08 0004 69636f6e 0008 6956424f52773d3d',   // icon: 去掉前缀和换行的 base64
+        '00',                                       // 第一项结束
+        '08 0004 6e616d65 0001 42',                 // name: B
+        '08 0002 6970 0001 62',                     // ip: b，没有图标
+        '00',                                       // 第二项结束
+        '00'                                        // 根 compound 结束
+    ].join('').replace(/\s+/g, '');
+
+    assert.equal(hex(bytes), expected);
+});
+
+test('没有服务器时列表元素类型写 TAG_End', () => {
+    assert.equal(hex(createServersDat([])), '0a0000' + '0900077365727665727300' + '00000000' + '00');
+});
+
+test('非 PNG 的图标不写入', () => {
+    const bytes = createServersDat([{ name: 'A', ip: 'a', icon: 'https://example.com/icon.png' }]);
+    assert.equal(Buffer.from(bytes).includes(Buffer.from('icon')), false);
+});
+
+test('数值按大端序写入，类型不一致和过长的字符串报错', () => {
+    const bytes = writeNbt(nbt.compound({ s: nbt.short(-2), i: nbt.int(0x01020304), b: nbt.byte(255) }));
+    assert.equal(hex(bytes), '0a0000' + '020001' + '73' + 'fffe' + '030001' + '69' + '01020304' + '010001' + '62' + 'ff' + '00');
+
+    assert.throws(() => writeNbt(nbt.compound({ l: nbt.list(TAG.INT, [nbt.int(1), nbt.byte(1)]) })), TypeError);
+    assert.throws(() => writeNbt(nbt.int(1)), TypeError);
+    assert.throws(() => writeNbt(nbt.compound({ s: nbt.string('梦'.repeat(0x5556)) })), RangeError);
+});
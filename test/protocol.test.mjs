@@ -0,0 +1,84 @@
+// Java 版协议的基础编码：VarInt、字符串和数据包切分
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    decodeVarInt, encodePacket, encodeString, encodeVarInt,
+    MAX_PACKET_LENGTH, PacketReader, PacketSplitter
+} from '../relay/protocol.mjs';
+
+test('VarInt 编码与协议文档中的例子一致', () => {
+    const cases = [
+        [0, [0x00]],
+        [1, [0x01]],
+        [127, [0x7f]],
+        [128, [0x80, 0x01]],
+        [255, [0xff, 0x01]],
+        [25565, [0xdd, 0xc7, 0x01]],
+        [2097151, [0xff, 0xff, 0x7f]],
+        [2147483647, [0xff, 0xff, 0xff, 0xff, 0x07]],
+        [-1, [0xff, 0xff, 0xff, 0xff, 0x0f]],
+        [-2147483648, [0x80, 0x80, 0x80, 0x80, 0x08]]
+    ];
+    for (const [value, bytes] of cases) {
+        assert.deepEqual([...encodeVarInt(value)], bytes, String(value));
+        assert.deepEqual(decodeVarInt(Buffer.from(bytes)), { value, size: bytes.length }, String(value));
+    }
+});
+
+test('VarInt 不完整时返回 null，超过5字节时报错', () => {
+    assert.equal(decodeVarInt(Buffer.alloc(0)), null);
+    assert.equal(decodeVarInt(Buffer.from([0x80, 0x80])), null);
+    assert.deepEqual(decodeVarInt(Buffer.from([0xaa, 0x01, 0x05]), 1), { value: 1, size: 1 });
+    assert.throws(() => decodeVarInt(Buffer.from([0x80, 0x80, 0x80, 0x80, 0x80, 0x01])), /VarInt 过长/);
+});
+
+test('readString 读取 UTF-8 字符串，拒绝负数长度和越界长度', () => {
+    const reader = new PacketReader(Buffer.concat([encodeString('梦想大陆'), encodeString('')]));
+    assert.equal(reader.readString(), '梦想大陆');
+    assert.equal(reader.readString(), '');
+    assert.equal(reader.remaining, 0);
+
+    assert.throws(() => new PacketReader(encodeVarInt(-1)).readString(), /字符串长度无效/);
+    assert.throws(() => new PacketReader(Buffer.from([0x05, 0x61])).readString(), /数据包不完整/);
+});
+
+test('PacketSplitter 拼接被拆开的数据包', () => {
+    const packet = encodePacket(0x00, encodeString('x'.repeat(300)));
+    const splitter = new PacketSplitter();
+
+    // 连长度前缀也被拆开
+    assert.deepEqual(splitter.push(packet.subarray(0, 1)), []);
+    assert.deepEqual(splitter.push(packet.subarray(1, 100)), []);
+    const [complete] = splitter.push(packet.subarray(100));
+    assert.deepEqual(complete, packet.subarray(2));
+    assert.equal(splitter.pending.length, 0);
+});
+
+test('PacketSplitter 切开一次到达的多个数据包，保留剩余部分', () => {
+    const first = encodePacket(0x00, encodeString('{}'));
+    const second = encodePacket(0x01, Buffer.alloc(8));
+    const third = encodePacket(0x00, encodeString('later'));
+    const splitter = new PacketSplitter();
+
+    const packets = splitter.push(Buffer.concat([first, second, third.subarray(0, 3)]));
+    assert.equal(packets.length, 2);
+    assert.equal(new PacketReader(packets[0]).readVarInt(), 0x00);
+    assert.equal(new PacketReader(packets[1]).readVarInt(), 0x01);
+    assert.equal(splitter.pending.length, 3);
+
+    const [last] = splitter.push(third.subarray(3));
+    const reader = new PacketReader(last);
+    assert.equal(reader.readVarInt(), 0x00);
+    assert.equal(reader.readString(), 'later');
+});
+
+test('PacketSplitter 拒绝超过上限和负数的长度并清空缓存', () => {
+    const splitter = new PacketSplitter();
+    assert.throws(() => splitter.push(encodeVarInt(MAX_PACKET_LENGTH + 1)), /数据包长度无效/);
+    assert.equal(splitter.pending.length, 0);
+    assert.throws(() => splitter.push(encodeVarInt(-1)), /数据包长度无效/);
+
+    const small = new PacketSplitter({ maxLength: 16 });
+    assert.throws(() => small.push(encodePacket(0x00, encodeString('x'.repeat(20)))), /数据包长度无效/);
+    assert.equal(small.push(encodePacket(0x00, encodeString('ok'))).length, 1);
+});
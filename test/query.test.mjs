@@ -0,0 +1,84 @@
+// GameSpy4 Query：full stat 响应和插件字符串
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseChallengeToken, parseFullStat, parsePluginString } from '../relay/query.mjs';
+
+// 按服务器的格式拼出 full stat 响应（不含类型和会话ID）
+function fullStat(values, players) {
+    const kv = Object.entries(values).flatMap(([key, value]) => [key, value]);
+    return Buffer.concat([
+        Buffer.from('splitnum\u0000\u0080\u0000', 'latin1'),
+        Buffer.from(kv.map(field => `${field}\u0000`).join('') + '\u0000', 'utf8'),
+        Buffer.from('\u0001player_\u0000\u0000', 'latin1'),
+        Buffer.from(players.map(name => `${name}\u0000`).join('') + '\u0000', 'utf8')
+    ]);
+}
+
+test('解析 full stat 的键值段和玩家段', () => {
+    const buffer = fullStat({
+        hostname: '§a梦想大陆',
+        gametype: 'SMP',
+        game_id: 'MINECRAFT',
+        version: '1.21.1',
+        plugins: 'Paper on 1.21.1: LuckPerms 5.4.141; EssentialsX 2.20.1',
+        map: 'world',
+        numplayers: '2',
+        maxplayers: '20',
+        hostport: '25565',
+        hostip: '0.0.0.0'
+    }, ['Steve', '小明']);
+
+    assert.deepEqual(parseFullStat(buffer), {
+        hostname: '§a梦想大陆',
+        gametype: 'SMP',
+        version: '1.21.1',
+        map: 'world',
+        software: 'Paper on 1.21.1',
+        plugins: [{ name: 'LuckPerms', version: '5.4.141' }, { name: 'EssentialsX', version: '2.20.1' }],
+        players: ['Steve', '小明'],
+        numPlayers: 2,
+        maxPlayers: 20
+    });
+});
+
+test('没有玩家和插件时返回空列表', () => {
+    const result = parseFullStat(fullStat({ hostname: 'A', numplayers: '0', maxplayers: '10', plugins: '' }, []));
+    assert.deepEqual(result.players, []);
+    assert.deepEqual(result.plugins, []);
+    assert.equal(result.software, null);
+    assert.equal(result.version, null);
+    assert.equal(result.maxPlayers, 10);
+});
+
+test('响应在中途被截断时只返回已经读到的内容', () => {
+    const buffer = fullStat({ hostname: 'A', numplayers: '3', maxplayers: '10' }, ['Steve', 'Alex', 'Notch']);
+    const truncated = parseFullStat(buffer.subarray(0, buffer.length - 4));
+    assert.deepEqual(truncated.players, ['Steve', 'Alex', 'Not']);
+    assert.equal(truncated.numPlayers, 3);
+
+    assert.deepEqual(parseFullStat(Buffer.alloc(0)).players, []);
+});
+
+test('解析插件字符串', () => {
+    const cases = [
+        ['', { software: null, plugins: [] }],
+        ['CraftBukkit on Bukkit 1.20.4', { software: 'CraftBukkit on Bukkit 1.20.4', plugins: [] }],
+        ['Paper on 1.20.4: WorldEdit 7.2.15', { software: 'Paper on 1.20.4', plugins: [{ name: 'WorldEdit', version: '7.2.15' }] }],
+        ['Paper: Multiverse Core 4.3.1; Vault', {
+            software: 'Paper',
+            plugins: [{ name: 'Multiverse Core', version: '4.3.1' }, { name: 'Vault', version: null }]
+        }]
+    ];
+    for (const [text, expected] of cases) {
+        assert.deepEqual(parsePluginString(text), expected, text);
+    }
+});
+
+test('challenge token 按32位整数写入，无法识别时报 EPROTO', () => {
+    assert.deepEqual([...parseChallengeToken(Buffer.from('9513307\u0000'))], [0x00, 0x91, 0x29, 0x5b]);
+    assert.deepEqual([...parseChallengeToken(Buffer.from('-1\u0000'))], [0xff, 0xff, 0xff, 0xff]);
+
+    for (const text of ['', 'abc', '12.5', '4294967296', ' 12']) {
+        assert.throws(() => parseChallengeToken(Buffer.from(`${text}\u0000`)), error => error.code === 'EPROTO', text);
+    }
+});
@@ -0,0 +1,88 @@
+// 基岩版 RakNet：Unconnected Pong 和分号分隔的状态字符串
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeUnconnectedPong, encodeUnconnectedPing, parseBedrockPayload } from '../relay/raknet.mjs';
+
+const MAGIC = Buffer.from('00ffff00fefefefefdfdfdfd12345678', 'hex');
+const PAYLOAD = 'MCPE;梦想大陆\\;基岩版;712;1.21.20;3;50;13253860892328930865;Bedrock level;Survival;0;19132;19133;';
+
+// 按服务器的格式拼出 Unconnected Pong
+function encodePong(payload, time = 1234n, serverGuid = 42n) {
+    const text = Buffer.from(payload, 'utf8');
+    const header = Buffer.alloc(17);
+    header[0] = 0x1c;
+    header.writeBigInt64BE(time, 1);
+    header.writeBigInt64BE(serverGuid, 9);
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(text.length);
+    return Buffer.concat([header, MAGIC, length, text]);
+}
+
+test('Unconnected Ping 带有时间、魔数和客户端GUID', () => {
+    const guid = Buffer.from('0102030405060708', 'hex');
+    const packet = encodeUnconnectedPing(1234, guid);
+    assert.equal(packet.length, 33);
+    assert.equal(packet[0], 0x01);
+    assert.equal(packet.readBigInt64BE(1), 1234n);
+    assert.deepEqual(packet.subarray(9, 25), MAGIC);
+    assert.deepEqual(packet.subarray(25), guid);
+});
+
+test('解码 Unconnected Pong', () => {
+    const pong = decodeUnconnectedPong(encodePong(PAYLOAD));
+    assert.equal(pong.time, 1234n);
+    assert.equal(pong.serverGuid, 42n);
+    assert.equal(pong.payload, PAYLOAD);
+});
+
+test('截断、类型错误或魔数错误的 Pong 报 EPROTO', () => {
+    const pong = encodePong(PAYLOAD);
+    const wrongMagic = Buffer.from(pong);
+    wrongMagic[17] = 0x01;
+    const wrongType = Buffer.from(pong);
+    wrongType[0] = 0x1d;
+
+    for (const packet of [pong.subarray(0, 20), pong.subarray(0, 35), pong.subarray(0, pong.length - 1), wrongMagic, wrongType]) {
+        assert.throws(() => decodeUnconnectedPong(packet), error => error.code === 'EPROTO');
+    }
+});
+
+test('解析完整的状态字符串，MOTD 中转义的分号保留为分号', () => {
+    assert.deepEqual(parseBedrockPayload(PAYLOAD), {
+        edition: 'MCPE',
+        motd: '梦想大陆;基岩版',
+        protocol: 712,
+        version: '1.21.20',
+        players: { online: 3, max: 50 },
+        serverId: '13253860892328930865',
+        levelName: 'Bedrock level',
+        gamemode: 'Survival',
+        gamemodeId: 0,
+        portV4: 19132,
+        portV6: 19133
+    });
+});
+
+test('旧服务器只返回前六个字段时缺少的字段为 null', () => {
+    assert.deepEqual(parseBedrockPayload('MCEE;教育版;390;1.14.31;0;40'), {
+        edition: 'MCEE',
+        motd: '教育版',
+        protocol: 390,
+        version: '1.14.31',
+        players: { online: 0, max: 40 },
+        serverId: null,
+        levelName: null,
+        gamemode: null,
+        gamemodeId: null,
+        portV4: null,
+        portV6: null
+    });
+    assert.deepEqual(parseBedrockPayload('MCPE;;abc;;;').players, { online: 0, max: 0 });
+    assert.equal(parseBedrockPayload('MCPE;;abc;;;').protocol, null);
+});
+
+test('字段不足或版本标识未知时报 EPROTO', () => {
+    for (const payload of ['', 'MCPE;梦想大陆;712;1.21.20;3', 'MCJE;a;1;2;3;4', 'hello world']) {
+        assert.throws(() => parseBedrockPayload(payload), error => error.code === 'EPROTO', payload);
+    }
+});
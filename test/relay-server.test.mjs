@@ -0,0 +1,76 @@
+// 状态中继的 HTTP 接口和地址检查
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { createRelayServer, isPrivateAddress, lookupStatus } from '../relay/server.mjs';
+
+const LOOKUP_OPTIONS = { timeout: 1000, queryTimeout: 500, allowedHosts: [] };
+
+// 发送原始请求行，返回响应的状态码；畸形的路径无法通过 fetch 发送
+function rawRequest(port, requestLine) {
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host: '127.0.0.1', port });
+        let received = '';
+        socket.on('connect', () => socket.write(`${requestLine}\r\nHost: localhost\r\nConnection: close\r\n\r\n`));
+        socket.on('data', chunk => {
+            received += chunk;
+        });
+        socket.on('end', () => resolve(Number(/^HTTP\/1\.1 (\d+)/.exec(received)[1])));
+        socket.on('error', reject);
+    });
+}
+
+test('畸形的请求地址返回 400，中继继续正常工作', async () => {
+    const server = createRelayServer({ timeout: 500, queryTimeout: 200 });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    try {
+        assert.equal(await rawRequest(port, 'GET //x:y HTTP/1.1'), 400);
+        assert.equal(await rawRequest(port, 'GET /unknown HTTP/1.1'), 404);
+        assert.equal(await rawRequest(port, 'GET /status?address=a:99999 HTTP/1.1'), 400);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
+
+test('回环、内网、链路本地和未指定地址都算内网地址', () => {
+    const cases = [
+        ['127.0.0.1', true],
+        ['10.20.30.40', true],
+        ['172.16.0.1', true],
+        ['192.168.1.1', true],
+        ['169.254.169.254', true],
+        ['100.64.0.1', true],
+        ['0.0.0.0', true],
+        ['::', true],
+        ['::1', true],
+        ['::ffff:127.0.0.1', true],
+        ['fd00::1', true],
+        ['fe80::1', true],
+        ['8.8.8.8', false],
+        ['172.32.0.1', false],
+        ['2606:4700::1111', false]
+    ];
+    for (const [address, expected] of cases) {
+        assert.equal(isPrivateAddress(address), expected, address);
+    }
+});
+
+test('默认拒绝查询内网地址，域名解析到内网同样拒绝', async () => {
+    for (const address of ['127.0.0.1:25565', '[::1]:25565', 'localhost:25565']) {
+        const [statusCode, body] = await lookupStatus(new URLSearchParams({ address }), LOOKUP_OPTIONS);
+        assert.equal(statusCode, 403, address);
+        assert.equal(body.error.code, 'EFORBIDDEN');
+    }
+
+    const [statusCode] = await lookupStatus(new URLSearchParams({ address: '127.0.0.1:19132', edition: 'bedrock' }), LOOKUP_OPTIONS);
+    assert.equal(statusCode, 403);
+});
+
+test('写进允许列表的内网地址可以查询', async () => {
+    const [statusCode, body] = await lookupStatus(new URLSearchParams({ address: '127.0.0.1:1', query: '0' }),
+        { ...LOOKUP_OPTIONS, allowedHosts: ['127.0.0.1'] });
+    assert.equal(statusCode, 200);
+    assert.equal(body.online, false);
+    assert.equal(body.error.code, 'ECONNREFUSED');
+});
@@ -0,0 +1,57 @@
+// 状态整理：Forge 模组信息
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeString } from '../relay/protocol.mjs';
+import { parseModInfo, summarizeStatus } from '../relay/status.mjs';
+
+// 按 Forge 的方式把字节压缩进字符串，每个字符携带15位
+function encodeForgeData(bytes) {
+    let text = String.fromCharCode(bytes.length & 0x7fff, bytes.length >>> 15);
+    let buffer = 0;
+    let bits = 0;
+    for (const byte of bytes) {
+        buffer |= byte << bits;
+        bits += 8;
+        if (bits >= 15) {
+            text += String.fromCharCode(buffer & 0x7fff);
+            buffer >>>= 15;
+            bits -= 15;
+        }
+    }
+    if (bits > 0) text += String.fromCharCode(buffer & 0x7fff);
+    return text;
+}
+
+function forgeModList(mods) {
+    const count = Buffer.alloc(2);
+    count.writeUInt16BE(mods.length);
+    return Buffer.concat([
+        Buffer.from([0]),
+        count,
+        ...mods.map(([id, version]) => Buffer.concat([Buffer.from([0]), encodeString(id), encodeString(version)]))
+    ]);
+}
+
+test('解码 forgeData.d 中压缩的模组列表', () => {
+    const d = encodeForgeData(forgeModList([['neoforge', '21.1.77'], ['create', '6.0.4']]));
+    assert.deepEqual(parseModInfo({ forgeData: { d } }), {
+        loader: 'NeoForge',
+        truncated: false,
+        list: [{ id: 'neoforge', version: '21.1.77' }, { id: 'create', version: '6.0.4' }]
+    });
+});
+
+test('损坏或被截断的 forgeData.d 只把模组列表标记为不完整', () => {
+    const d = encodeForgeData(forgeModList([['neoforge', '21.1.77'], ['create', '6.0.4']]));
+    for (const broken of [d.slice(0, 8), d.slice(0, 2), 'x', '翿翿abc']) {
+        assert.deepEqual(parseModInfo({ forgeData: { d: broken } }), { loader: 'Forge', truncated: true, list: [] });
+    }
+
+    const summary = summarizeStatus('play.example.com', 25565, {
+        status: { version: { name: '1.21.1', protocol: 767 }, forgeData: { d: d.slice(0, 8) } },
+        latency: 12,
+        legacy: false
+    });
+    assert.equal(summary.online, true);
+    assert.equal(summary.mods.truncated, true);
+});
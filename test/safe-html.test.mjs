@@ -0,0 +1,121 @@
+// 安全渲染：用恶意构造的数据源响应检查 html``、safeImageUrl 和 sanitizeMotdHtml
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { SafeHTML, html, safeImageUrl, sanitizeMotdHtml, setHTML } from '../core/safe-html.mjs';
+
+// 允许执行脚本，清理后的内容一旦带出可执行代码就会设置 window.pwned
+function createDocument() {
+    const dom = new JSDOM('<!DOCTYPE html><body></body>', { runScripts: 'dangerously' });
+    return dom.window.document;
+}
+
+// 把清理结果放进页面，返回序列化后的 HTML
+function sanitizeInto(document, markup) {
+    const container = document.createElement('div');
+    container.appendChild(sanitizeMotdHtml(markup, document));
+    document.body.appendChild(container);
+    return container.innerHTML;
+}
+
+test('html 转义插值中的标签和属性', () => {
+    const name = '<script>window.pwned = true</script>';
+    const title = '" onerror="alert(1)';
+    const markup = String(html`<img title="${title}"><span>${name}</span>`);
+
+    assert.equal(markup,
+        '<img title="&quot; onerror=&quot;alert(1)"><span>&lt;script&gt;window.pwned = true&lt;/script&gt;</span>');
+});
+
+test('html 原样保留嵌套模板，数组逐项转义，空值不输出', () => {
+    const players = ['<b>Steve</b>', "Alex' onmouseover='x"];
+    const markup = html`<ul>${players.map(player => html`<li>${player}</li>`)}</ul>${null}${undefined}${false}`;
+
+    assert.ok(markup instanceof SafeHTML);
+    assert.equal(String(markup), '<ul><li>&lt;b&gt;Steve&lt;/b&gt;</li><li>Alex&#39; onmouseover=&#39;x</li></ul>');
+});
+
+test('setHTML 把普通字符串当作文字', () => {
+    const document = createDocument();
+    const element = document.createElement('div');
+    setHTML(element, '<img src=x onerror="window.pwned = true">');
+    document.body.appendChild(element);
+
+    assert.equal(element.children.length, 0);
+    assert.equal(element.textContent, '<img src=x onerror="window.pwned = true">');
+    assert.equal(document.defaultView.pwned, undefined);
+});
+
+test('safeImageUrl 只接受 https 和常见格式的 base64 图片', () => {
+    assert.equal(safeImageUrl('https://api.mcsrvstat.us/icon/play.example.com'), 'https://api.mcsrvstat.us/icon/play.example.com');
+    assert.equal(safeImageUrl('data:image/png;base64,iVBORw0KGgo='), 'data:image/png;base64,iVBORw0KGgo=');
+
+    [
+        'javascript:alert(1)',
+        ' javascript:alert(1)',
+        'JaVaScRiPt:alert(document.cookie)',
+        'data:text/html,<script>alert(1)</script>',
+        'data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==',
+        'data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+',
+        'data:image/png;base64,AAAA" onerror="alert(1)',
+        'http://example.com/icon.png',
+        '//example.com/icon.png',
+        'icon.png',
+        '',
+        null,
+        { toString: () => 'https://example.com/icon.png' }
+    ].forEach(url => assert.equal(safeImageUrl(url), null, String(url)));
+});
+
+test('sanitizeMotdHtml 丢弃脚本、样式表和嵌入内容', () => {
+    const document = createDocument();
+    const markup = sanitizeInto(document, [
+        '<script>window.pwned = true</script>',
+        '<style>body { display: none }</style>',
+        '<iframe src="data:text/html,<script>parent.pwned = true</script>"></iframe>',
+        '<svg><script>window.pwned = true</script><foreignObject><img src=x onerror="window.pwned = true"></foreignObject></svg>',
+        '<math><mtext><script>window.pwned = true</script></mtext></math>',
+        '<object data="javascript:window.pwned = true"></object>',
+        '<span>A Minecraft Server</span>'
+    ].join(''));
+
+    assert.equal(markup, '<span>A Minecraft Server</span>');
+    assert.equal(document.defaultView.pwned, undefined);
+});
+
+test('sanitizeMotdHtml 去掉事件属性和链接，只保留文字', () => {
+    const document = createDocument();
+    const markup = sanitizeInto(document, [
+        '<img src="x" onerror="window.pwned = true">',
+        '<span onclick="window.pwned = true" onmouseover="window.pwned = true">欢迎</span>',
+        '<a href="javascript:window.pwned = true">点击</a>',
+        '<a href="data:text/html,<script>alert(1)</script>">下载</a>',
+        '<b id="x" title="t" data-x="1">粗体</b>'
+    ].join(''));
+
+    assert.equal(markup, '<span>欢迎</span>点击下载<b>粗体</b>');
+    assert.equal(document.defaultView.pwned, undefined);
+});
+
+test('sanitizeMotdHtml 只保留白名单内的样式和 mc- 类名', () => {
+    const document = createDocument();
+    const markup = sanitizeInto(document, [
+        '<span style="color: #ff5555; background-image: url(javascript:alert(1)); position: fixed; inset: 0">红色</span>',
+        '<span style="color: expression(alert(1))">表达式</span>',
+        '<span style="color: red;} body { display: none">跳出声明</span>',
+        '<span style="font-weight: bold; text-decoration: underline; font-style: italic">格式</span>',
+        '<span class="mc-gold mc-bold overlay hidden">类名</span>'
+    ].join(''));
+
+    const spans = document.body.querySelectorAll('span');
+    assert.equal(spans.length, 5);
+    assert.equal(spans[0].getAttribute('style'), 'color: rgb(255, 85, 85);');
+    assert.equal(spans[1].getAttribute('style'), null);
+    // 行内样式无法跳出声明块，后面的选择器被当作无效声明丢弃
+    assert.equal(spans[2].getAttribute('style'), 'color: red;');
+    assert.equal(spans[3].style.fontWeight, 'bold');
+    assert.equal(spans[3].style.textDecoration, 'underline');
+    assert.equal(spans[3].style.fontStyle, 'italic');
+    assert.equal(spans[4].className, 'mc-gold mc-bold');
+    assert.doesNotMatch(markup, /javascript|expression|position|display/);
+});
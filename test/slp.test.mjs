@@ -0,0 +1,67 @@
+// Server List Ping：用本地假服务器检查新旧协议的判断
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { encodePacket, encodeString, PacketReader, PacketSplitter } from '../relay/protocol.mjs';
+import { isLegacyKick, pingServer } from '../relay/slp.mjs';
+
+// 启动只回复固定状态的服务器，返回端口和关闭函数
+async function startStub(status) {
+    const server = net.createServer(socket => {
+        const splitter = new PacketSplitter();
+        let requests = 0;
+        socket.on('data', chunk => {
+            for (const packet of splitter.push(chunk)) {
+                const reader = new PacketReader(packet);
+                const packetId = reader.readVarInt();
+                if (packetId === 0x00 && requests++ === 1) {
+                    socket.write(encodePacket(0x00, encodeString(JSON.stringify(status))));
+                } else if (packetId === 0x01) {
+                    socket.end(encodePacket(0x01, packet.subarray(reader.offset)));
+                }
+            }
+        });
+        socket.on('error', () => {});
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { port: server.address().port, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+// 把描述补齐到让状态包正好是指定长度
+function statusOfPacketLength(length) {
+    const status = { version: { name: 'Paper 1.21.1', protocol: 767 }, players: { online: 1, max: 20 }, description: '' };
+    // 包ID 1字节 + 字符串长度 VarInt 2字节
+    const jsonLength = length - 3;
+    status.description = 'x'.repeat(jsonLength - Buffer.byteLength(JSON.stringify(status)));
+    return status;
+}
+
+test('长度为 255 的状态包首字节是 0xFF，仍按 1.7+ 协议解析', async () => {
+    const status = statusOfPacketLength(255);
+    const packet = encodePacket(0x00, encodeString(JSON.stringify(status)));
+    assert.equal(packet[0], 0xff);
+    assert.equal(isLegacyKick(packet), false);
+
+    const stub = await startStub(status);
+    try {
+        const result = await pingServer('127.0.0.1', stub.port, { timeout: 2000 });
+        assert.equal(result.legacy, false);
+        assert.deepEqual(result.status, status);
+    } finally {
+        await stub.close();
+    }
+});
+
+test('识别 1.4+ 和更早版本的旧版踢出包', () => {
+    const kick = text => {
+        const body = Buffer.from(text, 'utf16le').swap16();
+        const header = Buffer.from([0xff, 0, 0]);
+        header.writeUInt16BE(text.length, 1);
+        return Buffer.concat([header, body]);
+    };
+
+    assert.equal(isLegacyKick(kick('§1\u000074\u00001.6.4\u0000梦想大陆\u00003\u000020')), true);
+    assert.equal(isLegacyKick(kick('梦想大陆§3§20')), true);
+    assert.equal(isLegacyKick(Buffer.from([0xff, 0x01])), false);
+    assert.equal(isLegacyKick(Buffer.from([0x10, 0x00])), false);
+});
@@ -0,0 +1,139 @@
+// 数据源注册表：熔断器的状态变化和按字段合并结果
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker, ProviderRegistry, StatusProvider } from '../core/status.mjs';
+
+// 返回固定结果或抛出固定错误的数据源
+class FakeProvider extends StatusProvider {
+    constructor(id, outcome) {
+        super(id);
+        this.outcome = outcome;
+        this.calls = 0;
+    }
+
+    async fetchStatus() {
+        this.calls++;
+        if (this.outcome instanceof Error) throw this.outcome;
+        return this.outcome;
+    }
+}
+
+const quiet = { log() {}, warn() {} };
+
+test('连续失败达到阈值后熔断，冷却期内跳过请求', t => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    const breaker = new CircuitBreaker({ failureThreshold: 2, cooldown: 5000 });
+
+    assert.equal(breaker.acquire(), true);
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'closed');
+    assert.equal(breaker.acquire(), true);
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.canRequest(), false);
+    assert.equal(breaker.acquire(), false);
+
+    now += 4999;
+    assert.equal(breaker.acquire(), false);
+});
+
+test('冷却期过后只放行一次试探请求', t => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldown: 5000 });
+    breaker.recordFailure();
+
+    now += 5000;
+    assert.equal(breaker.state, 'half-open');
+    assert.equal(breaker.acquire(), true);
+    // 试探结束前的并发请求仍然跳过
+    assert.equal(breaker.acquire(), false);
+    assert.equal(breaker.canRequest(), false);
+    assert.equal(breaker.state, 'half-open');
+
+    // 试探失败重新开始冷却
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'open');
+    assert.equal(breaker.acquire(), false);
+
+    now += 5000;
+    assert.equal(breaker.acquire(), true);
+    breaker.recordSuccess();
+    assert.equal(breaker.state, 'closed');
+    assert.equal(breaker.failures, 0);
+    assert.equal(breaker.acquire(), true);
+    assert.equal(breaker.acquire(), true);
+});
+
+test('成功会清零之前的失败次数', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2 });
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    assert.equal(breaker.state, 'closed');
+});
+
+test('不计入熔断的请求失败不会熔断数据源', async () => {
+    const failing = new FakeProvider('broken', new Error('连接被拒绝'));
+    const registry = new ProviderRegistry({ breaker: { failureThreshold: 1 }, logger: quiet });
+    registry.register(failing);
+
+    await assert.rejects(registry.callProvider(failing, 'typo.example', { trackFailures: false }));
+    assert.equal(registry.breakers.get('broken').state, 'closed');
+
+    await assert.rejects(registry.callProvider(failing, 'play.example.com'));
+    assert.equal(registry.breakers.get('broken').state, 'open');
+    assert.deepEqual(registry.getAvailableProviders(), []);
+});
+
+test('按字段合并结果并记录每个字段的来源', async () => {
+    const registry = new ProviderRegistry({ fieldPriority: { icon: ['second'] }, logger: quiet });
+    registry.register(new FakeProvider('first', {
+        online: true,
+        version: '1.21.1',
+        icon: 'https://first.example/icon.png',
+        players: { online: 3, max: 20, list: [] },
+        motd: { clean: ['梦想大陆'] }
+    }));
+    registry.register(new FakeProvider('second', {
+        online: true,
+        version: 'Paper 1.21.1',
+        icon: 'data:image/png;base64,AAAA',
+        players: { online: 2, list: ['Steve', 'Alex'] },
+        software: 'Paper'
+    }));
+    registry.register(new FakeProvider('failing', new Error('超时')));
+
+    const status = await registry.fetchStatus('play.example.com');
+    assert.equal(status.version, '1.21.1');
+    assert.equal(status.icon, 'data:image/png;base64,AAAA');
+    assert.equal(status.players.online, 3);
+    assert.equal(status.players.max, 20);
+    // 空列表不算提供了数据，由下一个数据源补充
+    assert.deepEqual(status.players.list, ['Steve', 'Alex']);
+    assert.equal(status.software, 'Paper');
+    assert.equal(status.map, null);
+    assert.deepEqual(status.sources, {
+        online: 'first',
+        version: 'first',
+        icon: 'second',
+        'players.online': 'first',
+        'players.max': 'first',
+        'players.list': 'second',
+        'motd.clean': 'first',
+        software: 'second'
+    });
+});
+
+test('第一个数据源报告离线时不再查询其余数据源', async () => {
+    const offline = new FakeProvider('first', { online: false, offlineReason: '连接超时' });
+    const supplement = new FakeProvider('second', { online: true });
+    const registry = new ProviderRegistry({ logger: quiet });
+    registry.register(offline).register(supplement);
+
+    const status = await registry.fetchStatus('play.example.com');
+    assert.equal(status.online, false);
+    assert.equal(status.offlineReason, '连接超时');
+    assert.equal(supplement.calls, 0);
+});